@@ -0,0 +1,184 @@
+'use strict'
+
+const { getTimeZone, getZonedTime, zonedTimeToDate, formatDate } = require('./timezone')
+
+/**
+ * Billing Periods for Effekttariff (debiteringsperiod)
+ *
+ * Peaks are averaged per billing period. Most grid companies bill per
+ * calendar month, but some read the meter on another day of the month or
+ * publish their own period dates. At the start of a new period the peaks
+ * are reset, and the closed period is archived in the state.
+ */
+
+/**
+ * Ways to define the billing period
+ * - calendar: calendar month
+ * - startDay: from a day of the month (billingStartDay) to the same day next month
+ * - dates: from one of billingPeriodDates to the next; calendar months
+ *   before the first and after the last date
+ */
+const BILLING_PERIOD_MODES = ['calendar', 'startDay', 'dates']
+
+// Number of closed periods kept in the archive
+const MAX_ARCHIVED_PERIODS = 24
+
+/**
+ * Parse the list of billing period start dates
+ *
+ * Accepts an array or a comma separated string of YYYY-MM-DD dates.
+ * Invalid dates are dropped; the result is sorted without duplicates.
+ *
+ * @param {string|Array} value - Period start dates
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function parseBillingDates (value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',') : []
+
+  const dates = list
+    .map(d => String(d).trim())
+    .filter(d => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) return false
+      const [year, month, day] = d.split('-').map(Number)
+      return formatDate(year, month, day) === d
+    })
+  return [...new Set(dates)].sort()
+}
+
+/**
+ * Get the start and end date of the period a local date falls in
+ * @param {object} local - Local date { year, month, day, dateStr }
+ * @param {object} config - Configuration (billingPeriod, billingStartDay, billingPeriodDates)
+ * @returns {object} { start, end } as YYYY-MM-DD, end exclusive
+ */
+function getPeriodDates (local, config) {
+  const calendarStart = formatDate(local.year, local.month, 1)
+  const calendarEnd = formatDate(local.year, local.month + 1, 1)
+
+  if (config.billingPeriod === 'startDay') {
+    const startDay = Math.min(28, Math.max(1, parseInt(config.billingStartDay) || 1))
+    const startMonth = local.day >= startDay ? local.month : local.month - 1
+    return {
+      start: formatDate(local.year, startMonth, startDay),
+      end: formatDate(local.year, startMonth + 1, startDay)
+    }
+  }
+
+  if (config.billingPeriod === 'dates') {
+    const dates = Array.isArray(config.billingPeriodDates) ? config.billingPeriodDates : []
+    const previous = dates.filter(d => d <= local.dateStr).pop()
+    const next = dates.find(d => d > local.dateStr)
+    if (previous && next) return { start: previous, end: next }
+    if (next) return { start: calendarStart, end: next < calendarEnd ? next : calendarEnd }
+    if (previous) return { start: previous > calendarStart ? previous : calendarStart, end: calendarEnd }
+  }
+
+  return { start: calendarStart, end: calendarEnd }
+}
+
+/**
+ * Get the billing period a timestamp falls in
+ * @param {Date} now - Timestamp
+ * @param {object} config - Configuration
+ * @returns {object} { start, end, startMs, endMs } - dates as YYYY-MM-DD, end exclusive
+ */
+function getBillingPeriod (now, config) {
+  const timeZone = getTimeZone(config)
+  const { start, end } = getPeriodDates(getZonedTime(now, timeZone), config)
+  const toMs = (dateStr) => {
+    const [year, month, day] = dateStr.split('-').map(Number)
+    return zonedTimeToDate(year, month, day, 0, 0, timeZone).getTime()
+  }
+  return { start, end, startMs: toMs(start), endMs: toMs(end) }
+}
+
+/**
+ * Get the end of the billing period that starts on a date
+ * @param {string} start - Period start as YYYY-MM-DD
+ * @param {object} config - Configuration
+ * @returns {string} End date as YYYY-MM-DD, exclusive
+ */
+function getBillingPeriodEnd (start, config) {
+  const [year, month, day] = start.split('-').map(Number)
+  return getPeriodDates({ year, month, day, dateStr: start }, config).end
+}
+
+/**
+ * Get the billing period before the given one
+ * @param {object} period - Billing period from getBillingPeriod
+ * @param {object} config - Configuration
+ * @returns {object} Previous billing period
+ */
+function getPreviousBillingPeriod (period, config) {
+  return getBillingPeriod(new Date(period.startMs - 1), config)
+}
+
+/**
+ * Check whether the state belongs to an earlier billing period
+ *
+ * State saved before billing periods were tracked has no period start;
+ * the month is compared instead.
+ *
+ * @param {object} state - Current state (billingPeriodStart, currentMonth)
+ * @param {object} period - Current billing period
+ * @param {number} month - Current month (0-11)
+ * @returns {boolean}
+ */
+function isNewBillingPeriod (state, period, month) {
+  if (state.billingPeriodStart) return state.billingPeriodStart !== period.start
+  return state.currentMonth !== month
+}
+
+/**
+ * Create the statistics collected during a billing period for the archive
+ * @param {number|null} [lastSoc=null] - Battery state of charge carried over from the previous period
+ * @returns {object} { hourlyMaxW, limitChanges, minLimitA, batteryDischargeWh, lastSoc }
+ */
+function createPeriodStats (lastSoc = null) {
+  return {
+    hourlyMaxW: new Array(24).fill(null), // Highest period average per hour of day
+    limitChanges: 0, // Number of times the output limit changed
+    minLimitA: null, // Lowest output limit sent
+    batteryDischargeWh: 0, // Battery energy used, from state of charge drops
+    lastSoc
+  }
+}
+
+/**
+ * Get the statistics of the current billing period
+ * @param {object} state - Current state (periodStats is created if missing)
+ * @returns {object} Period statistics
+ */
+function getPeriodStats (state) {
+  if (!state.periodStats) state.periodStats = createPeriodStats()
+  return state.periodStats
+}
+
+/**
+ * Add a closed period to the archive in the state, dropping the oldest
+ * beyond MAX_ARCHIVED_PERIODS
+ * @param {object} state - Current state (periodArchive is created if missing)
+ * @param {object} entry - Closed period { start, end, peakCount, peakAvgW, peaks, energyKwh, ... }
+ */
+function archivePeriod (state, entry) {
+  if (!Array.isArray(state.periodArchive)) state.periodArchive = []
+  state.periodArchive.push(entry)
+  if (state.periodArchive.length > MAX_ARCHIVED_PERIODS) {
+    state.periodArchive = state.periodArchive.slice(-MAX_ARCHIVED_PERIODS)
+  }
+}
+
+module.exports = {
+  BILLING_PERIOD_MODES,
+  MAX_ARCHIVED_PERIODS,
+  parseBillingDates,
+  getBillingPeriod,
+  getBillingPeriodEnd,
+  getPreviousBillingPeriod,
+  isNewBillingPeriod,
+  createPeriodStats,
+  getPeriodStats,
+  archivePeriod
+}
@@ -0,0 +1,340 @@
+'use strict'
+
+const path = require('path')
+const peakTracker = require('./peak-tracker')
+const meterImport = require('./meter-import')
+const history = require('./history')
+const { getTimeWeight } = require('./time-of-use')
+const { getSeasonConfig } = require('./seasons')
+const { getBillingPeriod, isNewBillingPeriod } = require('./billing-period')
+const { addCalendarDays } = require('./timezone')
+
+/**
+ * Runtime Commands for Effekttariff (styrkommandon)
+ *
+ * Lets dashboards correct the tracker without a redeploy: clear or seed the
+ * month's peaks, drop a bogus hour, import meter history, read the state
+ * or the archived billing periods, or force a limit for a while. Commands
+ * are sent with msg.command or msg.topic; every command returns a
+ * structured reply for the status output.
+ */
+
+const COMMANDS = ['reset', 'setPeaks', 'removePeak', 'importHistory', 'getState', 'getHistory', 'override']
+
+// Override length when no duration is given
+const DEFAULT_OVERRIDE_MINUTES = 60
+
+/**
+ * Get the command of a message
+ *
+ * msg.command always counts as a command (unknown ones are rejected);
+ * msg.topic only when it names a known command, so measurement topics
+ * like 'power' pass through.
+ *
+ * @param {object} msg - Node-RED message
+ * @returns {string|null} Command name or null for measurements
+ */
+function getCommand (msg) {
+  if (typeof msg.command === 'string' && msg.command !== '') return msg.command
+  if (COMMANDS.includes(msg.topic)) return msg.topic
+  return null
+}
+
+/**
+ * Resolve msg.filename inside the files directory
+ *
+ * Commands only read and write files below the configured directory, so a
+ * message cannot reach other files on the Node-RED host.
+ *
+ * @param {string} directory - Configured files directory
+ * @param {string} filename - msg.filename, relative to the directory
+ * @returns {string} Absolute file path
+ * @throws {Error} When the file is outside the directory
+ */
+function resolveCommandFile (directory, filename) {
+  const root = path.resolve(directory)
+  const file = path.resolve(root, filename)
+  const relative = path.relative(root, file)
+  if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`File ${filename} is outside the files directory ${root}`)
+  }
+  return file
+}
+
+/**
+ * Format a peak for replies
+ * @param {object} peak - Peak { date, hour, minute, value, effective }
+ * @returns {object} { date, hour, minute, valueKw, effectiveKw }
+ */
+function formatPeak (peak) {
+  return {
+    date: peak.date,
+    hour: peak.hour,
+    minute: peak.minute || 0,
+    valueKw: Math.round(peak.value) / 1000,
+    effectiveKw: Math.round(peak.effective) / 1000
+  }
+}
+
+/**
+ * Build a reply
+ * @param {string} command - Command name
+ * @param {boolean} success - Whether the command was applied
+ * @param {string} message - Human readable result
+ * @param {object} [details] - Extra reply fields
+ * @returns {object} Reply
+ */
+function reply (command, success, message, details = {}) {
+  return { command, success, message, ...details }
+}
+
+/**
+ * Clear the peaks of the current month
+ * @param {object} state - Current state (will be mutated)
+ * @returns {object} Reply
+ */
+function resetPeaks (state) {
+  const cleared = state.peaks.length
+  state.peaks = []
+  return reply('reset', true, `Cleared ${cleared} peaks`, { peaksCleared: cleared })
+}
+
+/**
+ * Parse a peak entry sent with setPeaks
+ *
+ * Values are given in watts (value) or kilowatts (valueKw). Without an
+ * explicit effective value the night discount is applied like for
+ * measured periods.
+ *
+ * @param {object} entry - { date, hour, minute?, value | valueKw, effective? | effectiveKw? }
+ * @param {object} config - Configuration
+ * @returns {object|null} Peak { date, hour, minute, value, effective } or null if invalid
+ */
+function parsePeak (entry, config) {
+  if (!entry || typeof entry !== 'object') return null
+  if (typeof entry.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return null
+
+  const hour = parseInt(entry.hour)
+  const minute = parseInt(entry.minute) || 0
+  if (!(hour >= 0 && hour <= 23) || !(minute >= 0 && minute <= 59)) return null
+
+  const value = entry.valueKw !== undefined ? parseFloat(entry.valueKw) * 1000 : parseFloat(entry.value)
+  if (!Number.isFinite(value) || value < 0) return null
+
+  let effective = entry.effectiveKw !== undefined ? parseFloat(entry.effectiveKw) * 1000 : parseFloat(entry.effective)
+  if (!Number.isFinite(effective)) {
+    const [year, month, day] = entry.date.split('-').map(Number)
+    effective = value * getTimeWeight(config, { ...addCalendarDays(year, month, day, 0), hour })
+  }
+
+  return { date: entry.date, hour, minute, value, effective }
+}
+
+/**
+ * Replace the current billing period's peaks, e.g. with the values from the DSO portal
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {Array} payload - Peak entries
+ * @param {Date} now - Current timestamp
+ * @returns {object} Reply
+ */
+function setPeaks (state, config, payload, now) {
+  if (!Array.isArray(payload)) {
+    return reply('setPeaks', false, 'setPeaks expects an array of peaks in msg.payload')
+  }
+
+  const local = peakTracker.getLocalTime(now, config)
+  const seasonConfig = getSeasonConfig(config, local.month)
+  const period = getBillingPeriod(now, config)
+  const peaks = payload.map(entry => parsePeak(entry, seasonConfig))
+  const invalid = peaks.map((p, index) => (p && p.date >= period.start && p.date < period.end) ? null : index).filter(i => i !== null)
+  if (invalid.length > 0) {
+    return reply('setPeaks', false, `Invalid or not in the billing period ${period.start} - ${period.end}: entries ${invalid.join(', ')}`, { invalid })
+  }
+
+  // Peaks are seeded for this period, so the next sample must not reset them
+  if (isNewBillingPeriod(state, period, local.month - 1)) {
+    peakTracker.resetMonth(state, seasonConfig, local.month - 1, period)
+  }
+  state.billingPeriodStart = period.start
+  state.peaks = []
+  peaks.forEach(p => peakTracker.recordPeak(state, seasonConfig, p.date, p.hour, p.value, p.effective, p.minute))
+
+  const topPeaks = peakTracker.getTopPeaks(state, peakTracker.getPeakCount(seasonConfig))
+  return reply('setPeaks', true, `Set ${state.peaks.length} peaks`, {
+    peaksRecorded: state.peaks.length,
+    peakAvgW: Math.round(peakTracker.calculatePeakAverage(state, peakTracker.getPeakCount(seasonConfig))),
+    topPeaks: topPeaks.map(formatPeak)
+  })
+}
+
+/**
+ * Remove a peak (a bogus hour) from the current month
+ * @param {object} state - Current state (will be mutated)
+ * @param {object|string} payload - { date, hour?, minute? } or a date string
+ * @returns {object} Reply
+ */
+function removePeak (state, payload) {
+  const target = typeof payload === 'string' ? { date: payload } : payload
+  if (!target || typeof target.date !== 'string') {
+    return reply('removePeak', false, 'removePeak expects { date, hour } in msg.payload')
+  }
+
+  const hour = target.hour !== undefined ? parseInt(target.hour) : null
+  const minute = target.minute !== undefined ? parseInt(target.minute) : null
+  const matches = p => p.date === target.date &&
+    (hour === null || p.hour === hour) &&
+    (minute === null || (p.minute || 0) === minute)
+
+  const removed = state.peaks.filter(matches)
+  if (removed.length === 0) {
+    return reply('removePeak', false, `No peak found for ${target.date}${hour !== null ? ` ${peakTracker.formatPeriod(hour, minute || 0)}` : ''}`)
+  }
+
+  state.peaks = state.peaks.filter(p => !matches(p))
+  return reply('removePeak', true, `Removed ${removed.length} peak(s)`, {
+    removed: removed.map(formatPeak),
+    peaksRecorded: state.peaks.length
+  })
+}
+
+/**
+ * Import historical meter data (CSV export or array of readings)
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {string|Array} payload - CSV content or readings
+ * @param {Date} now - Current timestamp
+ * @returns {object} Reply with the import summary
+ */
+function importHistory (state, config, payload, now) {
+  let readings
+  try {
+    readings = meterImport.parseMeterData(payload, config)
+  } catch (err) {
+    return reply('importHistory', false, err.message)
+  }
+  if (readings.length === 0) {
+    return reply('importHistory', false, 'No meter readings found')
+  }
+
+  const summary = meterImport.importMeterData(state, config, readings, now)
+  const seasonConfig = getSeasonConfig(config, peakTracker.getLocalTime(now, config).month)
+  const topPeaks = peakTracker.getTopPeaks(state, peakTracker.getPeakCount(seasonConfig))
+  return reply('importHistory', true, `Imported ${summary.periods} periods, ${summary.peaksRecorded} peaks this month`, {
+    ...summary,
+    topPeaks: topPeaks.map(formatPeak)
+  })
+}
+
+/**
+ * Read the archived billing periods as JSON or CSV
+ * @param {object} state - Current state
+ * @param {object} config - Configuration
+ * @param {object|string} payload - { from, to, format } or the format
+ * @returns {object} Reply with the periods (and csv for the CSV format)
+ */
+function getHistory (state, config, payload) {
+  const query = history.parseHistoryQuery(payload)
+  if (query.error) {
+    return reply('getHistory', false, query.error)
+  }
+
+  const periods = history.getHistory(state, config, query)
+  const details = { format: query.format, periods }
+  if (query.format === 'csv') details.csv = history.formatHistoryCsv(periods)
+  return reply('getHistory', true, `${periods.length} billing periods`, details)
+}
+
+/**
+ * Force the output limit for a number of minutes
+ *
+ * A limit of null or a duration of 0 cancels an active override.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {object} payload - { limitA | limitKw, minutes }
+ * @param {Date} now - Current timestamp
+ * @returns {object} Reply (outputLimitA is set when a limit was forced)
+ */
+function setOverride (state, config, payload, now) {
+  const options = payload && typeof payload === 'object' ? payload : { limitA: payload }
+  const minutes = options.minutes !== undefined ? parseFloat(options.minutes) : DEFAULT_OVERRIDE_MINUTES
+
+  if (options.limitA === null || minutes === 0) {
+    const cancelled = state.limitOverride !== null && state.limitOverride !== undefined
+    state.limitOverride = null
+    return reply('override', true, cancelled ? 'Override cancelled' : 'No override active', { override: null })
+  }
+
+  const limitA = options.limitKw !== undefined
+    ? peakTracker.wattsToAmps(parseFloat(options.limitKw) * 1000, config)
+    : parseFloat(options.limitA)
+  if (!Number.isFinite(limitA) || limitA < 0) {
+    return reply('override', false, 'override expects { limitA or limitKw, minutes } in msg.payload')
+  }
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return reply('override', false, `Invalid override duration: ${options.minutes}`)
+  }
+
+  const outputLimitA = Math.round(Math.min(limitA, config.maxBreakerCurrent) * 10) / 10
+  const until = now.getTime() + minutes * 60000
+  state.limitOverride = { limitA: outputLimitA, until }
+
+  return reply('override', true, `Limit forced to ${outputLimitA} A for ${minutes} min`, {
+    override: { limitA: outputLimitA, until: new Date(until).toISOString() },
+    outputLimitA
+  })
+}
+
+/**
+ * Execute a runtime command
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {string} command - Command name
+ * @param {*} payload - msg.payload of the command
+ * @param {Date} now - Current timestamp
+ * @returns {object} Reply { command, success, message, timestamp, ... }
+ */
+function executeCommand (state, config, command, payload, now) {
+  let result
+  switch (command) {
+    case 'reset':
+      result = resetPeaks(state)
+      break
+    case 'setPeaks':
+      result = setPeaks(state, config, payload, now)
+      break
+    case 'removePeak':
+      result = removePeak(state, payload)
+      break
+    case 'importHistory':
+      result = importHistory(state, config, payload, now)
+      break
+    case 'getState':
+      result = reply('getState', true, 'Current state', { state: JSON.parse(JSON.stringify(state)) })
+      break
+    case 'getHistory':
+      result = getHistory(state, config, payload)
+      break
+    case 'override':
+      result = setOverride(state, config, payload, now)
+      break
+    default:
+      result = reply(command, false, `Unknown command: ${command} (supported: ${COMMANDS.join(', ')})`)
+  }
+
+  // Periods closed by setPeaks or importHistory are priced right away
+  history.addArchivedCosts(state, config)
+
+  return { ...result, timestamp: now.toISOString() }
+}
+
+module.exports = {
+  COMMANDS,
+  DEFAULT_OVERRIDE_MINUTES,
+  getCommand,
+  resolveCommandFile,
+  executeCommand,
+  // Exported for testing
+  parsePeak
+}
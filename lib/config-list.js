@@ -0,0 +1,32 @@
+'use strict'
+
+/**
+ * Configuration lists for Effekttariff (konfigurationslistor)
+ *
+ * Loads, thermal loads, season profiles, peak windows and time-of-use
+ * weights are entered as JSON in the editor or sent as arrays. They are
+ * read leniently: invalid input gives an empty list and the caller drops
+ * the entries it cannot use.
+ */
+
+/**
+ * Read a list given as JSON string or array
+ * @param {string|Array} value - List
+ * @returns {Array} Entries (empty for invalid input)
+ */
+function readList (value) {
+  let list = value
+  if (typeof value === 'string') {
+    if (value.trim() === '') return []
+    try {
+      list = JSON.parse(value)
+    } catch (err) {
+      return []
+    }
+  }
+  return Array.isArray(list) ? list : []
+}
+
+module.exports = {
+  readList
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+const peakTracker = require('./peak-tracker')
+const { getTimeZone, getZonedTime } = require('./timezone')
+const { getSeasonConfig } = require('./seasons')
+const { getBillingPeriod } = require('./billing-period')
+
+/**
+ * Monthly Cost Estimation for Effekttariff (kostnadsberäkning)
+ *
+ * Reconstructs the grid bill of the current month from the tariff prices:
+ * fixed fee, effektavgift on the billed peak, transfer fee on the imported
+ * energy, and VAT. Only the grid company's part is covered, not the energy
+ * bought from the electricity supplier.
+ */
+
+/**
+ * Round to öre
+ * @param {number|null} value - Amount in SEK
+ * @returns {number|null} null stays null
+ */
+function roundSek (value) {
+  return value === null ? null : Math.round(value * 100) / 100
+}
+
+/**
+ * Split an amount into the part without VAT, the VAT and the total
+ *
+ * With pricesIncludeVat the amount already contains VAT, otherwise VAT is
+ * added on top.
+ *
+ * @param {number} amount - Amount in the configured prices
+ * @param {object} config - Configuration (vatPercent, pricesIncludeVat)
+ * @returns {object} { exVat, vat, total }
+ */
+function applyVat (amount, config) {
+  const rate = (config.vatPercent || 0) / 100
+  const exVat = config.pricesIncludeVat ? amount / (1 + rate) : amount
+  return {
+    exVat: roundSek(exVat),
+    vat: roundSek(exVat * rate),
+    total: roundSek(exVat * (1 + rate))
+  }
+}
+
+/**
+ * Get how far the current billing period (by default the local calendar
+ * month) has progressed
+ * @param {Date} now - Current timestamp
+ * @param {object} config - Configuration (timezone, billing period)
+ * @returns {object} { monthStartMs, monthEndMs, elapsedFraction }
+ */
+function getMonthProgress (now, config) {
+  const { startMs: monthStartMs, endMs: monthEndMs } = getBillingPeriod(now, config)
+
+  return {
+    monthStartMs,
+    monthEndMs,
+    elapsedFraction: Math.min(1, Math.max(0, (now.getTime() - monthStartMs) / (monthEndMs - monthStartMs)))
+  }
+}
+
+/**
+ * Calculate the grid bill for a peak and an energy amount
+ * @param {object} config - Configuration (tariff prices)
+ * @param {number} peakW - Billed peak (average of the counted peaks) in watts
+ * @param {number} energyKwh - Imported energy
+ * @param {number} [fixedShare=1] - Part of the monthly fixed fee to include
+ * @returns {object} { fixedFee, powerFee, transferFee, exVat, vat, total }
+ */
+function calculateBill (config, peakW, energyKwh, fixedShare = 1) {
+  const fixedFee = (config.fixedFeeSekPerMonth || 0) * fixedShare
+  const powerFee = peakW / 1000 * config.powerPriceSekPerKw
+  const transferFee = energyKwh * (config.transferFeeSekPerKwh || 0)
+
+  return {
+    fixedFee: roundSek(fixedFee),
+    powerFee: roundSek(powerFee),
+    transferFee: roundSek(transferFee),
+    ...applyVat(fixedFee + powerFee + transferFee, config)
+  }
+}
+
+/**
+ * Estimate the grid bill of the current month
+ *
+ * The cost so far includes the elapsed share of the fixed fee, the energy
+ * imported until now and the power fee on the peaks recorded so far. The
+ * projection extends the energy at the same pace to the end of the month;
+ * peaks can only grow, so the recorded peak average is the lowest possible
+ * billed peak. The saving compares the power fee with baselinePeakKw, the
+ * billed peak without peak shaving (e.g. from bills before it was used).
+ * The measured peaks are already shaped, so the unshaped peak cannot be
+ * derived from them: without baselinePeakKw the saving stays null and
+ * savingNote says why. Peak count and price follow the season profile of
+ * the month.
+ *
+ * @param {object} state - Current state (peaks, monthEnergyWh, currentHourEnergyWh)
+ * @param {object} baseConfig - Configuration
+ * @param {Date} now - Current timestamp
+ * @returns {object} { billedPeakKw, energySoFarKwh, projectedEnergyKwh, costSoFar, projected, baselinePeakKw, savingSek, savingNote }
+ */
+function estimateMonthlyCost (state, baseConfig, now) {
+  const config = getSeasonConfig(baseConfig, getZonedTime(now, getTimeZone(baseConfig)).month)
+  const { elapsedFraction } = getMonthProgress(now, config)
+  const peakAvgW = peakTracker.calculatePeakAverage(state, peakTracker.getPeakCount(config))
+  const energySoFarKwh = ((state.monthEnergyWh || 0) + (state.currentHourEnergyWh || 0)) / 1000
+  const projectedEnergyKwh = elapsedFraction > 0 ? energySoFarKwh / elapsedFraction : energySoFarKwh
+
+  const costSoFar = calculateBill(config, peakAvgW, energySoFarKwh, elapsedFraction)
+  const projected = calculateBill(config, peakAvgW, projectedEnergyKwh)
+
+  const baselinePeakKw = config.baselinePeakKw > 0 ? config.baselinePeakKw : null
+  const savingSek = baselinePeakKw !== null
+    ? applyVat((baselinePeakKw * 1000 - peakAvgW) / 1000 * config.powerPriceSekPerKw, config).total
+    : null
+
+  return {
+    billedPeakKw: Math.round(peakAvgW) / 1000,
+    energySoFarKwh: Math.round(energySoFarKwh * 10) / 10,
+    projectedEnergyKwh: Math.round(projectedEnergyKwh * 10) / 10,
+    costSoFar,
+    projected,
+    baselinePeakKw,
+    savingSek,
+    savingNote: savingSek === null ? 'Set Peak without shaping (baselinePeak) to report the saving' : null
+  }
+}
+
+module.exports = {
+  roundSek,
+  applyVat,
+  getMonthProgress,
+  calculateBill,
+  estimateMonthlyCost
+}
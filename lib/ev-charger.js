@@ -0,0 +1,198 @@
+'use strict'
+
+const { calculateRequiredReductionW } = require('./loads')
+
+/**
+ * EV Charger Current Control for Effekttariff (laddboxstyrning)
+ *
+ * Computes the charging current a wallbox may use: the room left under the
+ * target (or the main fuse outside peak hours) minus the household load.
+ * Chargers cannot go below 6 A, so with little room the charger switches
+ * to one phase or pauses. Increases are rate limited, decreases are
+ * applied at once.
+ */
+
+/**
+ * Supported setpoint formats
+ * - amps: plain number (A per phase)
+ * - ocpp: OCPP 1.6 SetChargingProfile request
+ * - easee: Easee circuit dynamic current per phase
+ * - zaptec: Zaptec installation available current per phase
+ */
+const OUTPUT_FORMATS = ['amps', 'ocpp', 'easee', 'zaptec']
+
+/**
+ * Get the stored charger state
+ * @param {object} state - Current state (evCharger is created if missing)
+ * @param {object} config - Configuration (evPhases)
+ * @returns {object} { currentA, phases, changedAt, phaseChangedAt, pausedAt }
+ */
+function getChargerState (state, config) {
+  if (!state.evCharger) {
+    state.evCharger = { currentA: null, phases: config.evPhases, changedAt: null, phaseChangedAt: null, pausedAt: null }
+  }
+  return state.evCharger
+}
+
+/**
+ * Calculate the power the charger may use
+ *
+ * In peak hours the remaining energy budget of the period sets what the
+ * whole house may draw; otherwise the main fuse does. The charger's own
+ * power is part of the grid power, so it is added back.
+ *
+ * @param {object} state - Current state
+ * @param {object} config - Configuration
+ * @param {object} result - Result of processGridPower
+ * @param {number} gridPowerW - Present grid power
+ * @param {number} chargerPowerW - Present charger power
+ * @param {Date} now - Current timestamp
+ * @returns {number} Available power in watts
+ */
+function calculateAvailablePowerW (state, config, result, gridPowerW, chargerPowerW, now) {
+  const householdW = Math.max(0, gridPowerW - chargerPowerW)
+  const fuseW = config.maxBreakerCurrent * config.phases * config.gridVoltage - householdW
+
+  const reductionW = calculateRequiredReductionW(state, config, result, gridPowerW, now)
+  if (reductionW === null || result.override || result.outputLimitA >= config.maxBreakerCurrent) {
+    return Math.max(0, fuseW)
+  }
+  return Math.max(0, Math.min(fuseW, chargerPowerW - reductionW))
+}
+
+/**
+ * Choose the number of charging phases
+ *
+ * Three phases need at least the minimum current on every phase. The
+ * charger drops to one phase below that and only goes back once the room
+ * exceeds the three-phase minimum by the hysteresis. Phase switches are
+ * kept apart by evPhaseSwitchMinutes, since the car opens its contactor.
+ *
+ * @param {object} config - Configuration
+ * @param {object} charger - Charger state
+ * @param {number} availableW - Available power
+ * @param {number} nowMs - Current timestamp in ms
+ * @returns {number} 1 or 3
+ */
+function choosePhases (config, charger, availableW, nowMs) {
+  if (!config.evPhaseSwitching || config.evPhases === 1) return config.evPhases
+
+  const threePhaseMinW = config.evMinCurrentA * 3 * config.gridVoltage
+  let wanted = charger.phases
+  if (charger.phases === 3 && availableW < threePhaseMinW) wanted = 1
+  if (charger.phases === 1 && availableW >= threePhaseMinW + config.evPhaseHysteresisW) wanted = 3
+
+  const sinceSwitchMin = charger.phaseChangedAt === null ? Infinity : (nowMs - charger.phaseChangedAt) / 60000
+  return wanted !== charger.phases && sinceSwitchMin < config.evPhaseSwitchMinutes ? charger.phases : wanted
+}
+
+/**
+ * Format a setpoint for the configured charger type
+ * @param {number} currentA - Current per phase (0 = pause)
+ * @param {number} phases - Number of phases
+ * @param {string} format - Output format
+ * @returns {number|object} Setpoint payload
+ */
+function formatSetpoint (currentA, phases, format) {
+  const perPhase = [currentA, phases === 3 ? currentA : 0, phases === 3 ? currentA : 0]
+  switch (format) {
+    case 'ocpp':
+      return {
+        connectorId: 0,
+        csChargingProfiles: {
+          chargingProfileId: 1,
+          stackLevel: 0,
+          chargingProfilePurpose: 'TxDefaultProfile',
+          chargingProfileKind: 'Relative',
+          chargingSchedule: {
+            chargingRateUnit: 'A',
+            chargingSchedulePeriod: [{ startPeriod: 0, limit: currentA, numberPhases: phases }]
+          }
+        }
+      }
+    case 'easee':
+      return {
+        dynamicCircuitCurrentP1: perPhase[0],
+        dynamicCircuitCurrentP2: perPhase[1],
+        dynamicCircuitCurrentP3: perPhase[2]
+      }
+    case 'zaptec':
+      return {
+        availableCurrentPhase1: perPhase[0],
+        availableCurrentPhase2: perPhase[1],
+        availableCurrentPhase3: perPhase[2]
+      }
+    default:
+      return currentA
+  }
+}
+
+/**
+ * Calculate the charger setpoint
+ *
+ * The current is rounded down to whole amps and capped at evMaxCurrentA.
+ * Below evMinCurrentA the charger pauses (0 A) and is not resumed before
+ * evMinPauseMinutes. Lower currents apply at once; higher ones only after
+ * evRampIntervalSeconds since the last change.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {object} result - Result of processGridPower
+ * @param {number} gridPowerW - Present grid power
+ * @param {number|null} chargerPowerW - Measured charger power, null to assume the last setpoint
+ * @param {Date} now - Current timestamp
+ * @returns {object} { currentA, phases, availableW, changed, reason, payload }
+ */
+function calculateChargerSetpoint (state, config, result, gridPowerW, chargerPowerW, now) {
+  const nowMs = now.getTime()
+  const charger = getChargerState(state, config)
+  const assumedPowerW = chargerPowerW ?? (charger.currentA || 0) * charger.phases * config.gridVoltage
+
+  const availableW = calculateAvailablePowerW(state, config, result, gridPowerW, assumedPowerW, now)
+  const phases = choosePhases(config, charger, availableW, nowMs)
+  let currentA = Math.min(config.evMaxCurrentA, Math.floor(availableW / (phases * config.gridVoltage)))
+  let reason = `${Math.round(availableW)}W available`
+
+  if (currentA < config.evMinCurrentA) {
+    currentA = 0
+    reason = `paused (${Math.round(availableW)}W available, ${config.evMinCurrentA}A minimum)`
+  }
+
+  const previousA = charger.currentA
+  const sinceChangeS = charger.changedAt === null ? Infinity : (nowMs - charger.changedAt) / 1000
+  if (previousA !== null && phases === charger.phases && currentA > previousA) {
+    const pausedMin = charger.pausedAt === null ? Infinity : (nowMs - charger.pausedAt) / 60000
+    if (previousA === 0 && pausedMin < config.evMinPauseMinutes) {
+      currentA = 0
+      reason = `paused (resume after ${config.evMinPauseMinutes} min)`
+    } else if (sinceChangeS < config.evRampIntervalSeconds) {
+      currentA = previousA
+      reason = `rate limited (${currentA}A)`
+    }
+  }
+
+  const changed = currentA !== previousA || phases !== charger.phases
+  if (changed) {
+    if (phases !== charger.phases) charger.phaseChangedAt = nowMs
+    if (currentA === 0 && previousA !== 0) charger.pausedAt = nowMs
+    charger.currentA = currentA
+    charger.phases = phases
+    charger.changedAt = nowMs
+  }
+
+  return {
+    currentA,
+    phases,
+    availableW: Math.round(availableW),
+    changed,
+    reason,
+    payload: formatSetpoint(currentA, phases, config.evOutputFormat)
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  calculateAvailablePowerW,
+  formatSetpoint,
+  calculateChargerSetpoint
+}
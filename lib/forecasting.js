@@ -1,5 +1,355 @@
 'use strict'
 
-// This file is a placeholder for the forecasting feature.
+const { isInPeakHours, getLocalTime } = require('./peak-tracker')
 
-module.exports = {}
+/**
+ * Consumption Forecasting for Effekttariff (prognoser)
+ *
+ * Predicts the periods of the day in which consumption peaks are expected
+ * and distributes the available battery energy over them, so the battery
+ * is not drained by the first peak of the day.
+ */
+
+/**
+ * Number of samples after which historical averages behave like a
+ * moving average (older days gradually lose influence)
+ */
+const HISTORY_MAX_SAMPLES = 8
+
+/**
+ * Get the date key used for daily forecast regeneration
+ * @param {Date} now - Current timestamp
+ * @param {object} [config] - Configuration (timezone is used)
+ * @returns {string} Local date string (YYYY-MM-DD)
+ */
+function getForecastDate (now, config) {
+  return getLocalTime(now, config).dateStr
+}
+
+/**
+ * Build the key used to track energy used per period
+ * @param {number} start - Period start hour
+ * @param {number} end - Period end hour (exclusive)
+ * @returns {string} Period key, e.g. 'period_17_21'
+ */
+function getPeriodKey (start, end) {
+  return `period_${start}_${end}`
+}
+
+/**
+ * Check whether the forecast should be regenerated (new day)
+ * @param {object} state - Current state
+ * @param {Date} now - Current timestamp
+ * @param {object} [config] - Configuration (timezone is used)
+ * @returns {boolean}
+ */
+function shouldRegenerateForecast (state, now, config) {
+  return state.forecastDate !== getForecastDate(now, config)
+}
+
+/**
+ * Reset the daily forecast tracking (energy used per period)
+ * @param {object} state - Current state (will be mutated)
+ * @param {Date} now - Current timestamp
+ * @param {object} [config] - Configuration (timezone is used)
+ */
+function resetDailyTracking (state, now, config) {
+  state.periodEnergyUsed = {}
+  state.currentForecast = null
+  state.forecastDate = getForecastDate(now, config)
+}
+
+/**
+ * Update the historical hourly averages with a completed hour
+ * @param {object} historicalData - Historical data per day of week
+ * @param {number} dayOfWeek - Day of week (0=Sunday, 6=Saturday)
+ * @param {number} hour - Hour (0-23)
+ * @param {number} avgW - Hourly average in watts
+ * @returns {object} Updated historical data
+ */
+function updateHistoricalData (historicalData, dayOfWeek, hour, avgW) {
+  if (!historicalData[dayOfWeek]) {
+    historicalData[dayOfWeek] = {
+      hourlyAverages: new Array(24).fill(0),
+      sampleCounts: new Array(24).fill(0)
+    }
+  }
+
+  const day = historicalData[dayOfWeek]
+  const count = Math.min(day.sampleCounts[hour] + 1, HISTORY_MAX_SAMPLES)
+  day.hourlyAverages[hour] += (avgW - day.hourlyAverages[hour]) / count
+  day.sampleCounts[hour] = count
+
+  return historicalData
+}
+
+/**
+ * Get the hours of the given day that count towards the effekttariff
+ * @param {object} config - Configuration
+ * @param {Date} now - Current timestamp
+ * @returns {Array<number>} Peak hours (0-23)
+ */
+function getPeakHoursForDay (config, now) {
+  const local = getLocalTime(now, config)
+  const hours = []
+  for (let hour = 0; hour < 24; hour++) {
+    if (isInPeakHours(hour, local.dayOfWeek, local.month, config, local.dateStr)) {
+      hours.push(hour)
+    }
+  }
+  return hours
+}
+
+/**
+ * Build forecast periods from the configured morning/evening windows
+ * @param {object} config - Configuration
+ * @param {Array<number>} peakHours - Hours that count towards the tariff
+ * @returns {Array} Periods { start, end, weight }
+ */
+function buildTimeBasedPeriods (config, peakHours) {
+  const windows = [
+    { start: config.morningPeakStart, end: config.morningPeakEnd, weight: config.morningPeakWeight },
+    { start: config.eveningPeakStart, end: config.eveningPeakEnd, weight: config.eveningPeakWeight }
+  ]
+
+  const periods = []
+  windows.forEach(window => {
+    // Only the part of the window inside peak hours is worth discharging for
+    const hours = peakHours.filter(h => h >= window.start && h < window.end)
+    if (hours.length === 0 || !(window.weight > 0)) return
+
+    periods.push({
+      start: hours[0],
+      end: hours[hours.length - 1] + 1,
+      weight: window.weight
+    })
+  })
+
+  return periods
+}
+
+/**
+ * Build forecast periods from an hourly consumption profile
+ *
+ * Consecutive peak hours with a forecast above the peak-hour average form a
+ * period. Each period is weighted by the energy above that average, relative
+ * to the largest period.
+ *
+ * @param {Array<number>} hourly - 24 hourly values in watts
+ * @param {Array<number>} peakHours - Hours that count towards the tariff
+ * @returns {Array} Periods { start, end, weight, expectedPeakW }
+ */
+function buildProfilePeriods (hourly, peakHours) {
+  if (peakHours.length === 0) return []
+
+  const threshold = peakHours.reduce((sum, h) => sum + hourly[h], 0) / peakHours.length
+
+  const periods = []
+  let current = null
+  peakHours.forEach(hour => {
+    const excessW = hourly[hour] - threshold
+    if (excessW > 0) {
+      if (current && current.end === hour) {
+        current.end = hour + 1
+        current.excessWh += excessW
+        current.expectedPeakW = Math.max(current.expectedPeakW, hourly[hour])
+      } else {
+        current = { start: hour, end: hour + 1, excessWh: excessW, expectedPeakW: hourly[hour] }
+        periods.push(current)
+      }
+    }
+  })
+
+  const maxExcessWh = Math.max(0, ...periods.map(p => p.excessWh))
+  return periods.map(p => ({
+    start: p.start,
+    end: p.end,
+    weight: maxExcessWh > 0 ? p.excessWh / maxExcessWh : 0,
+    expectedPeakW: p.expectedPeakW
+  }))
+}
+
+/**
+ * Extract a 24-hour profile from an external forecast
+ * @param {object|Array|null} externalForecast - { hourly: [...] } or plain array
+ * @returns {Array<number>|null} 24 hourly values in watts, or null if invalid
+ */
+function parseExternalForecast (externalForecast) {
+  if (!externalForecast) return null
+
+  const hourly = Array.isArray(externalForecast) ? externalForecast : externalForecast.hourly
+  if (!Array.isArray(hourly) || hourly.length !== 24) return null
+
+  const values = hourly.map(v => parseFloat(v))
+  if (values.some(v => !Number.isFinite(v))) return null
+
+  return values
+}
+
+/**
+ * Get the historical profile for a day of week
+ * @param {object} historicalData - Historical data per day of week
+ * @param {number} dayOfWeek - Day of week (0=Sunday, 6=Saturday)
+ * @param {Array<number>} peakHours - Hours that must have data
+ * @returns {Array<number>|null} 24 hourly values in watts, or null if incomplete
+ */
+function getHistoricalProfile (historicalData, dayOfWeek, peakHours) {
+  const day = historicalData && historicalData[dayOfWeek]
+  if (!day) return null
+
+  const complete = peakHours.every(h => day.sampleCounts[h] > 0)
+  return complete ? day.hourlyAverages : null
+}
+
+/**
+ * Generate the forecast for the current day
+ * @param {object} config - Configuration
+ * @param {object} state - Current state (historicalData is used)
+ * @param {Date} now - Current timestamp
+ * @param {object|Array|null} externalForecast - External forecast (source 'external')
+ * @returns {object} Forecast { source, fallback, date, periods, totalBudgetWh, bufferWh, usableEnergyWh }
+ */
+function generateForecast (config, state, now, externalForecast) {
+  const peakHours = getPeakHoursForDay(config, now)
+
+  let source = config.forecastSource
+  let periods = null
+
+  if (source === 'external') {
+    const hourly = parseExternalForecast(externalForecast)
+    if (hourly) periods = buildProfilePeriods(hourly, peakHours)
+  } else if (source === 'historical') {
+    const hourly = getHistoricalProfile(state.historicalData, getLocalTime(now, config).dayOfWeek, peakHours)
+    if (hourly) periods = buildProfilePeriods(hourly, peakHours)
+  }
+
+  // Fall back to the configured time windows when no usable profile exists
+  const fallback = source !== 'time-based' && (!periods || periods.length === 0)
+  if (source === 'time-based' || fallback) {
+    source = 'time-based'
+    periods = buildTimeBasedPeriods(config, peakHours)
+  }
+
+  // Energy available for peak shaving is the SOC buffer above minimum SOC
+  const usableEnergyWh = config.batteryCapacityWh * config.socBuffer / 100
+  const bufferWh = usableEnergyWh * config.budgetBuffer / 100
+  const totalBudgetWh = usableEnergyWh - bufferWh
+
+  const totalWeight = periods.reduce((sum, p) => sum + p.weight, 0)
+  periods = periods.map(p => ({
+    key: getPeriodKey(p.start, p.end),
+    ...p,
+    budgetWh: totalWeight > 0 ? totalBudgetWh * p.weight / totalWeight : 0
+  }))
+
+  return {
+    source,
+    fallback,
+    date: getForecastDate(now, config),
+    periods,
+    totalBudgetWh,
+    bufferWh,
+    usableEnergyWh
+  }
+}
+
+/**
+ * Find the forecast period containing the given hour
+ * @param {object} forecast - Forecast from generateForecast
+ * @param {number} hour - Hour (0-23)
+ * @returns {object|null} Period or null
+ */
+function findPeriod (forecast, hour) {
+  return forecast.periods.find(p => hour >= p.start && hour < p.end) || null
+}
+
+/**
+ * Calculate battery discharge based on the forecast budget
+ *
+ * The remaining budget of the current period is spread over its remaining
+ * hours. Discharge never exceeds the grid import above the minimum limit,
+ * since the output limit never goes below that anyway.
+ *
+ * @param {object} config - Configuration
+ * @param {object} state - Current state (periodEnergyUsed is used)
+ * @param {object|null} forecast - Forecast from generateForecast
+ * @param {number} currentHour - Hour (0-23)
+ * @param {number} gridPowerW - Current grid power in watts
+ * @param {number} currentSoc - Current battery SOC (%)
+ * @param {number} minSoc - Minimum battery SOC (%)
+ * @param {number} batteryCapacityWh - Battery capacity in Wh
+ * @returns {object} Discharge recommendation
+ */
+function calculateBudgetedDischarge (config, state, forecast, currentHour, gridPowerW, currentSoc, minSoc, batteryCapacityWh) {
+  if (!forecast || !forecast.periods || forecast.periods.length === 0) {
+    return {
+      useBudget: false,
+      dischargeW: 0,
+      reason: 'no forecast periods',
+      period: null,
+      periodKey: null,
+      remainingBudgetWh: null
+    }
+  }
+
+  const period = findPeriod(forecast, currentHour)
+  if (!period) {
+    return {
+      useBudget: true,
+      dischargeW: 0,
+      reason: 'outside forecast periods - saving budget',
+      period: null,
+      periodKey: null,
+      remainingBudgetWh: null
+    }
+  }
+
+  const periodInfo = { start: period.start, end: period.end, weight: period.weight, budgetWh: Math.round(period.budgetWh) }
+  const usedWh = (state.periodEnergyUsed && state.periodEnergyUsed[period.key]) || 0
+  const availableWh = Math.max(0, (currentSoc - minSoc) / 100 * batteryCapacityWh)
+  const remainingBudgetWh = Math.min(Math.max(0, period.budgetWh - usedWh), availableWh)
+
+  if (remainingBudgetWh <= 0) {
+    return {
+      useBudget: true,
+      dischargeW: 0,
+      reason: availableWh <= 0 ? 'battery at minimum SOC' : 'period budget exhausted',
+      period: periodInfo,
+      periodKey: period.key,
+      remainingBudgetWh: 0
+    }
+  }
+
+  const remainingHours = Math.max(1, period.end - currentHour)
+  const plannedW = remainingBudgetWh / remainingHours
+  const excessW = Math.max(0, gridPowerW - config.minimumLimitKw * 1000)
+  const maxDischargeRateW = config.maxDischargeRateW || config.maxChargeRateW
+
+  let dischargeW = Math.min(plannedW, excessW, maxDischargeRateW)
+  dischargeW = Math.round(dischargeW / 10) * 10
+
+  return {
+    useBudget: true,
+    dischargeW,
+    reason: dischargeW > 0
+      ? `budget: ${Math.round(remainingBudgetWh)}Wh left for ${period.start}:00-${period.end}:00`
+      : 'below minimum limit - no discharge needed',
+    period: periodInfo,
+    periodKey: period.key,
+    remainingBudgetWh: Math.round(remainingBudgetWh)
+  }
+}
+
+module.exports = {
+  HISTORY_MAX_SAMPLES,
+  getForecastDate,
+  shouldRegenerateForecast,
+  resetDailyTracking,
+  updateHistoricalData,
+  generateForecast,
+  calculateBudgetedDischarge,
+  // Exported for testing
+  buildTimeBasedPeriods,
+  buildProfilePeriods,
+  parseExternalForecast
+}
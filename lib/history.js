@@ -0,0 +1,189 @@
+'use strict'
+
+const { calculateBill } = require('./costs')
+const { getSeasonConfig } = require('./seasons')
+
+/**
+ * Billing Period History for Effekttariff (historik)
+ *
+ * At the start of a new billing period the closed period is archived in the
+ * state (see billing-period): its counted peaks, hourly maxima, energy,
+ * limit changes and battery use. This module prices the closed periods and
+ * reads the archive back as JSON or CSV, for year-over-year comparisons and
+ * for checking the grid company's invoices.
+ */
+
+const HISTORY_FORMATS = ['json', 'csv']
+
+/**
+ * Get the month (1-12) a closed period is billed in
+ * @param {object} entry - Archived period { start, end }
+ * @returns {number|null} Month of the period start, null if unknown
+ */
+function getEntryMonth (entry) {
+  if (typeof entry.start === 'string') return parseInt(entry.start.slice(5, 7))
+  return null
+}
+
+/**
+ * Estimate the grid bill of a closed period
+ *
+ * Uses the tariff prices (and season profile) of the period's start month
+ * with the full fixed fee.
+ *
+ * @param {object} entry - Archived period { start, peakAvgW, energyKwh }
+ * @param {object} config - Configuration (tariff prices)
+ * @returns {object} { fixedFee, powerFee, transferFee, exVat, vat, total }
+ */
+function estimatePeriodCost (entry, config) {
+  const month = getEntryMonth(entry)
+  const periodConfig = month ? getSeasonConfig(config, month) : config
+  return calculateBill(periodConfig, entry.peakAvgW || 0, entry.energyKwh || 0)
+}
+
+/**
+ * Store the estimated bill on archived periods that have none yet
+ *
+ * Called when a period closes, so the cost reflects the prices in effect
+ * then rather than later price list changes.
+ *
+ * @param {object} state - Current state (periodArchive entries are mutated)
+ * @param {object} config - Configuration
+ */
+function addArchivedCosts (state, config) {
+  if (!Array.isArray(state.periodArchive)) return
+  state.periodArchive.forEach(entry => {
+    if (!entry.cost) entry.cost = estimatePeriodCost(entry, config)
+  })
+}
+
+/**
+ * Parse a history query
+ *
+ * Accepts { from, to, format } where from and to are YYYY-MM or YYYY-MM-DD
+ * (inclusive, compared with the period start) and format is 'json' or
+ * 'csv'. A bare string is taken as the format.
+ *
+ * @param {object|string} payload - Query
+ * @returns {object} { from, to, format } or { error }
+ */
+function parseHistoryQuery (payload) {
+  const options = payload && typeof payload === 'object' ? payload : { format: payload }
+  const format = typeof options.format === 'string' && options.format !== '' ? options.format.toLowerCase() : 'json'
+  if (!HISTORY_FORMATS.includes(format)) {
+    return { error: `Unknown history format: ${options.format} (supported: ${HISTORY_FORMATS.join(', ')})` }
+  }
+
+  const query = { from: null, to: null, format }
+  for (const field of ['from', 'to']) {
+    if (options[field] === undefined || options[field] === null || options[field] === '') continue
+    const value = String(options[field])
+    if (!/^\d{4}-\d{2}(-\d{2})?$/.test(value)) {
+      return { error: `Invalid ${field} date: ${value} (expected YYYY-MM or YYYY-MM-DD)` }
+    }
+    query[field] = value
+  }
+  return query
+}
+
+/**
+ * Format an archived period for replies and exports
+ * @param {object} entry - Archived period
+ * @param {object} config - Configuration (for periods without a stored cost)
+ * @returns {object} Period with values in kW
+ */
+function formatPeriod (entry, config) {
+  const toKw = (w) => w === null || w === undefined ? null : Math.round(w) / 1000
+  return {
+    start: entry.start,
+    end: entry.end,
+    peakCount: entry.peakCount,
+    billedPeakKw: toKw(entry.peakAvgW),
+    peaks: (entry.peaks || []).map(p => ({
+      date: p.date,
+      hour: p.hour,
+      minute: p.minute || 0,
+      valueKw: toKw(p.value),
+      effectiveKw: toKw(p.effective)
+    })),
+    energyKwh: entry.energyKwh,
+    hourlyMaxKw: (entry.hourlyMaxW || new Array(24).fill(null)).map(toKw),
+    limitChanges: entry.limitChanges !== undefined ? entry.limitChanges : null,
+    minLimitA: entry.minLimitA !== undefined ? entry.minLimitA : null,
+    batteryDischargeKwh: entry.batteryDischargeKwh !== undefined ? entry.batteryDischargeKwh : null,
+    cost: entry.cost || estimatePeriodCost(entry, config)
+  }
+}
+
+/**
+ * Get the archived periods matching a query, oldest first
+ * @param {object} state - Current state (periodArchive)
+ * @param {object} config - Configuration
+ * @param {object} [query] - { from, to } from parseHistoryQuery
+ * @returns {Array} Formatted periods
+ */
+function getHistory (state, config, query = {}) {
+  const archive = Array.isArray(state.periodArchive) ? state.periodArchive : []
+  return archive
+    .filter(entry => {
+      const start = entry.start || ''
+      if (query.from && start.slice(0, query.from.length) < query.from) return false
+      if (query.to && start.slice(0, query.to.length) > query.to) return false
+      return true
+    })
+    .map(entry => formatPeriod(entry, config))
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField (value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format periods as CSV, one row per period
+ *
+ * Counted peaks are listed in one column as "date hh:mm kW" separated by
+ * semicolons; the hourly maxima get one column per hour of day.
+ *
+ * @param {Array} periods - Formatted periods from getHistory
+ * @returns {string} CSV with header row
+ */
+function formatHistoryCsv (periods) {
+  const hours = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0'))
+  const header = [
+    'start', 'end', 'peakCount', 'billedPeakKw', 'peaks', 'energyKwh',
+    'limitChanges', 'minLimitA', 'batteryDischargeKwh', 'costSek',
+    ...hours.map(h => `maxKw${h}`)
+  ]
+
+  const rows = periods.map(p => [
+    p.start,
+    p.end,
+    p.peakCount,
+    p.billedPeakKw,
+    p.peaks.map(peak => `${peak.date} ${String(peak.hour).padStart(2, '0')}:${String(peak.minute).padStart(2, '0')} ${peak.effectiveKw}`).join('; '),
+    p.energyKwh,
+    p.limitChanges,
+    p.minLimitA,
+    p.batteryDischargeKwh,
+    p.cost.total,
+    ...p.hourlyMaxKw
+  ])
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n'
+}
+
+module.exports = {
+  HISTORY_FORMATS,
+  estimatePeriodCost,
+  addArchivedCosts,
+  parseHistoryQuery,
+  getHistory,
+  formatHistoryCsv
+}
@@ -0,0 +1,125 @@
+'use strict'
+
+const { formatDate, addCalendarDays } = require('./timezone')
+
+/**
+ * Swedish Public Holidays for Effekttariff (röda dagar)
+ *
+ * Computed offline for any year, including the movable holidays that
+ * depend on Easter and the Saturdays of Midsommar and Alla helgon.
+ */
+
+// Holidays per year are computed once
+const cache = new Map()
+
+/**
+ * Calculate Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {object} { month, day }
+ */
+function getEasterSunday (year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return { month, day }
+}
+
+/**
+ * Find the Saturday within a date range (Midsommardagen, Alla helgons dag)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12) of the first possible date
+ * @param {number} day - First possible day
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function getSaturdayFrom (year, month, day) {
+  const first = addCalendarDays(year, month, day, 0)
+  return addCalendarDays(year, month, day, (6 - first.dayOfWeek + 7) % 7).dateStr
+}
+
+/**
+ * Get the Swedish public holidays of a year
+ * @param {number} year - Year
+ * @returns {Array} Holidays { date: 'YYYY-MM-DD', name }, sorted by date
+ */
+function getSwedishHolidays (year) {
+  if (cache.has(year)) return cache.get(year)
+
+  const easter = getEasterSunday(year)
+  const fromEaster = (days) => addCalendarDays(year, easter.month, easter.day, days).dateStr
+
+  const holidays = [
+    { date: formatDate(year, 1, 1), name: 'Nyårsdagen' },
+    { date: formatDate(year, 1, 6), name: 'Trettondedag jul' },
+    { date: fromEaster(-2), name: 'Långfredagen' },
+    { date: fromEaster(0), name: 'Påskdagen' },
+    { date: fromEaster(1), name: 'Annandag påsk' },
+    { date: formatDate(year, 5, 1), name: 'Första maj' },
+    { date: fromEaster(39), name: 'Kristi himmelsfärdsdag' },
+    { date: fromEaster(49), name: 'Pingstdagen' },
+    { date: formatDate(year, 6, 6), name: 'Sveriges nationaldag' },
+    { date: getSaturdayFrom(year, 6, 20), name: 'Midsommardagen' },
+    { date: getSaturdayFrom(year, 10, 31), name: 'Alla helgons dag' },
+    { date: formatDate(year, 12, 25), name: 'Juldagen' },
+    { date: formatDate(year, 12, 26), name: 'Annandag jul' }
+  ].sort((a, b) => a.date.localeCompare(b.date))
+
+  cache.set(year, holidays)
+  return holidays
+}
+
+/**
+ * Check whether a date matches a custom holiday
+ *
+ * Custom dates are either a full date (YYYY-MM-DD) or a date that repeats
+ * every year (MM-DD, e.g. '12-24' for julafton).
+ *
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {Array<string>} customDates - Custom holiday dates
+ * @returns {boolean}
+ */
+function isCustomHoliday (dateStr, customDates) {
+  if (!Array.isArray(customDates) || customDates.length === 0) return false
+  const monthDay = dateStr.slice(5)
+  return customDates.some(d => d === dateStr || d === monthDay)
+}
+
+/**
+ * Check whether a date is a Swedish public holiday
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isSwedishHoliday (dateStr) {
+  const year = parseInt(dateStr.slice(0, 4))
+  return getSwedishHolidays(year).some(h => h.date === dateStr)
+}
+
+/**
+ * Parse custom holiday dates from a list or a comma separated string
+ * @param {Array|string} value - e.g. '12-24, 12-31, 2025-01-02'
+ * @returns {Array<string>} Valid dates (YYYY-MM-DD or MM-DD)
+ */
+function parseCustomHolidays (value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',')
+  return list
+    .map(d => String(d).trim())
+    .filter(d => /^(\d{4}-)?\d{2}-\d{2}$/.test(d))
+}
+
+module.exports = {
+  getEasterSunday,
+  getSwedishHolidays,
+  isSwedishHoliday,
+  isCustomHoliday,
+  parseCustomHolidays
+}
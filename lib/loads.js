@@ -0,0 +1,209 @@
+'use strict'
+
+const peakTracker = require('./peak-tracker')
+const { readList } = require('./config-list')
+
+/**
+ * Load Shedding for Effekttariff (laststyrning)
+ *
+ * Without a battery the peak is kept down by switching off loads that can
+ * wait: EV charger, water heater, heat pump, floor heating. Loads are shed
+ * in priority order when the current period is heading over the target,
+ * and restored when there is room again. Minimum on/off times protect
+ * compressors and contactors, and a maximum off time makes sure no load is
+ * kept off for too long.
+ */
+
+/**
+ * Default settings of a load
+ */
+const LOAD_DEFAULTS = {
+  priority: 1, // Lower numbers are shed first and restored last
+  powerW: 0, // Nominal power saved by shedding the load
+  minOnMinutes: 0, // Minimum time on before the load may be shed
+  minOffMinutes: 5, // Minimum time off before the load may be restored
+  maxOffMinutes: 60, // Longest time the load may be kept off (0 = no limit)
+  onValue: true, // Payload sent when the load is restored (e.g. a setpoint)
+  offValue: false // Payload sent when the load is shed
+}
+
+/**
+ * Parse the configured load list
+ *
+ * Accepts a JSON string or an array. Entries without a name or with a
+ * non-positive power are dropped, so one typo does not disable the others.
+ *
+ * @param {string|Array} value - Load list
+ * @returns {Array} Loads with defaults applied, sorted by priority
+ */
+function parseLoads (value) {
+  return readList(value)
+    .filter(l => l && typeof l.name === 'string' && l.name !== '')
+    .map(l => {
+      const load = { ...LOAD_DEFAULTS, ...l }
+      load.priority = parseFloat(load.priority) || 0
+      load.powerW = l.powerKw !== undefined ? parseFloat(l.powerKw) * 1000 : parseFloat(load.powerW)
+      load.minOnMinutes = parseFloat(load.minOnMinutes) || 0
+      load.minOffMinutes = parseFloat(load.minOffMinutes) || 0
+      load.maxOffMinutes = parseFloat(load.maxOffMinutes) || 0
+      return load
+    })
+    .filter(l => Number.isFinite(l.powerW) && l.powerW > 0)
+    .sort((a, b) => a.priority - b.priority)
+}
+
+/**
+ * Get the stored switching state of a load
+ * @param {object} state - Current state (loadStates is created if missing)
+ * @param {object} load - Load
+ * @returns {object} { shed, since }
+ */
+function getLoadState (state, load) {
+  if (!state.loadStates) state.loadStates = {}
+  if (!state.loadStates[load.name]) {
+    state.loadStates[load.name] = { shed: false, since: null }
+  }
+  return state.loadStates[load.name]
+}
+
+/**
+ * Minutes since the load was last switched
+ * @param {object} loadState - { shed, since }
+ * @param {number} nowMs - Current timestamp in ms
+ * @returns {number} Minutes (Infinity when never switched)
+ */
+function minutesSinceSwitch (loadState, nowMs) {
+  return loadState.since === null ? Infinity : (nowMs - loadState.since) / 60000
+}
+
+/**
+ * Calculate how much power has to be cut (positive) or may be added (negative)
+ *
+ * The remaining energy budget of the period (see calculateBudgetLimit)
+ * gives the power still allowed; compared with the present grid power this
+ * is the intra-period projection against the target. Outside peak hours
+ * and without a target there is no restriction.
+ *
+ * @param {object} state - Current state
+ * @param {object} config - Configuration
+ * @param {object} result - Result of processGridPower
+ * @param {number} gridPowerW - Present grid power
+ * @param {Date} now - Current timestamp
+ * @returns {number|null} Power to cut in watts, or null without restriction
+ */
+function calculateRequiredReductionW (state, config, result, gridPowerW, now) {
+  if (!result.inPeakSeason || !result.inPeakHours || result.targetLimitW === null) {
+    return null
+  }
+  const budget = result.budget || peakTracker.calculateBudgetLimit(
+    state,
+    config,
+    result.targetLimitW,
+    now,
+    state.currentPeriodStartTime,
+    result.intervalMinutes,
+    result.currentHour
+  )
+  return Math.max(0, gridPowerW) - budget.allowedW
+}
+
+/**
+ * Switch a load and build its command
+ * @param {object} load - Load
+ * @param {object} loadState - Stored state (will be mutated)
+ * @param {boolean} shed - Whether the load is shed
+ * @param {string} reason - Why the load is switched
+ * @param {number} nowMs - Current timestamp in ms
+ * @returns {object} Command { name, action, payload, priority, powerW, reason }
+ */
+function switchLoad (load, loadState, shed, reason, nowMs) {
+  loadState.shed = shed
+  loadState.since = nowMs
+  return {
+    name: load.name,
+    action: shed ? 'shed' : 'restore',
+    payload: shed ? load.offValue : load.onValue,
+    priority: load.priority,
+    powerW: load.powerW,
+    reason
+  }
+}
+
+/**
+ * Decide which loads to shed or restore
+ *
+ * Loads past their maximum off time are restored first and their power is
+ * counted as load. When power has to be cut, running loads are shed from
+ * the lowest priority up until their nominal power covers the reduction.
+ * With room to spare, shed loads are restored from the highest priority
+ * down as long as their nominal power fits. Loads within their minimum on
+ * or off time are left alone.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {Array} loads - Loads from parseLoads
+ * @param {object} result - Result of processGridPower
+ * @param {number} gridPowerW - Present grid power
+ * @param {Date} now - Current timestamp
+ * @returns {object} { commands, reductionW, loads } - loads is the status of every load
+ */
+function evaluateLoads (state, config, loads, result, gridPowerW, now) {
+  const nowMs = now.getTime()
+  const reductionW = calculateRequiredReductionW(state, config, result, gridPowerW, now)
+  const commands = []
+
+  // Never keep a load off longer than allowed
+  loads.forEach(load => {
+    const loadState = getLoadState(state, load)
+    if (loadState.shed && load.maxOffMinutes > 0 && minutesSinceSwitch(loadState, nowMs) >= load.maxOffMinutes) {
+      commands.push(switchLoad(load, loadState, false, `max off time ${load.maxOffMinutes} min`, nowMs))
+    }
+  })
+  const restoredNow = new Set(commands.map(c => c.name))
+  const restoredW = commands.reduce((sum, c) => sum + c.powerW, 0)
+
+  if (reductionW !== null && reductionW + restoredW > 0) {
+    // Loads coming back after their maximum off time add to the excess
+    let remainingW = reductionW + restoredW
+    for (const load of loads) {
+      if (remainingW <= 0) break
+      const loadState = getLoadState(state, load)
+      if (loadState.shed || restoredNow.has(load.name)) continue
+      if (minutesSinceSwitch(loadState, nowMs) < load.minOnMinutes) continue
+      commands.push(switchLoad(load, loadState, true, `over target by ${Math.round(remainingW)}W`, nowMs))
+      remainingW -= load.powerW
+    }
+  } else {
+    let roomW = reductionW === null ? Infinity : -reductionW - restoredW
+    for (const load of [...loads].reverse()) {
+      const loadState = getLoadState(state, load)
+      if (!loadState.shed) continue
+      if (minutesSinceSwitch(loadState, nowMs) < load.minOffMinutes) continue
+      if (load.powerW > roomW) continue
+      commands.push(switchLoad(load, loadState, false, reductionW === null ? 'no restriction' : 'headroom available', nowMs))
+      roomW -= load.powerW
+    }
+  }
+
+  return {
+    commands,
+    reductionW: reductionW === null ? null : Math.round(reductionW),
+    loads: loads.map(load => {
+      const loadState = getLoadState(state, load)
+      return {
+        name: load.name,
+        priority: load.priority,
+        powerW: load.powerW,
+        shed: loadState.shed,
+        since: loadState.since !== null ? new Date(loadState.since).toISOString() : null
+      }
+    })
+  }
+}
+
+module.exports = {
+  LOAD_DEFAULTS,
+  parseLoads,
+  calculateRequiredReductionW,
+  evaluateLoads
+}
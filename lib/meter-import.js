@@ -0,0 +1,471 @@
+'use strict'
+
+const peakTracker = require('./peak-tracker')
+const forecasting = require('./forecasting')
+const { getTimeWeight } = require('./time-of-use')
+const { getSeasonConfig } = require('./seasons')
+const { getBillingPeriod, getPreviousBillingPeriod, isNewBillingPeriod } = require('./billing-period')
+const { getZonedTime, zonedTimeToDate } = require('./timezone')
+
+/**
+ * Historical Meter Data Import for Effekttariff (mätardata)
+ *
+ * Seeds the tracker with the hourly (or quarter-hourly) values the grid
+ * company has already registered, so a node deployed mid-month does not
+ * start learning from zero. Accepts CSV exports from DSO portals and Elhub
+ * as well as plain arrays of readings.
+ */
+
+// Header keywords used to find the CSV columns (sv, no, en)
+const TIME_COLUMNS = /^(fr[aå]n|fra|from|start|tidpunkt|timestamp|time|datetime|datum|date|dato)\b/i
+const END_COLUMNS = /^(till?|to|end|slut)\b/i
+const CLOCK_COLUMNS = /^(tid|klockslag|kl|hour|timme)\b/i
+const VALUE_COLUMNS = /(kwh|wh|\bkw\b|\bw\b|förbrukning|forbruk|consumption|energy|energi|value|värde|verdi|volume)/i
+
+/**
+ * Parse a number that may use a decimal comma and thousands separators
+ *
+ * The last separator is the decimal one when it occurs only once, so
+ * '1.234,5' and '1,234.5' both read as 1234.5 and '1.234.567' as 1234567.
+ *
+ * @param {string|number} value - e.g. '1,25', '1.25' or '1 234,5'
+ * @returns {number} NaN if not a number
+ */
+function parseDecimal (value) {
+  if (typeof value === 'number') return value
+  const text = String(value).trim().replace(/\s/g, '')
+  if (text === '') return NaN
+  const last = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'))
+  if (last < 0 || text.indexOf(text[last]) !== last) return Number(text.replace(/[.,]/g, ''))
+  return Number(`${text.slice(0, last).replace(/[.,]/g, '')}.${text.slice(last + 1)}`)
+}
+
+/**
+ * Parse a timestamp from an export
+ *
+ * Timestamps with a UTC offset are used as is; wall-clock times
+ * (YYYY-MM-DD HH:MM, DD.MM.YYYY HH:MM) are read in the configured timezone.
+ *
+ * @param {string|number|Date} value - Timestamp
+ * @param {string} timeZone - IANA timezone name for wall-clock times
+ * @returns {object|null} { time: Date, wallClock: boolean } or null if invalid
+ */
+function parseTimestamp (value, timeZone) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : { time: value, wallClock: false }
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { time: new Date(value), wallClock: false } : null
+  }
+
+  const text = String(value || '').trim()
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const time = new Date(text)
+    return isNaN(time.getTime()) ? null : { time, wallClock: false }
+  }
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2})(?::(\d{2}))?(?::\d{2}(?:\.\d+)?)?)?$/)
+  let fields = match && { year: match[1], month: match[2], day: match[3], hour: match[4], minute: match[5] }
+  if (!fields) {
+    match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2})(?::(\d{2}))?(?::\d{2})?)?$/)
+    fields = match && { year: match[3], month: match[2], day: match[1], hour: match[4], minute: match[5] }
+  }
+  if (!fields) return null
+
+  const time = zonedTimeToDate(
+    parseInt(fields.year),
+    parseInt(fields.month),
+    parseInt(fields.day),
+    parseInt(fields.hour) || 0,
+    parseInt(fields.minute) || 0,
+    timeZone
+  )
+  return isNaN(time.getTime()) ? null : { time, wallClock: true }
+}
+
+/**
+ * Check whether a wall-clock time occurs twice (autumn DST switch)
+ * @param {number} timeMs - First occurrence in ms
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+function isRepeatedWallClock (timeMs, timeZone) {
+  const first = getZonedTime(new Date(timeMs), timeZone)
+  const second = getZonedTime(new Date(timeMs + 3600000), timeZone)
+  return first.hour === second.hour && first.minute === second.minute
+}
+
+/**
+ * Get the factor converting a value to Wh from a column header or key
+ * @param {string} unit - Header text or unit, e.g. 'Förbrukning (kWh)'
+ * @returns {object} { toWh, isPower } - power values (W, kW) are converted per interval
+ */
+function getUnit (unit) {
+  const text = String(unit || '').toLowerCase()
+  if (/kwh/.test(text)) return { toWh: 1000, isPower: false }
+  if (/wh/.test(text)) return { toWh: 1, isPower: false }
+  if (/\bkw\b/.test(text)) return { toWh: 1000, isPower: true }
+  if (/\bw\b/.test(text)) return { toWh: 1, isPower: true }
+  return { toWh: 1000, isPower: false } // Exports are in kWh unless stated otherwise
+}
+
+/**
+ * Split a CSV line, honouring double quotes
+ * @param {string} line - CSV line
+ * @param {string} delimiter - ';', ',' or tab
+ * @returns {Array<string>}
+ */
+function splitCsvLine (line, delimiter) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+/**
+ * Infer the reading interval from consecutive timestamps
+ * @param {Array<number>} times - Timestamps in ms
+ * @returns {number} Interval in minutes (60 if unknown)
+ */
+function inferIntervalMinutes (times) {
+  const sorted = [...times].sort((a, b) => a - b)
+  let smallest = Infinity
+  for (let i = 1; i < sorted.length; i++) {
+    const diff = sorted[i] - sorted[i - 1]
+    if (diff > 0) smallest = Math.min(smallest, diff)
+  }
+  return Number.isFinite(smallest) ? Math.min(60, Math.round(smallest / 60000)) : 60
+}
+
+/**
+ * Parse a meter data CSV export (DSO portal, Elhub)
+ *
+ * The header row is used to find the start time (optionally split in date
+ * and time columns), an optional end time and the consumption column.
+ * Semicolon separated files may use decimal commas. A repeated wall-clock
+ * hour (autumn DST switch) is placed after the first one.
+ *
+ * @param {string} text - CSV content
+ * @param {object} config - Configuration (timezone is used)
+ * @returns {Array} Readings { time: Date, energyWh, intervalMinutes }
+ * @throws {Error} When no time or consumption column is found
+ */
+function parseMeterCsv (text, config) {
+  const timeZone = peakTracker.getTimeZone(config)
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '')
+  if (lines.length === 0) return []
+
+  const delimiter = ['\t', ';', ','].find(d => lines[0].includes(d)) || ','
+  const header = splitCsvLine(lines[0], delimiter)
+
+  const timeCol = header.findIndex(h => TIME_COLUMNS.test(h))
+  const endCol = header.findIndex(h => END_COLUMNS.test(h))
+  const clockCol = header.findIndex((h, i) => i !== timeCol && CLOCK_COLUMNS.test(h))
+  const valueCol = header.findIndex((h, i) => i !== timeCol && i !== endCol && i !== clockCol && VALUE_COLUMNS.test(h))
+  if (timeCol < 0 || valueCol < 0) {
+    throw new Error(`Meter data CSV needs a time and a consumption column, found: ${header.join(', ')}`)
+  }
+  const unit = getUnit(header[valueCol])
+
+  const rows = []
+  let previousMs = null
+  lines.slice(1).forEach(line => {
+    const cells = splitCsvLine(line, delimiter)
+    let start = cells[timeCol]
+    if (clockCol >= 0 && cells[clockCol]) {
+      // Separate date and time columns; a plain hour like '18' or '18-19' is allowed
+      const clock = cells[clockCol].match(/^(\d{1,2})(?::(\d{2}))?/)
+      if (clock) start = `${start} ${clock[1]}:${clock[2] || '00'}`
+    }
+
+    const parsed = parseTimestamp(start, timeZone)
+    const value = parseDecimal(cells[valueCol])
+    if (!parsed || !Number.isFinite(value)) return
+
+    let timeMs = parsed.time.getTime()
+    if (parsed.wallClock && previousMs !== null && timeMs <= previousMs && isRepeatedWallClock(timeMs, timeZone)) {
+      timeMs += 3600000
+    }
+    previousMs = timeMs
+
+    const end = endCol >= 0 ? parseTimestamp(cells[endCol], timeZone) : null
+    rows.push({
+      timeMs,
+      endMs: end ? end.time.getTime() : null,
+      value
+    })
+  })
+
+  const defaultInterval = inferIntervalMinutes(rows.map(r => r.timeMs))
+  return rows.map(row => {
+    const intervalMinutes = row.endMs > row.timeMs ? Math.round((row.endMs - row.timeMs) / 60000) : defaultInterval
+    return {
+      time: new Date(row.timeMs),
+      energyWh: unit.isPower ? row.value * unit.toWh * intervalMinutes / 60 : row.value * unit.toWh,
+      intervalMinutes
+    }
+  })
+}
+
+/**
+ * Normalise readings sent as an array of objects
+ *
+ * Each entry has a start time (timestamp, time, start or from) and either
+ * energy (kWh, energyKwh, energyWh) or average power (avgW, powerW) for the
+ * period. The interval comes from minutes/intervalMinutes or is inferred.
+ *
+ * @param {Array} entries - Reading objects
+ * @param {object} config - Configuration (timezone is used)
+ * @returns {Array} Readings { time: Date, energyWh, intervalMinutes }
+ * @throws {Error} When an entry cannot be read
+ */
+function normalizeReadings (entries, config) {
+  const timeZone = peakTracker.getTimeZone(config)
+
+  const parsed = entries.map((entry, index) => {
+    const start = entry && (entry.timestamp ?? entry.time ?? entry.start ?? entry.from)
+    const timestamp = parseTimestamp(start, timeZone)
+    if (!timestamp) {
+      throw new Error(`Invalid time in meter reading ${index}: ${start}`)
+    }
+    return { entry, time: timestamp.time }
+  })
+
+  const defaultInterval = inferIntervalMinutes(parsed.map(p => p.time.getTime()))
+  return parsed.map(({ entry, time }, index) => {
+    const intervalMinutes = parseInt(entry.intervalMinutes ?? entry.minutes) || defaultInterval
+    let energyWh
+    if (entry.energyWh !== undefined) {
+      energyWh = parseDecimal(entry.energyWh)
+    } else if (entry.kWh !== undefined || entry.energyKwh !== undefined) {
+      energyWh = parseDecimal(entry.kWh ?? entry.energyKwh) * 1000
+    } else {
+      energyWh = parseDecimal(entry.avgW ?? entry.powerW) * intervalMinutes / 60
+    }
+    if (!Number.isFinite(energyWh)) {
+      throw new Error(`Invalid consumption in meter reading ${index}`)
+    }
+    return { time, energyWh, intervalMinutes }
+  })
+}
+
+/**
+ * Read meter data from a CSV string or an array of readings
+ * @param {string|Array} data - CSV content or reading objects
+ * @param {object} config - Configuration
+ * @returns {Array} Readings { time: Date, energyWh, intervalMinutes }
+ * @throws {Error} When the data cannot be read
+ */
+function parseMeterData (data, config) {
+  if (Array.isArray(data)) return normalizeReadings(data, config)
+  if (typeof data === 'string') return parseMeterCsv(data, config)
+  throw new Error('Meter data must be a CSV string or an array of readings')
+}
+
+/**
+ * Group readings into completed measurement periods
+ *
+ * Readings shorter than the configured interval are summed into it;
+ * longer readings (hourly data with a 15 minute tariff) are kept as they are.
+ * Periods that have not ended yet at `now` are left out.
+ *
+ * @param {Array} readings - Readings { time, energyWh, intervalMinutes }
+ * @param {number} intervalMinutes - Configured measurement interval
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} now - Current timestamp
+ * @returns {Array} Periods { startMs, lengthMinutes, energyWh, coveredMinutes }, sorted by time
+ */
+function groupPeriods (readings, intervalMinutes, timeZone, now) {
+  const periods = new Map()
+  readings.forEach(r => {
+    const lengthMinutes = Math.max(intervalMinutes, r.intervalMinutes)
+    const startMs = r.intervalMinutes < intervalMinutes
+      ? peakTracker.getPeriodStartTime(r.time, intervalMinutes, timeZone)
+      : r.time.getTime()
+    if (startMs + lengthMinutes * 60000 > now.getTime()) return
+
+    const period = periods.get(startMs) || { startMs, lengthMinutes, energyWh: 0, coveredMinutes: 0 }
+    period.energyWh += Math.max(0, r.energyWh)
+    period.coveredMinutes += r.intervalMinutes
+    periods.set(startMs, period)
+  })
+  return [...periods.values()].sort((a, b) => a.startMs - b.startMs)
+}
+
+/**
+ * Check whether a time was already fed into the historical profile
+ * @param {Array} ranges - Imported ranges { from, to } in ms
+ * @param {number} timeMs - Start of the hour in ms
+ * @returns {boolean}
+ */
+function isImported (ranges, timeMs) {
+  return ranges.some(r => timeMs >= r.from && timeMs < r.to)
+}
+
+/**
+ * Add an imported range, merging it with the ranges it overlaps or touches
+ * @param {Array} ranges - Imported ranges { from, to } in ms
+ * @param {number} from - Range start in ms
+ * @param {number} to - Range end in ms (exclusive)
+ * @returns {Array} Merged ranges sorted by time
+ */
+function addImportedRange (ranges, from, to) {
+  const merged = []
+  ;[...ranges, { from, to }].sort((a, b) => a.from - b.from).forEach(r => {
+    const previous = merged[merged.length - 1]
+    if (previous && r.from <= previous.to) {
+      previous.to = Math.max(previous.to, r.to)
+    } else {
+      merged.push({ from: r.from, to: r.to })
+    }
+  })
+  return merged
+}
+
+/**
+ * Get the peaks already known for a closed billing period
+ *
+ * Peaks of earlier imports are kept in the state; otherwise the counted
+ * peaks of the archived period are used.
+ *
+ * @param {object} state - Current state (previousPeriodPeaks, periodArchive)
+ * @param {string} start - Period start as YYYY-MM-DD
+ * @returns {Array} Copies of the peaks { date, hour, minute, value, effective }
+ */
+function getKnownPeaks (state, start) {
+  const imported = state.previousPeriodPeaks
+  if (imported && imported.start === start) return imported.peaks.map(p => ({ ...p }))
+  const archived = (state.periodArchive || []).find(entry => entry.start === start)
+  return archived && Array.isArray(archived.peaks) ? archived.peaks.map(p => ({ ...p })) : []
+}
+
+/**
+ * Import historical meter data into the tracker state
+ *
+ * Periods of the current billing period are recorded as peaks (replacing a
+ * peak already tracked for the same period), periods of the previous
+ * billing period set previousMonthPeakAvgW for carryover mode, and every period feeds the
+ * historical profile used by the forecast. Peak hours, peak season,
+ * holidays, time-of-use weights and season profiles apply as for live
+ * measurements.
+ *
+ * Imports add to what is already known: periods of the previous billing
+ * period are merged with its peaks from earlier imports or the archive, so
+ * a partial file does not replace the carryover average, and the imported
+ * time ranges are kept, so hours sent again do not count twice in the
+ * profile while hours missing from an earlier file still do.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {Array} readings - Readings from parseMeterData
+ * @param {Date} now - Current timestamp
+ * @returns {object} Summary { readings, periods, currentMonthPeriods, previousMonthPeriods, historyHoursSkipped, peaksRecorded, peakAvgW, previousMonthPeakAvgW, from, to }
+ */
+function importMeterData (state, config, readings, now) {
+  const timeZone = peakTracker.getTimeZone(config)
+  const intervalMinutes = peakTracker.getMeasurementInterval(config)
+  const local = getZonedTime(now, timeZone)
+  const currentMonth = local.month - 1
+  const billingPeriod = getBillingPeriod(now, config)
+  const previousPeriod = getPreviousBillingPeriod(billingPeriod, config)
+  const inPeriod = (dateStr, { start, end }) => dateStr >= start && dateStr < end
+
+  const monthConfig = getSeasonConfig(config, local.month)
+  const previousMonthConfig = getSeasonConfig(config, Number(previousPeriod.start.slice(5, 7)))
+
+  if (isNewBillingPeriod(state, billingPeriod, currentMonth)) {
+    peakTracker.resetMonth(state, monthConfig, currentMonth, billingPeriod)
+  }
+  state.billingPeriodStart = billingPeriod.start
+
+  const periods = groupPeriods(readings, intervalMinutes, timeZone, now)
+  const previousMonth = { peaks: getKnownPeaks(state, previousPeriod.start) }
+  const hourly = new Map()
+  let currentMonthPeriods = 0
+  let previousMonthPeriods = 0
+
+  periods.forEach(period => {
+    const start = getZonedTime(new Date(period.startMs), timeZone)
+    const avgW = period.energyWh * 60 / Math.max(1, Math.min(period.coveredMinutes, period.lengthMinutes))
+    const effectiveW = avgW * getTimeWeight(getSeasonConfig(config, start.month), start)
+    const isPeakPeriod = peakTracker.isInPeakHours(start.hour, start.dayOfWeek, start.month, config, start.dateStr)
+
+    if (inPeriod(start.dateStr, billingPeriod)) {
+      currentMonthPeriods++
+      state.peaks = state.peaks.filter(p => !(p.date === start.dateStr && p.hour === start.hour && (p.minute || 0) === start.minute))
+      if (isPeakPeriod) {
+        peakTracker.recordPeak(state, monthConfig, start.dateStr, start.hour, avgW, effectiveW, start.minute)
+      }
+    } else if (inPeriod(start.dateStr, previousPeriod)) {
+      previousMonthPeriods++
+      previousMonth.peaks = previousMonth.peaks.filter(p => !(p.date === start.dateStr && p.hour === start.hour && (p.minute || 0) === start.minute))
+      if (isPeakPeriod) {
+        peakTracker.recordPeak(previousMonth, previousMonthConfig, start.dateStr, start.hour, avgW, effectiveW, start.minute)
+      }
+    }
+
+    // Historical profile is kept per hour
+    const hourKey = `${start.dateStr} ${start.hour}`
+    const hour = hourly.get(hourKey) || { startMs: period.startMs, dayOfWeek: start.dayOfWeek, hour: start.hour, energyWh: 0, minutes: 0 }
+    hour.energyWh += period.energyWh
+    hour.minutes += Math.min(period.coveredMinutes, period.lengthMinutes)
+    hourly.set(hourKey, hour)
+  })
+
+  if (previousMonthPeriods > 0) {
+    state.previousPeriodPeaks = { start: previousPeriod.start, peaks: previousMonth.peaks }
+  }
+  if (previousMonthPeriods > 0 && previousMonth.peaks.length > 0) {
+    state.previousMonthPeakAvgW = peakTracker.calculatePeakAverage(previousMonth, peakTracker.getPeakCount(previousMonthConfig))
+  }
+
+  const importedRanges = state.importedRanges || []
+  let historyHoursSkipped = 0
+  hourly.forEach(h => {
+    if (isImported(importedRanges, h.startMs)) {
+      historyHoursSkipped++
+      return
+    }
+    const avgW = h.energyWh * 60 / Math.max(60, h.minutes)
+    state.historicalData = forecasting.updateHistoricalData(state.historicalData || {}, h.dayOfWeek, h.hour, avgW)
+  })
+  // One range per run of consecutive periods, so gaps in the file stay open
+  state.importedRanges = periods.reduce(
+    (ranges, period) => addImportedRange(ranges, period.startMs, period.startMs + period.lengthMinutes * 60000),
+    importedRanges
+  )
+
+  return {
+    readings: readings.length,
+    periods: periods.length,
+    currentMonthPeriods,
+    previousMonthPeriods,
+    historyHoursSkipped,
+    peaksRecorded: state.peaks.length,
+    peakAvgW: Math.round(peakTracker.calculatePeakAverage(state, peakTracker.getPeakCount(monthConfig))),
+    previousMonthPeakAvgW: state.previousMonthPeakAvgW !== null ? Math.round(state.previousMonthPeakAvgW) : null,
+    from: periods.length > 0 ? new Date(periods[0].startMs).toISOString() : null,
+    to: periods.length > 0 ? new Date(periods[periods.length - 1].startMs).toISOString() : null
+  }
+}
+
+module.exports = {
+  parseMeterData,
+  parseMeterCsv,
+  normalizeReadings,
+  importMeterData,
+  // Exported for testing
+  parseTimestamp,
+  parseDecimal
+}
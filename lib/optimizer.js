@@ -0,0 +1,228 @@
+'use strict'
+
+const peakTracker = require('./peak-tracker')
+const { getCurrentPrice } = require('./spot-prices')
+const { getTimeWeight } = require('./time-of-use')
+const { getSeasonConfig } = require('./seasons')
+const { getBillingPeriod } = require('./billing-period')
+const { addCalendarDays } = require('./timezone')
+const { roundSek } = require('./costs')
+
+/**
+ * Economic Optimizer for Effekttariff (ekonomisk optimering)
+ *
+ * Holding the limit is not free: the battery energy used instead of the
+ * grid has to be bought back later (with conversion losses) and wears the
+ * battery, and shifting load has a comfort cost. The optimizer compares
+ * that with what a higher monthly peak costs and lifts the limit when
+ * raising the peak is the cheaper choice.
+ *
+ * Both choices are priced per kW of excess over the rest of the billing
+ * period: a higher peak is billed once, while the alternatives are paid
+ * again each day the excess returns. Costs are linear per kW, so the
+ * cheaper choice is the same for any amount of excess.
+ */
+
+/**
+ * Actions the optimizer can choose
+ */
+const ACTIONS = ['hold-limit', 'raise-peak']
+
+/**
+ * Cost per kW of raising the monthly peak
+ *
+ * The period replaces the lowest counted peak, so each extra kW adds
+ * 1/peakCount kW to the billed average (1 kW with a single highest peak).
+ * The time-of-use weight of the period scales the cost, e.g. only half of
+ * a night period counts with night discount. Price and peak count follow
+ * the season profile of the period.
+ *
+ * @param {object} baseConfig - Configuration (powerPriceSekPerKw, time-of-use weights)
+ * @param {object} local - Local time of the period { hour, dayOfWeek, month, dateStr }
+ * @returns {number} SEK per kW
+ */
+function calculatePeakCostPerKw (baseConfig, local) {
+  const config = getSeasonConfig(baseConfig, local.month)
+  const weight = getTimeWeight(config, local)
+  return config.powerPriceSekPerKw / peakTracker.getPeakCount(config) * weight
+}
+
+/**
+ * Count the days left in the billing period on which an hour is a peak hour
+ *
+ * Holding the limit has to be repeated on each of these days when the same
+ * excess returns, so the alternatives to a higher peak are scaled by it.
+ *
+ * @param {object} baseConfig - Configuration
+ * @param {Date} now - Current timestamp
+ * @param {number} hour - Local hour of the measurement period
+ * @returns {number} Days, today included (at least 1)
+ */
+function countPeakDaysLeft (baseConfig, now, hour) {
+  const local = peakTracker.getLocalTime(now, baseConfig)
+  const { end } = getBillingPeriod(now, baseConfig)
+  let days = 0
+  for (let offset = 0; ; offset++) {
+    const day = addCalendarDays(local.year, local.month, local.day, offset)
+    if (day.dateStr >= end) break
+    const config = getSeasonConfig(baseConfig, day.month)
+    if (peakTracker.isInPeakSeason(day.month, config) && peakTracker.isInPeakHours(hour, day.dayOfWeek, day.month, config, day.dateStr)) {
+      days++
+    }
+  }
+  return Math.max(1, days)
+}
+
+/**
+ * Cost per kWh of covering load from the battery
+ *
+ * The discharged energy replaces grid energy at the current price but has
+ * to be recharged at rechargePrice, with round-trip losses, and wears the
+ * battery. A negative result means discharging now pays off by itself.
+ *
+ * @param {object} config - Configuration (roundTripEfficiency, batteryWearCostPerKwh)
+ * @param {number|null} spotPrice - Current energy price per kWh
+ * @param {number|null} rechargePrice - Expected price per kWh when recharging
+ * @returns {number} SEK per kWh
+ */
+function calculateDischargeCostPerKwh (config, spotPrice, rechargePrice) {
+  const efficiency = Math.min(Math.max(config.roundTripEfficiency, 1), 100) / 100
+  const energyCost = spotPrice !== null && rechargePrice !== null ? rechargePrice / efficiency - spotPrice : 0
+  return energyCost + config.batteryWearCostPerKwh
+}
+
+/**
+ * Expected recharge price
+ *
+ * The average price of the planned charging (calculateChargeRate) is used
+ * when available, otherwise the average of the known prices of the next
+ * 24 hours.
+ *
+ * @param {Array} prices - Spot price slots
+ * @param {object|null} batteryStatus - Battery status from getBatteryStatus
+ * @param {Date} now - Current timestamp
+ * @returns {number|null} Price per kWh or null when unknown
+ */
+function getRechargePrice (prices, batteryStatus, now) {
+  if (batteryStatus && typeof batteryStatus.averagePrice === 'number') {
+    return batteryStatus.averagePrice
+  }
+  const nowMs = now.getTime()
+  const upcoming = (prices || []).filter(s => s.endMs > nowMs && s.startMs < nowMs + 24 * 3600000)
+  if (upcoming.length === 0) return null
+  return upcoming.reduce((sum, s) => sum + s.price, 0) / upcoming.length
+}
+
+/**
+ * Check whether the battery has energy left above its minimum SOC
+ * @param {object|null} batteryState - Battery state { soc, minSoc }
+ * @returns {boolean}
+ */
+function hasBatteryEnergy (batteryState) {
+  return batteryState !== null && batteryState !== undefined &&
+    typeof batteryState.soc === 'number' && batteryState.soc > (batteryState.minSoc ?? 20)
+}
+
+/**
+ * Decide whether raising the peak is cheaper than holding the limit
+ *
+ * Only decided during peak hours with a target limit and no override. The
+ * alternatives to a higher peak are discharging the battery (when it has
+ * energy above its minimum SOC) and shifting load (when a cost for it is
+ * configured); the cheaper one is compared with the peak cost. Without any
+ * alternative the limit is held, as without the optimizer.
+ *
+ * The peak cost is billed once per billing period; the alternatives cost
+ * the energy of one measurement period on each peak day left in it.
+ *
+ * @param {object} config - Configuration
+ * @param {object} result - Result of processGridPower
+ * @param {object|null} batteryState - Battery state { soc, minSoc }
+ * @param {object|null} batteryStatus - Battery status from getBatteryStatus
+ * @param {Array} prices - Spot price slots
+ * @param {Date} now - Current timestamp
+ * @returns {object|null} Decision { action, reason, peakDaysLeft, marginalCostPerKw, expectedCost, ... } or null when not applicable
+ */
+function evaluateDecision (config, result, batteryState, batteryStatus, prices, now) {
+  if (!result.inPeakSeason || !result.inPeakHours || result.targetLimitW === null || result.override) {
+    return null
+  }
+
+  // Hours of holding the limit until the billing period ends
+  const peakDaysLeft = countPeakDaysLeft(config, now, result.currentHour)
+  const holdHours = result.intervalMinutes / 60 * peakDaysLeft
+  const spotPrice = getCurrentPrice(prices, now)
+  const rechargePrice = getRechargePrice(prices, batteryStatus, now)
+
+  const peakCostPerKw = calculatePeakCostPerKw(config, { ...peakTracker.getLocalTime(now, config), hour: result.currentHour })
+  const dischargeCostPerKw = hasBatteryEnergy(batteryState)
+    ? calculateDischargeCostPerKwh(config, spotPrice, rechargePrice) * holdHours
+    : null
+  const shiftCostPerKw = config.loadShiftCostPerKwh !== null && config.loadShiftCostPerKwh !== undefined
+    ? config.loadShiftCostPerKwh * holdHours
+    : null
+
+  const alternatives = [
+    { name: 'battery', costPerKw: dischargeCostPerKw },
+    { name: 'load shift', costPerKw: shiftCostPerKw }
+  ].filter(a => a.costPerKw !== null)
+  const cheapest = alternatives.sort((a, b) => a.costPerKw - b.costPerKw)[0] || null
+
+  const action = cheapest && peakCostPerKw < cheapest.costPerKw ? 'raise-peak' : 'hold-limit'
+  const marginalCostPerKw = action === 'raise-peak' ? peakCostPerKw : (cheapest ? cheapest.costPerKw : null)
+  const excessKw = Math.max(0, result.currentHourAvgW - result.targetLimitW) / 1000
+
+  let reason
+  if (!cheapest) {
+    reason = 'no alternative to holding the limit'
+  } else if (action === 'raise-peak') {
+    reason = `peak ${roundSek(peakCostPerKw)} < ${cheapest.name} ${roundSek(cheapest.costPerKw)} SEK/kW`
+  } else {
+    reason = `${cheapest.name} ${roundSek(cheapest.costPerKw)} <= peak ${roundSek(peakCostPerKw)} SEK/kW`
+  }
+
+  return {
+    action,
+    alternative: cheapest ? cheapest.name : null,
+    reason,
+    peakDaysLeft,
+    spotPrice,
+    rechargePrice: roundSek(rechargePrice),
+    peakCostPerKw: roundSek(peakCostPerKw),
+    dischargeCostPerKw: roundSek(dischargeCostPerKw),
+    shiftCostPerKw: roundSek(shiftCostPerKw),
+    marginalCostPerKw: roundSek(marginalCostPerKw),
+    excessKw: Math.round(excessKw * 1000) / 1000,
+    expectedCost: marginalCostPerKw !== null ? roundSek(marginalCostPerKw * excessKw) : null
+  }
+}
+
+/**
+ * Apply a decision to the processing result
+ *
+ * When raising the peak is cheaper the limit is lifted by the priced
+ * excess, up to the breaker current, for the rest of the period.
+ *
+ * @param {object} state - Current state (lastOutputLimitA is read)
+ * @param {object} config - Configuration
+ * @param {object} result - Result of processGridPower (will be mutated)
+ * @param {object|null} decision - Decision from evaluateDecision
+ */
+function applyDecision (state, config, result, decision) {
+  if (!decision || decision.action !== 'raise-peak' || !(decision.excessKw > 0)) return
+
+  const raisedA = result.outputLimitA + peakTracker.wattsToAmps(decision.excessKw * 1000, config)
+  result.outputLimitA = Math.min(Math.round(raisedA * 10) / 10, config.maxBreakerCurrent)
+  result.limitReason = `economic: ${decision.reason}`
+  result.outputChanged = result.outputLimitA !== state.lastOutputLimitA
+}
+
+module.exports = {
+  ACTIONS,
+  calculatePeakCostPerKw,
+  countPeakDaysLeft,
+  calculateDischargeCostPerKwh,
+  getRechargePrice,
+  evaluateDecision,
+  applyDecision
+}
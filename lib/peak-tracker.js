@@ -1,14 +1,18 @@
 'use strict'
 
 const {
-  addDays,
-  differenceInMinutes,
-  isSaturday,
-  isSunday,
-  isWeekend,
-  set,
-  startOfDay
-} = require('date-fns')
+  DEFAULT_TIMEZONE,
+  getTimeZone,
+  getZonedTime,
+  zonedTimeToDate,
+  addCalendarDays
+} = require('./timezone')
+const { isSwedishHoliday, isCustomHoliday } = require('./holidays')
+const { planCharging } = require('./spot-prices')
+const { estimateSurplusWh } = require('./solar')
+const { getTimeWeight, getPeakWindow } = require('./time-of-use')
+const { getSeasonConfig, getSeasonProfile, hasSeasonProfiles } = require('./seasons')
+const { getBillingPeriod, getBillingPeriodEnd, isNewBillingPeriod, createPeriodStats, getPeriodStats, archivePeriod } = require('./billing-period')
 
 /**
  * Peak Tracker for Swedish Effekttariff
@@ -19,22 +23,76 @@ const {
 
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
 
+/**
+ * Supported measurement intervals in minutes (kvartsmätning = 15)
+ */
+const MEASUREMENT_INTERVALS = [15, 30, 60]
+
+/**
+ * Supported input types: instantaneous power or a cumulative import counter
+ */
+const INPUT_TYPES = ['power', 'energy-wh', 'energy-kwh']
+
+/**
+ * Supported limit modes: a fixed power limit, or the power still allowed
+ * by the energy budget left in the current measurement period
+ */
+const LIMIT_MODES = ['fixed', 'budget']
+
+/**
+ * Seconds before the period end from which the remaining budget is no
+ * longer spread over less time (avoids extreme limits in the last seconds)
+ */
+const MIN_BUDGET_REMAINING_S = 60
+
+/**
+ * msg.topic values that select the input type per message
+ */
+const INPUT_TOPICS = {
+  power: 'power',
+  energy_wh: 'energy-wh',
+  energy_kwh: 'energy-kwh'
+}
+
 /**
  * Default configuration
  */
 const DEFAULT_CONFIG = {
   // Peak tracking settings
+  // 'average' = average of the N highest peaks (peakCount)
+  // 'highest' = single highest peak of the month
+  tariffModel: 'average',
   peakCount: 3,
   onePeakPerDay: true,
+  measurementIntervalMinutes: 60, // 15 | 30 | 60 - length of the period the DSO averages over
+  timezone: DEFAULT_TIMEZONE, // IANA timezone used for hours, dates and month reset
+  maxSampleHoldSeconds: 600, // Max time one sample's power is assumed to last (energy integration)
+  inputType: 'power', // 'power' (W) | 'energy-wh' | 'energy-kwh' (cumulative import counter)
+  counterRolloverKwh: 0, // Counter value at which the meter register wraps to zero (0 = no rollover)
   peakHoursStart: 7,
   peakHoursEnd: 21,
+  peakWindows: [], // Peak windows { hours, days, weight }, replace peakHoursStart/End when set
   weekdaysOnly: false,
+  excludeHolidays: false, // Swedish public holidays (röda dagar) are not peak hours
+  customHolidays: [], // Extra days without peak hours: 'YYYY-MM-DD' or yearly 'MM-DD'
   nightDiscount: false,
+  touWeights: [], // Time-of-use weights { months, days, hours, weight }, replaces nightDiscount when set
   peakSeasonOnly: true,
   peakSeasonStart: 11, // November
   peakSeasonEnd: 3, // March
+  seasonProfiles: [], // Season profiles { name, months, ...overrides }, replace the season settings when set
+  billingPeriod: 'calendar', // 'calendar' | 'startDay' | 'dates' - period the peaks are averaged over
+  billingStartDay: 1, // First day of the billing period (1-28) in 'startDay' mode
+  billingPeriodDates: [], // Period start dates 'YYYY-MM-DD' in 'dates' mode
   minimumLimitKw: 4,
   headroomKw: 0.3,
+  limitMode: 'fixed', // 'fixed' = target power | 'budget' = remaining energy budget of the period
+  powerPriceSekPerKw: 50, // Effektavgift per kW and month
+  fixedFeeSekPerMonth: 0, // Fixed grid fee (abonnemangsavgift) per month
+  transferFeeSekPerKwh: 0, // Energy transfer fee (överföringsavgift) per kWh
+  vatPercent: 25, // VAT (moms)
+  pricesIncludeVat: true, // Prices above are entered including VAT
+  baselinePeakKw: 0, // Billed peak without peak shaving, for the saving (0 = unknown)
 
   // Learning phase settings
   // 'learning' = use minimum limit until enough peaks recorded (original behavior)
@@ -55,6 +113,7 @@ const DEFAULT_CONFIG = {
   phases: 3,
   gridVoltage: 230,
   maxBreakerCurrent: 25,
+  phaseUnit: 'W', // Unit of per-phase readings { L1, L2, L3 }: 'W' | 'A'
 
   // Battery charging settings (laddningsinställningar)
   batteryEnabled: false,
@@ -63,6 +122,39 @@ const DEFAULT_CONFIG = {
   batteryCapacityWh: 10000, // 10 kWh default
   maxChargeRateW: 3000, // 3 kW default
   socBuffer: 20, // Target SOC = minSoc + buffer (%)
+  priceAwareCharging: false, // Charge in the cheapest hours before peak (needs spot prices)
+  priceContextKey: 'nordpool', // Global context key with today/tomorrow spot prices
+
+  // Solar PV settings (solceller)
+  solarEnabled: false,
+  pvPowerContextKey: 'pv.power', // Global context key with the live PV production (W)
+  pvForecastContextKey: 'pv.forecast', // Global context key with the PV forecast
+  solarBaseLoadW: 500, // Household consumption the PV covers before charging the battery
+
+  // Economic optimizer settings (ekonomisk optimering)
+  economicOptimizer: false, // Raise the peak when that is cheaper than holding the limit
+  roundTripEfficiency: 90, // Battery round-trip efficiency (%)
+  batteryWearCostPerKwh: 0.5, // Battery wear per discharged kWh (SEK)
+  loadShiftCostPerKwh: null, // Cost of shifting a kWh of load (SEK), null = not considered
+
+  // Load shedding settings (laststyrning)
+  loads: [], // Controllable loads { name, priority, powerW, minOnMinutes, minOffMinutes, maxOffMinutes }
+
+  // Thermal load settings (värmestyrning)
+  thermalLoads: [], // Heat pumps and water heaters { name, setpoint, setbackDegrees, preheatDegrees, preheatHours, maxSetbackHours }
+
+  // EV charger settings (laddbox)
+  evChargerEnabled: false,
+  evPowerContextKey: 'ev.power', // Global context key with the charger power (W), optional
+  evMinCurrentA: 6, // Lowest current the charger accepts
+  evMaxCurrentA: 16, // Highest current per phase
+  evPhases: 3, // Phases the charger is connected to
+  evPhaseSwitching: false, // Charger can switch between 1 and 3 phases
+  evPhaseHysteresisW: 500, // Extra room needed to go back to 3 phases
+  evPhaseSwitchMinutes: 5, // Minimum time between phase switches
+  evRampIntervalSeconds: 30, // Minimum time between current increases
+  evMinPauseMinutes: 5, // Minimum pause before charging resumes
+  evOutputFormat: 'amps', // 'amps' | 'ocpp' | 'easee' | 'zaptec'
 
   // Battery balancing settings
   batteryBalancing: {
@@ -99,20 +191,43 @@ const DEFAULT_CONFIG = {
 function createInitialState () {
   return {
     currentMonth: null,
+    billingPeriodStart: null, // Start date (YYYY-MM-DD) of the current billing period
+    periodArchive: [], // Closed billing periods { start, end, peakCount, peakAvgW, peaks, energyKwh, hourlyMaxW, ... }
+    periodStats: createPeriodStats(), // Statistics of the current billing period for the archive
     peaks: [],
     currentHour: null,
+    currentMinute: 0, // Start minute of the current measurement period within the hour
+    currentPeriodStartTime: null, // Start timestamp (ms) of the current measurement period
     currentHourSum: 0,
     currentHourSamples: 0,
     lastOutputLimitA: null,
+    limitOverride: null, // Forced limit { limitA, until (ms) } set by the override command
+    loadStates: {}, // Switching state per controllable load { name: { shed, since } }
+    thermalStates: {}, // Setpoint offset per thermal load { name: { offset, mode, since, date, setbackMs, lastMs } }
+
+    // Energy integration state (time-weighted averaging)
+    currentHourEnergyWh: 0, // Energy in the current measurement period
+    currentHourDurationS: 0, // Seconds of the current period covered by samples
+    lastSampleTime: null, // Timestamp (ms) of the previous sample
+    lastSamplePowerW: null, // Power of the previous sample in watts
+
+    // Energy counter input state
+    lastCounterWh: null, // Previous counter reading in Wh
+    lastCounterTime: null, // Timestamp (ms) of the previous counter reading
 
     // Previous month carryover state
-    previousMonthPeakAvgW: null, // Peak average from previous month (for carryover mode)
+    previousMonthPeakAvgW: null, // Peak average of the previous billing period (for carryover mode)
+    previousPeriodPeaks: null, // Peaks { start, peaks } of the previous billing period from meter imports
+
+    // Cost estimation state
+    monthEnergyWh: 0, // Grid import of the completed periods this month
 
     // Forecasting state
     currentForecast: null,
     periodEnergyUsed: {}, // { 'period_7_9': 1500 } in Wh
     forecastDate: null, // Date string for daily reset
     historicalData: {}, // { dayOfWeek: { hourlyAverages: [...], sampleCounts: [...] } }
+    importedRanges: [], // Time ranges { from, to } (ms) of meter data already in historicalData
 
     // Battery balancing state
     balancingStartTime: null, // When balancing mode started (or 100% was reached)
@@ -120,6 +235,104 @@ function createInitialState () {
   }
 }
 
+/**
+ * Get the configured measurement interval, falling back to hourly
+ * @param {object} config - Configuration
+ * @returns {number} Interval in minutes (15, 30 or 60)
+ */
+function getMeasurementInterval (config) {
+  const interval = parseInt(config.measurementIntervalMinutes)
+  return MEASUREMENT_INTERVALS.includes(interval) ? interval : 60
+}
+
+/**
+ * Get the wall-clock time of a timestamp in the configured timezone
+ * @param {Date} now - Timestamp
+ * @param {object} config - Configuration (timezone is used)
+ * @returns {object} { year, month (1-12), day, hour, minute, second, dayOfWeek, dateStr }
+ */
+function getLocalTime (now, config) {
+  return getZonedTime(now, getTimeZone(config))
+}
+
+/**
+ * Get the start minute of the measurement period containing a timestamp
+ * @param {Date} now - Timestamp
+ * @param {number} intervalMinutes - Measurement interval in minutes
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {number} Start minute within the hour (0-59)
+ */
+function getPeriodStartMinute (now, intervalMinutes, timeZone = DEFAULT_TIMEZONE) {
+  return Math.floor(getZonedTime(now, timeZone).minute / intervalMinutes) * intervalMinutes
+}
+
+/**
+ * Get the start timestamp of the measurement period containing a timestamp
+ *
+ * Periods are counted in real time, so the repeated hour of the autumn DST
+ * switch gives two separate periods.
+ *
+ * @param {Date} now - Timestamp
+ * @param {number} intervalMinutes - Measurement interval in minutes
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {number} Period start in milliseconds since epoch
+ */
+function getPeriodStartTime (now, intervalMinutes, timeZone = DEFAULT_TIMEZONE) {
+  const local = getZonedTime(now, timeZone)
+  const offsetS = (local.minute % intervalMinutes) * 60 + local.second
+  return now.getTime() - offsetS * 1000 - now.getMilliseconds()
+}
+
+/**
+ * Energy of a held power value over a time span
+ * @param {number} powerW - Power in watts
+ * @param {number} fromMs - Start timestamp (ms)
+ * @param {number} toMs - End timestamp (ms)
+ * @returns {object} { energyWh, durationS }
+ */
+function heldEnergy (powerW, fromMs, toMs) {
+  const durationS = Math.max(0, toMs - fromMs) / 1000
+  return { energyWh: powerW * durationS / 3600, durationS }
+}
+
+/**
+ * Calculate the average power of the current measurement period
+ *
+ * Uses the integrated energy over the time covered by samples. Falls back
+ * to the plain sample average when no time has been covered yet (first
+ * sample of a period, or samples without time between them).
+ *
+ * @param {object} state - Current state
+ * @returns {number} Average power in watts
+ */
+function getCurrentPeriodAverage (state) {
+  if (state.currentHourDurationS > 0) {
+    return state.currentHourEnergyWh * 3600 / state.currentHourDurationS
+  }
+  return state.currentHourSamples > 0
+    ? state.currentHourSum / state.currentHourSamples
+    : 0
+}
+
+/**
+ * Format a measurement period start as HH:MM
+ * @param {number} hour - Hour (0-23)
+ * @param {number} [minute=0] - Minute (0-59)
+ * @returns {string} e.g. '7:00' or '17:45'
+ */
+function formatPeriod (hour, minute = 0) {
+  return `${hour}:${String(minute || 0).padStart(2, '0')}`
+}
+
+/**
+ * Get the number of peaks the tariff is billed on
+ * @param {object} config - Configuration
+ * @returns {number} 1 for the single highest peak model, otherwise peakCount
+ */
+function getPeakCount (config) {
+  return config.tariffModel === 'highest' ? 1 : config.peakCount
+}
+
 /**
  * Check if given month is within peak season
  * @param {number} month - Month (1-12)
@@ -127,6 +340,7 @@ function createInitialState () {
  * @returns {boolean}
  */
 function isInPeakSeason (month, config) {
+  if (hasSeasonProfiles(config)) return getSeasonProfile(config, month) !== null
   if (!config.peakSeasonOnly) return true
 
   if (config.peakSeasonStart <= config.peakSeasonEnd) {
@@ -136,24 +350,73 @@ function isInPeakSeason (month, config) {
   return month >= config.peakSeasonStart || month <= config.peakSeasonEnd
 }
 
+/**
+ * Check if a date is exempt from peak hours as a holiday
+ *
+ * Custom holidays always apply; Swedish public holidays only when
+ * excludeHolidays is enabled.
+ *
+ * @param {string} dateStr - Local date (YYYY-MM-DD)
+ * @param {object} config - Configuration
+ * @returns {boolean}
+ */
+function isHolidayExempt (dateStr, config) {
+  if (!dateStr) return false
+  if (isCustomHoliday(dateStr, config.customHolidays)) return true
+  return config.excludeHolidays === true && isSwedishHoliday(dateStr)
+}
+
 /**
  * Check if given time is within peak hours
  * @param {number} hour - Hour (0-23)
  * @param {number} dayOfWeek - Day of week (0=Sunday, 6=Saturday)
  * @param {number} month - Month (1-12)
- * @param {object} config - Configuration
+ * @param {object} baseConfig - Configuration (the season profile of the month is applied)
+ * @param {string} [dateStr] - Local date (YYYY-MM-DD), needed for holiday rules
  * @returns {boolean}
  */
-function isInPeakHours (hour, dayOfWeek, month, config) {
-  if (!isInPeakSeason(month, config)) return false
+function isInPeakHours (hour, dayOfWeek, month, baseConfig, dateStr) {
+  if (!isInPeakSeason(month, baseConfig)) return false
+  const config = getSeasonConfig(baseConfig, month)
 
   if (config.weekdaysOnly && (dayOfWeek === 0 || dayOfWeek === 6)) {
     return false
   }
 
+  if (isHolidayExempt(dateStr, config)) {
+    return false
+  }
+
+  if (Array.isArray(config.peakWindows) && config.peakWindows.length > 0) {
+    return getPeakWindow(config, { hour, dayOfWeek, dateStr }) !== null
+  }
+
   return hour >= config.peakHoursStart && hour < config.peakHoursEnd
 }
 
+/**
+ * Get the hours at which peak periods start on a day
+ *
+ * With peak windows these are the window hours whose previous hour is not
+ * in a window, so adjoining windows form one peak period.
+ *
+ * @param {object} baseConfig - Configuration (the season profile of the day is applied)
+ * @param {object} day - Local day { dayOfWeek, month, dateStr }
+ * @returns {Array<number>} Start hours (0-23), ascending
+ */
+function getPeakStartHours (baseConfig, day) {
+  const config = getSeasonConfig(baseConfig, day.month)
+  if (!Array.isArray(config.peakWindows) || config.peakWindows.length === 0) {
+    return [config.peakHoursStart]
+  }
+  const inWindow = (hour) => getPeakWindow(config, { hour, dayOfWeek: day.dayOfWeek, dateStr: day.dateStr }) !== null
+  const starts = []
+  for (let hour = 0; hour < 24; hour++) {
+    if (inWindow(hour) && !inWindow((hour + 23) % 24)) starts.push(hour)
+  }
+  return starts
+}
+
 /**
  * Check if hour is within night discount hours (22:00-06:00)
  * @param {number} hour - Hour (0-23)
@@ -181,21 +444,35 @@ function wattsToAmps (watts, config) {
  * @param {number} hour - Hour (0-23)
  * @param {number} value - Actual value in watts
  * @param {number} effective - Effective value (after night discount) in watts
+ * @param {number} [minute=0] - Start minute of the measurement period
  * @returns {string} Result: 'added', 'updated', or 'kept'
  */
-function recordPeak (state, config, date, hour, value, effective) {
+function recordPeak (state, config, date, hour, value, effective, minute = 0) {
+  // Single highest peak: only the monthly maximum is kept
+  if (config.tariffModel === 'highest') {
+    if (state.peaks.length === 0) {
+      state.peaks = [{ date, hour, minute, value, effective }]
+      return 'added'
+    }
+    if (effective > state.peaks[0].effective) {
+      state.peaks = [{ date, hour, minute, value, effective }]
+      return 'updated'
+    }
+    return 'kept'
+  }
+
   if (config.onePeakPerDay) {
     const idx = state.peaks.findIndex(p => p.date === date)
     if (idx >= 0) {
       if (effective > state.peaks[idx].effective) {
-        state.peaks[idx] = { date, hour, value, effective }
+        state.peaks[idx] = { date, hour, minute, value, effective }
         return 'updated'
       }
       return 'kept'
     }
   }
 
-  state.peaks.push({ date, hour, value, effective })
+  state.peaks.push({ date, hour, minute, value, effective })
   state.peaks.sort((a, b) => b.effective - a.effective)
 
   // Trim to reasonable size
@@ -251,10 +528,16 @@ function calculateDynamicHeadroomW (config, batteryState) {
  * @returns {object} { targetLimitW, limitReason, isLearning }
  */
 function calculateTargetLimit (state, config, batteryState) {
-  const topPeaks = getTopPeaks(state, config.peakCount)
   const minimumLimitW = config.minimumLimitKw * 1000
   const headroomW = calculateDynamicHeadroomW(config, batteryState)
 
+  // Single highest peak: every period is measured against the monthly maximum
+  if (config.tariffModel === 'highest') {
+    return calculateHighestPeakLimit(state, config, minimumLimitW, headroomW)
+  }
+
+  const topPeaks = getTopPeaks(state, config.peakCount)
+
   // Learning phase - not enough peaks recorded yet
   if (topPeaks.length < config.peakCount) {
     // Check if we should use carryover from previous month
@@ -293,6 +576,49 @@ function calculateTargetLimit (state, config, batteryState) {
   return { targetLimitW, limitReason, isLearning: false, usingCarryover: false }
 }
 
+/**
+ * Calculate target limit for the single highest peak model
+ *
+ * There is no learning phase: until the first peak is recorded the
+ * minimum limit (or the carryover from last month) applies.
+ *
+ * @param {object} state - Current state
+ * @param {object} config - Configuration
+ * @param {number} minimumLimitW - Minimum limit in watts
+ * @param {number} headroomW - Headroom in watts
+ * @returns {object} { targetLimitW, limitReason, isLearning, usingCarryover }
+ */
+function calculateHighestPeakLimit (state, config, minimumLimitW, headroomW) {
+  const monthlyMax = state.peaks.length > 0 ? state.peaks[0].effective : null
+
+  if (monthlyMax === null) {
+    if (config.learningMode === 'carryover' && state.previousMonthPeakAvgW > 0) {
+      const carryoverLimitW = state.previousMonthPeakAvgW * config.previousMonthCarryover / 100
+      return {
+        targetLimitW: Math.max(carryoverLimitW - headroomW, minimumLimitW),
+        limitReason: `no peak yet - using ${config.previousMonthCarryover}% of prev month`,
+        isLearning: false,
+        usingCarryover: true
+      }
+    }
+
+    return {
+      targetLimitW: minimumLimitW,
+      limitReason: 'min (no peak yet)',
+      isLearning: false,
+      usingCarryover: false
+    }
+  }
+
+  const targetLimitW = Math.max(monthlyMax - headroomW, minimumLimitW)
+  return {
+    targetLimitW,
+    limitReason: targetLimitW === minimumLimitW ? 'min (peak below min)' : 'monthly max - headroom',
+    isLearning: false,
+    usingCarryover: false
+  }
+}
+
 /**
  * Calculate output limit in amps
  * @param {number|null} targetLimitW - Target limit in watts (null if learning without carryover)
@@ -321,8 +647,51 @@ function calculateOutputLimitA (targetLimitW, config, isLearning, usingCarryover
   return Math.round(limitA * 10) / 10
 }
 
+/**
+ * Calculate the power still allowed by the energy budget of the period
+ *
+ * The period may use targetLimitW on average. Energy already consumed is
+ * subtracted and what is left is spread over the rest of the period, so
+ * the limit loosens after a quiet start and tightens after a heavy one.
+ * In periods with a time-of-use weight below 1 the budget grows
+ * accordingly, e.g. it doubles at night with a 50% night discount.
+ *
+ * @param {object} state - Current state (currentHourEnergyWh is used)
+ * @param {object} config - Configuration
+ * @param {number} targetLimitW - Target average (effective) power in watts
+ * @param {Date} now - Current timestamp
+ * @param {number} periodStartMs - Start of the current measurement period in ms
+ * @param {number} intervalMinutes - Length of the measurement period
+ * @param {number} hour - Local hour of the period (for the time-of-use weight)
+ * @returns {object} { budgetWh, usedWh, remainingWh, remainingMinutes, allowedW, weight }
+ */
+function calculateBudgetLimit (state, config, targetLimitW, now, periodStartMs, intervalMinutes, hour) {
+  const weight = getTimeWeight(config, { ...getLocalTime(new Date(periodStartMs), config), hour })
+  // A period with weight 0 does not count, so there is nothing to limit
+  const budgetWh = weight > 0 ? targetLimitW / weight * intervalMinutes / 60 : Infinity
+  const usedWh = state.currentHourEnergyWh || 0
+  const remainingWh = budgetWh - usedWh
+
+  const periodEndMs = periodStartMs + intervalMinutes * 60000
+  const remainingS = Math.max(MIN_BUDGET_REMAINING_S, (periodEndMs - now.getTime()) / 1000)
+  const allowedW = Math.max(config.minimumLimitKw * 1000, remainingWh * 3600 / remainingS)
+
+  return {
+    budgetWh,
+    usedWh,
+    remainingWh,
+    remainingMinutes: Math.max(0, (periodEndMs - now.getTime()) / 60000),
+    allowedW,
+    weight
+  }
+}
+
 /**
  * Calculate peak average in watts
+ *
+ * Pass getPeakCount(config) as peakCount; for the single highest peak
+ * model that is 1, so the result is the monthly maximum.
+ *
  * @param {object} state - Current state
  * @param {number} peakCount - Number of peaks to average
  * @returns {number} Average in watts
@@ -336,19 +705,164 @@ function calculatePeakAverage (state, peakCount) {
 }
 
 /**
- * Process incoming grid power measurement
+ * Determine the input type of a message
+ *
+ * A recognised msg.topic ('power', 'energy_wh', 'energy_kwh') overrides
+ * the configured input type.
+ *
+ * @param {object} config - Configuration
+ * @param {string} topic - msg.topic
+ * @returns {string} 'power', 'energy-wh' or 'energy-kwh'
+ */
+function getInputType (config, topic) {
+  if (topic && INPUT_TOPICS[topic]) return INPUT_TOPICS[topic]
+  return INPUT_TYPES.includes(config.inputType) ? config.inputType : 'power'
+}
+
+/**
+ * Convert a cumulative import counter reading into energy since the previous reading
+ *
+ * A decreasing counter is treated as a rollover when counterRolloverKwh is
+ * configured and the wrapped delta is physically possible (within the main
+ * fuse capacity), otherwise as a meter reset. After a reset the reading
+ * becomes the new baseline and no energy is attributed.
+ *
  * @param {object} state - Current state (will be mutated)
  * @param {object} config - Configuration
+ * @param {number} counterValue - Counter reading
+ * @param {string} inputType - 'energy-wh' or 'energy-kwh'
+ * @param {Date} now - Current timestamp
+ * @returns {object} { event, deltaWh, powerW } - event is 'first', 'ok', 'rollover', 'reset' or 'duplicate'
+ */
+function processEnergyCounter (state, config, counterValue, inputType, now) {
+  const counterWh = inputType === 'energy-kwh' ? counterValue * 1000 : counterValue
+  const nowMs = now.getTime()
+  const previousPowerW = state.lastSamplePowerW || 0
+
+  if (state.lastCounterWh === null || state.lastCounterWh === undefined) {
+    state.lastCounterWh = counterWh
+    state.lastCounterTime = nowMs
+    return { event: 'first', deltaWh: null, powerW: previousPowerW }
+  }
+
+  const elapsedMs = nowMs - state.lastCounterTime
+  if (elapsedMs <= 0) {
+    return { event: 'duplicate', deltaWh: null, powerW: previousPowerW }
+  }
+
+  let event = 'ok'
+  let deltaWh = counterWh - state.lastCounterWh
+  if (deltaWh < 0) {
+    const rolloverWh = (config.counterRolloverKwh || 0) * 1000
+    const wrappedWh = rolloverWh - state.lastCounterWh + counterWh
+    const maxPowerW = config.maxBreakerCurrent * config.gridVoltage * config.phases
+    if (rolloverWh > 0 && wrappedWh >= 0 && wrappedWh * 3600000 / elapsedMs <= maxPowerW) {
+      event = 'rollover'
+      deltaWh = wrappedWh
+    } else {
+      event = 'reset'
+      deltaWh = null
+    }
+  }
+
+  state.lastCounterWh = counterWh
+  state.lastCounterTime = nowMs
+
+  if (deltaWh === null) {
+    return { event, deltaWh, powerW: previousPowerW }
+  }
+
+  return { event, deltaWh, powerW: deltaWh * 3600000 / elapsedMs }
+}
+
+/**
+ * Start a new billing period: clear the peaks and the running measurement period
+ *
+ * The peak average of the period being closed is kept for carryover mode,
+ * calculated with the season profile of its month. The closed period is
+ * added to the archive with its counted peaks; its end follows from its own
+ * start, so a node that was down for a whole period does not stretch it.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {number} month - New month (0-11)
+ * @param {object|null} [period] - New billing period from getBillingPeriod
+ * @returns {number|null} Peak average of the closed period in watts, or null without peaks
+ */
+function resetMonth (state, config, month, period = null) {
+  const closedConfig = Number.isInteger(state.currentMonth) ? getSeasonConfig(config, state.currentMonth + 1) : config
+  const peakCount = getPeakCount(closedConfig)
+  let prevPeakAvg = null
+  if (state.peaks.length > 0) {
+    prevPeakAvg = calculatePeakAverage(state, peakCount)
+    state.previousMonthPeakAvgW = prevPeakAvg
+  }
+
+  const stats = getPeriodStats(state)
+  if (state.peaks.length > 0 || state.billingPeriodStart) {
+    archivePeriod(state, {
+      start: state.billingPeriodStart || null,
+      end: state.billingPeriodStart ? getBillingPeriodEnd(state.billingPeriodStart, config) : (period ? period.start : null),
+      peakCount,
+      peakAvgW: prevPeakAvg !== null ? Math.round(prevPeakAvg) : null,
+      peaks: getTopPeaks(state, peakCount).map(p => ({ date: p.date, hour: p.hour, minute: p.minute || 0, value: p.value, effective: p.effective })),
+      energyKwh: Math.round(((state.monthEnergyWh || 0) + (state.currentHourEnergyWh || 0)) / 100) / 10,
+      hourlyMaxW: [...stats.hourlyMaxW],
+      limitChanges: stats.limitChanges,
+      minLimitA: stats.minLimitA,
+      batteryDischargeKwh: Math.round(stats.batteryDischargeWh / 100) / 10
+    })
+  }
+  state.periodStats = createPeriodStats(stats.lastSoc)
+
+  state.currentMonth = month
+  state.billingPeriodStart = period ? period.start : null
+  state.peaks = []
+  state.currentHour = null
+  state.currentMinute = 0
+  state.currentPeriodStartTime = null
+  state.currentHourSum = 0
+  state.currentHourSamples = 0
+  state.currentHourEnergyWh = 0
+  state.currentHourDurationS = 0
+  state.monthEnergyWh = 0
+
+  return prevPeakAvg
+}
+
+/**
+ * Process incoming grid power measurement
+ *
+ * Samples are averaged per measurement period (hour, half hour or quarter
+ * hour, see measurementIntervalMinutes). The average is time-weighted:
+ * energy is integrated between sample timestamps, so it matches the kWh
+ * the DSO measures regardless of sample spacing. The field names keep the
+ * "hour" wording for compatibility; with a shorter interval they refer to
+ * the current measurement period.
+ *
+ * When energySinceLastWh is given (energy counter input), that energy is
+ * spread evenly over the time since the previous sample instead of holding
+ * the previous sample's power.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} baseConfig - Configuration (the season profile of the timestamp is applied)
  * @param {number} gridPowerW - Grid power in watts (positive = import)
  * @param {Date} now - Current timestamp
+ * @param {object|null} batteryState - Battery state { soc, minSoc }
+ * @param {number|null} energySinceLastWh - Energy imported since the previous sample (counter delta)
  * @returns {object} Processing result
  */
-function processGridPower (state, config, gridPowerW, now, batteryState) {
-  const currentMonth = now.getMonth()
-  const currentHour = now.getHours()
-  const dayOfWeek = now.getDay()
-  const month = now.getMonth() + 1
-  const dateStr = now.toISOString().split('T')[0]
+function processGridPower (state, baseConfig, gridPowerW, now, batteryState, energySinceLastWh = null) {
+  const intervalMinutes = getMeasurementInterval(baseConfig)
+  const timeZone = getTimeZone(baseConfig)
+  const local = getZonedTime(now, timeZone)
+  // Tariff rules of the season this sample falls in
+  const config = getSeasonConfig(baseConfig, local.month)
+  const currentMonth = local.month - 1
+  const currentHour = local.hour
+  const currentMinute = getPeriodStartMinute(now, intervalMinutes, timeZone)
+  const dayOfWeek = local.dayOfWeek
+  const month = local.month
 
   const result = {
     monthReset: false,
@@ -357,95 +871,171 @@ function processGridPower (state, config, gridPowerW, now, batteryState) {
     downtime: null
   }
 
-  // Check for month reset
-  if (state.currentMonth !== currentMonth) {
+  // Check for the start of a new billing period (month reset)
+  const billingPeriod = getBillingPeriod(now, baseConfig)
+  if (isNewBillingPeriod(state, billingPeriod, currentMonth)) {
     result.monthReset = true
     result.previousPeakCount = state.peaks.length
 
-    // Store previous month's peak average for carryover mode
-    if (state.peaks.length > 0) {
-      const prevPeakAvg = calculatePeakAverage(state, config.peakCount)
-      state.previousMonthPeakAvgW = prevPeakAvg
+    const prevPeakAvg = resetMonth(state, config, currentMonth, billingPeriod)
+    if (prevPeakAvg !== null) {
       result.previousMonthPeakAvgW = prevPeakAvg
     }
-
-    state.currentMonth = currentMonth
-    state.peaks = []
-    state.currentHour = null
-    state.currentHourSum = 0
-    state.currentHourSamples = 0
+  } else if (!state.billingPeriodStart) {
+    // State saved before billing periods were tracked
+    state.billingPeriodStart = billingPeriod.start
   }
 
   // Ensure positive value (import only)
   const power = Math.max(0, gridPowerW || 0)
 
-  // Hour transition - record completed hour and check for downtime
-  if (state.currentHour !== null && state.currentHour !== currentHour) {
+  // Measurement period start timestamps. State saved by older versions has
+  // no period start time; it is then derived from the stored hour and minute.
+  const periodStartMs = getPeriodStartTime(now, intervalMinutes, timeZone)
+  let previousPeriodStartMs = null
+  if (state.currentHour !== null) {
+    if (state.currentPeriodStartTime !== null && state.currentPeriodStartTime !== undefined) {
+      previousPeriodStartMs = state.currentPeriodStartTime
+    } else {
+      const periodStart = currentHour * 60 + currentMinute
+      const previousPeriodStart = state.currentHour * 60 + (state.currentMinute || 0)
+      previousPeriodStartMs = periodStartMs - ((periodStart - previousPeriodStart + 1440) % 1440) * 60000
+    }
+  }
+
+  const periodChanged = previousPeriodStartMs !== periodStartMs
+
+  // Energy integration: the previous sample's power is held until this
+  // sample (capped at maxSampleHoldSeconds) and split at the period boundary.
+  // A measured counter delta is spread over the whole time since the previous sample.
+  const nowMs = now.getTime()
+  let carriedEnergy = null
+  if (state.lastSampleTime !== null && state.lastSampleTime !== undefined && nowMs > state.lastSampleTime) {
+    const hasEnergy = energySinceLastWh !== null && energySinceLastWh !== undefined
+    const heldPowerW = hasEnergy
+      ? energySinceLastWh * 3600000 / (nowMs - state.lastSampleTime)
+      : state.lastSamplePowerW
+    const holdEndMs = hasEnergy
+      ? nowMs
+      : Math.min(nowMs, state.lastSampleTime + (config.maxSampleHoldSeconds || DEFAULT_CONFIG.maxSampleHoldSeconds) * 1000)
+    let previousPart = null
+    if (!periodChanged) {
+      previousPart = heldEnergy(heldPowerW, state.lastSampleTime, holdEndMs)
+    } else {
+      const previousPeriodEndMs = getPeriodStartTime(new Date(state.lastSampleTime), intervalMinutes, timeZone) + intervalMinutes * 60000
+      if (state.currentHour !== null) {
+        previousPart = heldEnergy(heldPowerW, state.lastSampleTime, Math.min(holdEndMs, previousPeriodEndMs))
+      }
+      carriedEnergy = heldEnergy(heldPowerW, Math.max(state.lastSampleTime, periodStartMs), holdEndMs)
+    }
+    if (previousPart) {
+      state.currentHourEnergyWh = (state.currentHourEnergyWh || 0) + previousPart.energyWh
+      state.currentHourDurationS = (state.currentHourDurationS || 0) + previousPart.durationS
+    }
+  }
+
+  // Period transition - record completed period and check for downtime
+  if (previousPeriodStartMs !== null && periodChanged) {
     // Downtime detection
     const { enabled, triggerHours, action } = config.downtimeDetection || {}
     if (enabled && action !== 'ignore') {
-      const hourDiff = (currentHour - state.currentHour + 24) % 24
-      if (hourDiff >= triggerHours) {
+      const gapMinutes = Math.round((periodStartMs - previousPeriodStartMs) / 60000)
+      if (gapMinutes >= triggerHours * 60) {
+        const missedPeriods = gapMinutes / intervalMinutes - 1
         result.downtime = {
           fromHour: state.currentHour,
+          fromMinute: state.currentMinute || 0,
           toHour: currentHour,
-          missedHours: hourDiff - 1
+          toMinute: currentMinute,
+          missedPeriods,
+          missedHours: missedPeriods * intervalMinutes / 60
         }
       }
     }
 
     if (state.currentHourSamples > 0) {
-      const hourlyAvg = state.currentHourSum / state.currentHourSamples
-      const wasNight = isNightHours(state.currentHour)
-      const effectiveValue = (config.nightDiscount && wasNight) ? hourlyAvg * 0.5 : hourlyAvg
+      const hourlyAvg = getCurrentPeriodAverage(state)
 
-      // Determine date for completed hour (handle midnight crossing)
-      const completedHourDate = (state.currentHour > currentHour || now.getHours() < state.currentHour)
-        ? new Date(now.getTime() - 3600000).toISOString().split('T')[0]
-        : dateStr
+      // Date and weekday of the completed period in local time (may be yesterday)
+      const completed = getZonedTime(new Date(previousPeriodStartMs), timeZone)
+
+      // Time-of-use weight (e.g. night discount) of the completed period;
+      // wasNight follows the applied weight, so it matches the recorded value
+      const weight = getTimeWeight(config, { ...completed, hour: state.currentHour })
+      const wasNight = weight < 1
+      const effectiveValue = hourlyAvg * weight
 
       // Only record peaks during peak hours and peak season
-      const completedHourInPeakHours = isInPeakHours(state.currentHour, dayOfWeek, month, config)
-      const completedHourInPeakSeason = isInPeakSeason(month, config)
+      const completedHourInPeakHours = isInPeakHours(state.currentHour, completed.dayOfWeek, completed.month, config, completed.dateStr)
+      const completedHourInPeakSeason = isInPeakSeason(completed.month, config)
       const shouldRecordPeak = completedHourInPeakHours && completedHourInPeakSeason
 
       const peakResult = shouldRecordPeak
-        ? recordPeak(state, config, completedHourDate, state.currentHour, hourlyAvg, effectiveValue)
+        ? recordPeak(state, config, completed.dateStr, state.currentHour, hourlyAvg, effectiveValue, state.currentMinute || 0)
         : 'skipped'
 
+      state.monthEnergyWh = (state.monthEnergyWh || 0) + (state.currentHourEnergyWh || 0)
+
+      // Highest period average per hour of day, for the archive
+      const hourlyMaxW = getPeriodStats(state).hourlyMaxW
+      if (hourlyMaxW[state.currentHour] === null || hourlyAvg > hourlyMaxW[state.currentHour]) {
+        hourlyMaxW[state.currentHour] = Math.round(hourlyAvg)
+      }
+
       result.hourCompleted = {
+        dateStr: completed.dateStr,
+        dayOfWeek: completed.dayOfWeek,
         hour: state.currentHour,
+        minute: state.currentMinute || 0,
+        intervalMinutes,
         avgW: hourlyAvg,
         effectiveW: effectiveValue,
+        energyWh: state.currentHourEnergyWh || 0,
+        coveredMinutes: (state.currentHourDurationS || 0) / 60,
         wasNight,
+        weight,
         result: peakResult
       }
     }
   }
 
-  // Reset hour tracking if hour changed
-  if (state.currentHour !== currentHour) {
+  // Reset period tracking if period changed
+  if (periodChanged) {
     state.currentHour = currentHour
+    state.currentMinute = currentMinute
+    state.currentPeriodStartTime = periodStartMs
     state.currentHourSum = 0
     state.currentHourSamples = 0
+    state.currentHourEnergyWh = carriedEnergy ? carriedEnergy.energyWh : 0
+    state.currentHourDurationS = carriedEnergy ? carriedEnergy.durationS : 0
+  }
+
+  // Battery energy used: drops of the state of charge since the previous sample
+  if (batteryState && Number.isFinite(batteryState.soc)) {
+    const stats = getPeriodStats(state)
+    if (stats.lastSoc !== null && batteryState.soc < stats.lastSoc) {
+      stats.batteryDischargeWh += (stats.lastSoc - batteryState.soc) / 100 * config.batteryCapacityWh
+    }
+    stats.lastSoc = batteryState.soc
   }
 
-  // Track current hour
+  // Track current period
   state.currentHourSum += power
   state.currentHourSamples++
+  state.lastSampleTime = nowMs
+  state.lastSamplePowerW = power
 
-  // Calculate current hour average
-  const currentHourAvg = state.currentHourSamples > 0
-    ? state.currentHourSum / state.currentHourSamples
-    : 0
+  // Calculate current period average
+  const currentHourAvg = getCurrentPeriodAverage(state)
 
   // Calculate limits
-  const { targetLimitW, limitReason, isLearning, usingCarryover } = calculateTargetLimit(state, config, batteryState)
-  const peakAvgW = calculatePeakAverage(state, config.peakCount)
+  const { targetLimitW, limitReason: targetLimitReason, isLearning, usingCarryover } = calculateTargetLimit(state, config, batteryState)
+  let limitReason = targetLimitReason
+  const peakAvgW = calculatePeakAverage(state, getPeakCount(config))
 
   // Determine current status
   const inPeakSeason = isInPeakSeason(month, config)
-  const inPeakHours = isInPeakHours(currentHour, dayOfWeek, month, config)
+  const inPeakHours = isInPeakHours(currentHour, dayOfWeek, month, config, local.dateStr)
 
   // Calculate output limit
   let outputLimitA
@@ -456,8 +1046,29 @@ function processGridPower (state, config, gridPowerW, now, batteryState) {
     // Learning phase: use minimum limit or carryover from previous month
     outputLimitA = calculateOutputLimitA(targetLimitW, config, true, usingCarryover)
   } else {
-    // Active limiting
-    outputLimitA = calculateOutputLimitA(targetLimitW, config, false, false)
+    // Active limiting; in a period counted at a lower weight more may be drawn
+    const weight = getTimeWeight(config, { ...local, hour: currentHour })
+    outputLimitA = weight > 0
+      ? calculateOutputLimitA(targetLimitW / weight, config, false, false)
+      : config.maxBreakerCurrent
+  }
+
+  // Remaining energy budget: limit what may still be drawn this period
+  let budget = null
+  if (config.limitMode === 'budget' && inPeakSeason && inPeakHours && targetLimitW !== null) {
+    budget = calculateBudgetLimit(state, config, targetLimitW, now, periodStartMs, intervalMinutes, currentHour)
+    outputLimitA = calculateOutputLimitA(budget.allowedW, config, false, false)
+    limitReason = budget.weight > 0
+      ? `${limitReason}, budget ${Math.round(budget.remainingWh)}Wh left`
+      : `${limitReason}, period not counted`
+  }
+
+  // Forced limit from the override command, until it expires
+  const override = getActiveOverride(state, nowMs)
+  if (override) {
+    outputLimitA = Math.min(override.limitA, config.maxBreakerCurrent)
+    const until = getZonedTime(new Date(override.until), timeZone)
+    limitReason = `override until ${formatPeriod(until.hour, until.minute)}`
   }
 
   // Round to 0.1A
@@ -468,27 +1079,60 @@ function processGridPower (state, config, gridPowerW, now, batteryState) {
 
   return {
     ...result,
+    season: config.season || null,
     inPeakSeason,
     inPeakHours,
     isLearning,
     usingCarryover,
     currentHour,
+    currentMinute,
+    intervalMinutes,
     currentHourAvgW: currentHourAvg,
+    currentHourEnergyWh: state.currentHourEnergyWh,
     targetLimitW,
     limitReason,
     outputLimitA,
     outputChanged,
+    override: override ? { limitA: override.limitA, until: new Date(override.until).toISOString() } : null,
+    budget,
     peakAvgW,
-    topPeaks: getTopPeaks(state, config.peakCount)
+    topPeaks: getTopPeaks(state, getPeakCount(config))
   }
 }
 
+/**
+ * Get the forced limit that is active at a timestamp
+ *
+ * An expired override is removed from state.
+ *
+ * @param {object} state - Current state (limitOverride may be cleared)
+ * @param {number} nowMs - Current timestamp in ms
+ * @returns {object|null} Override { limitA, until } or null
+ */
+function getActiveOverride (state, nowMs) {
+  const override = state.limitOverride
+  if (!override) return null
+  if (override.until <= nowMs) {
+    state.limitOverride = null
+    return null
+  }
+  return override
+}
+
 /**
  * Update last output limit in state
+ *
+ * Limit changes and the lowest limit are counted in the period statistics.
+ *
  * @param {object} state - Current state
  * @param {number} limitA - New limit value
  */
 function updateLastOutput (state, limitA) {
+  const stats = getPeriodStats(state)
+  if (state.lastOutputLimitA !== null && state.lastOutputLimitA !== undefined && limitA !== state.lastOutputLimitA) {
+    stats.limitChanges++
+  }
+  if (stats.minLimitA === null || limitA < stats.minLimitA) stats.minLimitA = limitA
   state.lastOutputLimitA = limitA
 }
 
@@ -507,54 +1151,38 @@ function mergeConfig (userConfig = {}) {
 
 /**
  * Calculate hours until the next peak period starts
- * Accounts for weekends if weekdaysOnly is enabled
+ * Accounts for weekends if weekdaysOnly is enabled, for holidays and for
+ * peak windows
  *
  * @param {Date} now - Current timestamp
  * @param {object} config - Configuration
  * @returns {number} Hours until next peak period (minimum 0.5)
  */
 function calculateHoursUntilPeak (now, config) {
-  const month = now.getMonth() + 1
-  if (!isInPeakSeason(month, config)) {
+  const timeZone = getTimeZone(config)
+  const local = getZonedTime(now, timeZone)
+  if (!isInPeakSeason(local.month, config)) {
     return 24 * 7 // One week, resulting in a low charge rate
   }
 
-  let nextPeakDay = startOfDay(now)
-
-  // If weekdaysOnly is enabled, find the next weekday
-  if (config.weekdaysOnly) {
-    if (isSaturday(now)) {
-      nextPeakDay = addDays(nextPeakDay, 2)
-    } else if (isSunday(now)) {
-      nextPeakDay = addDays(nextPeakDay, 1)
-    }
-  }
-
-  let nextPeakStart = set(nextPeakDay, {
-    hours: config.peakHoursStart,
-    minutes: 0,
-    seconds: 0,
-    milliseconds: 0
-  })
-
-  // If the next peak start is in the past, calculate for the next valid day
-  if (now > nextPeakStart) {
-    let tomorrow = addDays(nextPeakDay, 1)
-    if (config.weekdaysOnly && isWeekend(tomorrow)) {
-      // If tomorrow is a weekend, jump to Monday
-      tomorrow = addDays(tomorrow, isSaturday(tomorrow) ? 2 : 1)
+  // Find the first day (today or later) whose peak start is still ahead.
+  // The start is converted back to a timestamp, so 23- and 25-hour DST days
+  // give the real number of hours.
+  let diffHours = 24 * 7
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = addCalendarDays(local.year, local.month, local.day, offset)
+    if (config.weekdaysOnly && (day.dayOfWeek === 0 || day.dayOfWeek === 6)) continue
+    if (isHolidayExempt(day.dateStr, config)) continue
+
+    const peakStart = getPeakStartHours(config, day)
+      .map(hour => zonedTimeToDate(day.year, day.month, day.day, hour, 0, timeZone))
+      .find(start => start >= now)
+    if (peakStart) {
+      diffHours = Math.floor((peakStart - now) / 60000) / 60
+      break
     }
-    nextPeakStart = set(tomorrow, {
-      hours: config.peakHoursStart,
-      minutes: 0,
-      seconds: 0,
-      milliseconds: 0
-    })
   }
 
-  const diffMinutes = differenceInMinutes(nextPeakStart, now)
-  const diffHours = diffMinutes / 60
-
   // Minimum 0.5 hours to avoid extreme charge rates
   return Math.max(diffHours, 0.5)
 }
@@ -562,12 +1190,19 @@ function calculateHoursUntilPeak (now, config) {
 /**
  * Calculate recommended battery charge rate
  *
+ * With priceAwareCharging and spot prices covering the time until the next
+ * peak, charging is planned in the cheapest hours; otherwise the deficit
+ * is spread evenly over the hours until peak. With solarEnabled the solar
+ * surplus expected before the peak lowers the SOC the grid has to charge to.
+ *
  * @param {object} config - Configuration
  * @param {object} batteryState - Battery state { soc, minSoc }
  * @param {Date} now - Current timestamp
+ * @param {Array|null} [prices] - Spot price slots from spot-prices.parsePrices
+ * @param {object|null} [solar] - PV data { slots, livePvW } (see solar.js)
  * @returns {object} Charge recommendation
  */
-function calculateChargeRate (state, config, batteryState, now) {
+function calculateChargeRate (state, config, batteryState, now, prices = null, solar = null) {
   // Validate battery state
   if (!batteryState || typeof batteryState.soc !== 'number') {
     return {
@@ -584,12 +1219,13 @@ function calculateChargeRate (state, config, batteryState, now) {
   const minSoc = batteryState.minSoc ?? 20 // Default min SOC if not provided
   const targetSocForPeakShaving = Math.min(minSoc + config.socBuffer, 100)
 
-  const currentHour = now.getHours()
-  const dayOfWeek = now.getDay()
-  const month = now.getMonth() + 1
+  const local = getLocalTime(now, config)
+  const currentHour = local.hour
+  const dayOfWeek = local.dayOfWeek
+  const month = local.month
 
   // Check if currently in peak hours
-  const inPeakHours = isInPeakHours(currentHour, dayOfWeek, month, config)
+  const inPeakHours = isInPeakHours(currentHour, dayOfWeek, month, config, local.dateStr)
   const inPeakSeason = isInPeakSeason(month, config)
 
   // During peak hours in peak season: don't charge (discharge for peak shaving)
@@ -681,10 +1317,65 @@ function calculateChargeRate (state, config, batteryState, now) {
   // Calculate time until next peak period
   const hoursUntilPeak = calculateHoursUntilPeak(now, config)
 
+  // Solar: the surplus expected before the peak charges part of the battery,
+  // so the grid only has to charge to a lower SOC
+  let gridTargetSoc = targetSocForPeakShaving
+  let solarInfo = {}
+  if (config.solarEnabled && solar) {
+    const deadline = new Date(now.getTime() + hoursUntilPeak * 3600000)
+    const expectedSolarWh = estimateSurplusWh(solar.slots, now, deadline, config, solar.livePvW)
+    const solarSoc = expectedSolarWh / config.batteryCapacityWh * 100
+    gridTargetSoc = Math.round(Math.max(minSoc, targetSocForPeakShaving - solarSoc) * 10) / 10
+    solarInfo = { gridTargetSoc, expectedSolarWh: Math.round(expectedSolarWh) }
+
+    if (soc >= gridTargetSoc) {
+      return {
+        chargeRateW: 0,
+        charging: false,
+        reason: `solar expected to charge to ${targetSocForPeakShaving}%`,
+        targetSoc: targetSocForPeakShaving,
+        currentSoc: soc,
+        minSoc,
+        hoursUntilPeak: Math.round(hoursUntilPeak * 10) / 10,
+        inPeakHours: false,
+        balancingActive: false,
+        ...solarInfo
+      }
+    }
+  }
+
   // Calculate energy deficit
-  const socDeficit = targetSocForPeakShaving - soc // percentage points
+  const socDeficit = gridTargetSoc - soc // percentage points
   const energyDeficitWh = (socDeficit / 100) * config.batteryCapacityWh
 
+  // Spot prices: charge in the cheapest hours before peak instead of evenly
+  if (config.priceAwareCharging && prices && prices.length > 0) {
+    const deadline = new Date(now.getTime() + hoursUntilPeak * 3600000)
+    const plan = planCharging(prices, now, deadline, energyDeficitWh, config.maxChargeRateW)
+    if (plan) {
+      const next = plan.schedule.find(s => new Date(s.end) > now)
+      const nextStart = next ? getLocalTime(new Date(next.start), config) : null
+      return {
+        chargeRateW: plan.currentRateW,
+        charging: plan.currentRateW > 0,
+        reason: plan.currentRateW > 0
+          ? `charging to ${gridTargetSoc}% in cheapest hours`
+          : `waiting for cheaper hours${nextStart ? ` (from ${formatPeriod(nextStart.hour, nextStart.minute)})` : ''}`,
+        targetSoc: targetSocForPeakShaving,
+        currentSoc: soc,
+        minSoc,
+        hoursUntilPeak: Math.round(hoursUntilPeak * 10) / 10,
+        energyDeficitWh: Math.round(energyDeficitWh),
+        inPeakHours: false,
+        balancingActive: false,
+        schedule: plan.schedule,
+        expectedCost: plan.expectedCost,
+        averagePrice: plan.averagePrice,
+        ...solarInfo
+      }
+    }
+  }
+
   // Calculate required charge rate to reach target before peak
   let chargeRateW = energyDeficitWh / hoursUntilPeak
 
@@ -697,14 +1388,15 @@ function calculateChargeRate (state, config, batteryState, now) {
   return {
     chargeRateW,
     charging: chargeRateW > 0,
-    reason: chargeRateW > 0 ? `charging to ${targetSocForPeakShaving}% before peak` : 'no charging needed',
+    reason: chargeRateW > 0 ? `charging to ${gridTargetSoc}% before peak` : 'no charging needed',
     targetSoc: targetSocForPeakShaving,
     currentSoc: soc,
     minSoc,
     hoursUntilPeak: Math.round(hoursUntilPeak * 10) / 10,
     energyDeficitWh: Math.round(energyDeficitWh),
     inPeakHours: false,
-    balancingActive: false
+    balancingActive: false,
+    ...solarInfo
   }
 }
 
@@ -714,14 +1406,16 @@ function calculateChargeRate (state, config, batteryState, now) {
  * @param {object} config - Configuration
  * @param {object} batteryState - Battery state from context
  * @param {Date} now - Current timestamp
+ * @param {Array|null} [prices] - Spot price slots for price-aware charging
+ * @param {object|null} [solar] - PV data { slots, livePvW }
  * @returns {object|null} Battery status or null if disabled
  */
-function getBatteryStatus (state, config, batteryState, now) {
+function getBatteryStatus (state, config, batteryState, now, prices = null, solar = null) {
   if (!config.batteryEnabled) {
     return null
   }
 
-  const chargeResult = calculateChargeRate(state, config, batteryState, now)
+  const chargeResult = calculateChargeRate(state, config, batteryState, now, prices, solar)
 
   return {
     enabled: true,
@@ -733,18 +1427,36 @@ function getBatteryStatus (state, config, batteryState, now) {
 module.exports = {
   DEFAULT_CONFIG,
   MONTH_NAMES,
+  MEASUREMENT_INTERVALS,
+  INPUT_TYPES,
+  LIMIT_MODES,
   createInitialState,
   mergeConfig,
+  getTimeZone,
+  getLocalTime,
+  getPeakCount,
+  getMeasurementInterval,
+  getPeriodStartMinute,
+  getPeriodStartTime,
+  getCurrentPeriodAverage,
+  formatPeriod,
   isInPeakSeason,
   isInPeakHours,
+  getPeakStartHours,
+  isHolidayExempt,
   isNightHours,
   wattsToAmps,
   recordPeak,
   getTopPeaks,
   calculateTargetLimit,
   calculateOutputLimitA,
+  calculateBudgetLimit,
   calculatePeakAverage,
+  getInputType,
+  processEnergyCounter,
+  resetMonth,
   processGridPower,
+  getActiveOverride,
   updateLastOutput,
   calculateDynamicHeadroomW, // Export the new function
   // Battery charging functions
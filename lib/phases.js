@@ -0,0 +1,104 @@
+'use strict'
+
+/**
+ * Per-Phase Current Limiting for Effekttariff (fasbalansering)
+ *
+ * The tariff is billed on total power, but the main fuse trips per phase.
+ * With an unbalanced load (e.g. a single-phase EV charger on L1) the
+ * averaged current says little about the most loaded phase, so per-phase
+ * readings get their own limits and breaker check.
+ */
+
+const PHASE_NAMES = ['L1', 'L2', 'L3']
+
+/**
+ * Supported units of per-phase readings
+ */
+const PHASE_UNITS = ['W', 'A']
+
+/**
+ * Check whether a payload holds per-phase readings
+ * @param {*} payload - msg.payload
+ * @returns {boolean}
+ */
+function isPhasePayload (payload) {
+  return payload !== null && typeof payload === 'object' && PHASE_NAMES.some(name => payload[name] !== undefined)
+}
+
+/**
+ * Parse per-phase power or current readings
+ *
+ * Values are in watts or amps according to payload.unit, falling back to
+ * config.phaseUnit. Phases beyond config.phases are ignored, missing ones
+ * count as 0.
+ *
+ * @param {object} payload - { L1, L2, L3, unit? }
+ * @param {object} config - Configuration (phases, gridVoltage, phaseUnit)
+ * @returns {object} { powersW, currentsA, totalW }
+ * @throws {Error} When a phase value is not a number
+ */
+function parsePhaseInput (payload, config) {
+  const unit = PHASE_UNITS.includes(payload.unit) ? payload.unit : (config.phaseUnit || 'W')
+  const names = PHASE_NAMES.slice(0, config.phases)
+
+  const values = names.map(name => {
+    if (payload[name] === undefined || payload[name] === null) return 0
+    const value = parseFloat(payload[name])
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid ${name} value: ${payload[name]}`)
+    }
+    return value
+  })
+
+  const powersW = unit === 'A' ? values.map(a => a * config.gridVoltage) : values
+  const currentsA = unit === 'A' ? values : values.map(w => w / config.gridVoltage)
+
+  return {
+    powersW,
+    currentsA,
+    totalW: powersW.reduce((sum, w) => sum + w, 0)
+  }
+}
+
+/**
+ * Calculate a current limit per phase
+ *
+ * The balanced limit (outputLimitA on every phase) sets the total budget.
+ * The budget left after the present load is shared equally, so a heavily
+ * loaded phase may go above the balanced limit as long as the other phases
+ * leave room - but never above the breaker. Without a tariff restriction
+ * every phase gets the full breaker current. Limits are rounded down to
+ * whole amps, the resolution most chargers and inverters accept.
+ *
+ * @param {Array<number>} currentsA - Present current per phase
+ * @param {number} outputLimitA - Balanced limit from processGridPower
+ * @param {object} config - Configuration (maxBreakerCurrent)
+ * @returns {object} { limitsA, overloadedPhases, maxPhaseCurrentA }
+ */
+function calculatePhaseLimits (currentsA, outputLimitA, config) {
+  const breakerA = config.maxBreakerCurrent
+  const loadsA = currentsA.map(a => Math.max(0, a))
+
+  let limitsA
+  if (outputLimitA >= breakerA) {
+    limitsA = loadsA.map(() => breakerA)
+  } else {
+    const budgetA = outputLimitA * loadsA.length
+    const spareA = (budgetA - loadsA.reduce((sum, a) => sum + a, 0)) / loadsA.length
+    limitsA = loadsA.map(a => Math.floor(Math.min(breakerA, Math.max(0, a + spareA))))
+  }
+
+  return {
+    limitsA,
+    overloadedPhases: PHASE_NAMES.filter((name, i) => loadsA[i] > breakerA),
+    maxPhaseCurrentA: Math.round(Math.max(0, ...loadsA) * 10) / 10
+  }
+}
+
+module.exports = {
+  PHASE_NAMES,
+  PHASE_UNITS,
+  isPhasePayload,
+  parsePhaseInput,
+  calculatePhaseLimits
+}
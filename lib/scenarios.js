@@ -5,9 +5,25 @@
  *
  * These scenarios test various aspects of the peak tracking system
  * under realistic and edge-case conditions.
+ *
+ * A scenario can be based on a grid company preset: set `tariff` to the
+ * preset id and build `config` with tariffs.applyPreset().
  */
 
 const { powerPatterns } = require('./simulation')
+const tariffs = require('./tariffs')
+const { DEFAULT_TIMEZONE, getZonedTime, zonedTimeToDate } = require('./timezone')
+
+/**
+ * Get midnight of a date in the default tracker timezone, so scenarios
+ * start at the same instant whatever the timezone of the machine
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Date}
+ */
+function localMidnight (dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return zonedTimeToDate(year, month, day, 0, 0, DEFAULT_TIMEZONE)
+}
 
 /**
  * Available scenarios for testing
@@ -37,7 +53,7 @@ const scenarios = {
       gridVoltage: 230,
       maxBreakerCurrent: 25
     },
-    startDate: new Date('2024-01-15T00:00:00'),
+    startDate: localMidnight('2024-01-15'),
     durationDays: 7,
     powerGenerator: powerPatterns.dailyProfile(2000, 5000),
     expectations: {
@@ -69,7 +85,7 @@ const scenarios = {
       headroomKw: 0.3,
       phases: 3
     },
-    startDate: new Date('2024-01-15T00:00:00'),
+    startDate: localMidnight('2024-01-15'),
     durationDays: 35, // Crosses into February
     powerGenerator: powerPatterns.dailyProfile(2000, 4500),
     expectations: {
@@ -100,7 +116,7 @@ const scenarios = {
       minimumLimitKw: 4,
       headroomKw: 0.5
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 14,
     powerGenerator: (hour, date, ctx) => {
       const base = powerPatterns.dailyProfile(1500, 3500)(hour)
@@ -138,7 +154,7 @@ const scenarios = {
       peakSeasonOnly: false,
       minimumLimitKw: 4
     },
-    startDate: new Date('2024-01-08T00:00:00'), // Monday
+    startDate: localMidnight('2024-01-08'), // Monday
     durationDays: 7,
     powerGenerator: (hour) => {
       // High consumption at night (should get 50% discount)
@@ -185,7 +201,7 @@ const scenarios = {
       peakSeasonOnly: false,
       minimumLimitKw: 4
     },
-    startDate: new Date('2024-01-08T00:00:00'), // Monday
+    startDate: localMidnight('2024-01-08'), // Monday
     durationDays: 14,
     powerGenerator: (hour, date, ctx) => {
       // Very high consumption on weekends
@@ -205,7 +221,7 @@ const scenarios = {
           check: (results) => {
             // On weekends, output should be at max breaker current (25A)
             const weekendChanges = results.outputChanges.filter(c => {
-              const day = c.date.getDay()
+              const day = getZonedTime(c.date, DEFAULT_TIMEZONE).dayOfWeek
               return day === 0 || day === 6
             })
             // Should have changes to max current on weekends or no weekend-specific changes
@@ -239,7 +255,7 @@ const scenarios = {
       peakSeasonEnd: 3, // March
       minimumLimitKw: 4
     },
-    startDate: new Date('2024-10-15T00:00:00'), // October (off-season)
+    startDate: localMidnight('2024-10-15'), // October (off-season)
     durationDays: 60, // Into December (in-season)
     powerGenerator: powerPatterns.dailyProfile(2500, 5500),
     expectations: {
@@ -250,7 +266,7 @@ const scenarios = {
           expected: true,
           check: (results) => {
             return results.finalState.peaks.every(p => {
-              const month = new Date(p.date).getMonth() + 1
+              const month = Number(p.date.slice(5, 7))
               return month >= 11 || month <= 3
             })
           }
@@ -283,7 +299,7 @@ const scenarios = {
       gridVoltage: 230,
       maxBreakerCurrent: 16
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 7,
     powerGenerator: powerPatterns.dailyProfile(1000, 2500),
     expectations: {
@@ -314,7 +330,7 @@ const scenarios = {
       headroomKw: 0.3,
       phases: 3
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 7,
     powerGenerator: () => 1000, // Very low constant consumption
     expectations: {
@@ -343,22 +359,106 @@ const scenarios = {
       peaks per day. This simulation runs in June (summer) to prove that peaks are still recorded year-round. With
       only 2 peaks averaged, each individual peak has more impact - making peak shaving even more valuable. The system
       adapts to these different provider configurations through simple settings changes.`,
+    tariff: 'jonkoping',
+    config: tariffs.applyPreset('jonkoping', {
+      minimumLimitKw: 4
+    }),
+    startDate: localMidnight('2024-06-01'), // Summer
+    durationDays: 14,
+    powerGenerator: powerPatterns.dailyProfile(2000, 5000),
+    expectations: {
+      minPeaks: 2,
+      learningComplete: true
+    }
+  },
+
+  /**
+   * Quarter-hour measurement (kvartsmätning)
+   * Tests: 15-minute measurement periods catch short spikes
+   */
+  quarterHour: {
+    name: 'Quarter-Hour Measurement',
+    description: 'Tests 15-minute measurement periods (kvartsmätning)',
+    analysis: `<strong>What this proves:</strong> Swedish grid operators are moving from hourly to quarter-hour settlement.
+      With 15-minute periods a short burst of power is no longer averaged out over a full hour: a 9 kW sauna heat-up
+      lasting 15 minutes counts as a 9 kW peak instead of roughly 3.5 kW. This simulation adds such a burst every
+      evening at 18:15 and shows that the recorded peaks land on quarter-hour boundaries with the full burst power.
+      Limits calculated from these peaks therefore match what the grid operator actually bills.`,
     config: {
-      peakCount: 2,
-      onePeakPerDay: false, // Multiple peaks per day allowed
+      peakCount: 3,
+      onePeakPerDay: true,
+      measurementIntervalMinutes: 15,
       peakHoursStart: 7,
       peakHoursEnd: 21,
-      weekdaysOnly: false,
-      nightDiscount: false,
       peakSeasonOnly: false,
       minimumLimitKw: 4
     },
-    startDate: new Date('2024-06-01T00:00:00'), // Summer
-    durationDays: 14,
-    powerGenerator: powerPatterns.dailyProfile(2000, 5000),
+    startDate: localMidnight('2024-02-05'),
+    durationDays: 7,
+    powerGenerator: (hour, date) => {
+      // 15 minute burst at 18:15 every day
+      if (hour === 18 && date.getUTCMinutes() >= 15 && date.getUTCMinutes() < 30) return 9000
+      return powerPatterns.dailyProfile(1500, 3000)(hour)
+    },
     expectations: {
-      minPeaks: 2,
-      learningComplete: true
+      minPeaks: 3,
+      learningComplete: true,
+      peakAverageRange: [8500, 9500],
+      customChecks: [
+        {
+          name: 'Peaks recorded at the 18:15 quarter-hour',
+          expected: true,
+          check: (results) => {
+            const topPeaks = results.finalState.peaks.slice(0, results.config.peakCount)
+            return topPeaks.every(p => p.hour === 18 && p.minute === 15)
+          }
+        }
+      ]
+    }
+  },
+
+  /**
+   * Public holidays (röda dagar)
+   * Tests: Easter holidays are excluded like weekends
+   */
+  holidays: {
+    name: 'Public Holidays',
+    description: 'Tests that Swedish public holidays (röda dagar) are excluded from peak hours',
+    analysis: `<strong>What this proves:</strong> Grid companies that only measure on weekdays usually also exempt public
+      holidays. This simulation covers Easter 2025, where Långfredagen (Friday) and Annandag påsk (Monday) are holidays
+      that fall on weekdays. Consumption on those days is very high (10 kW), but with holidays excluded no peaks are
+      recorded on them and the limit is not enforced. The movable Easter dates are calculated by the node itself, so
+      no calendar needs to be maintained.`,
+    config: {
+      peakCount: 3,
+      onePeakPerDay: true,
+      peakHoursStart: 7,
+      peakHoursEnd: 21,
+      weekdaysOnly: true,
+      excludeHolidays: true,
+      peakSeasonOnly: false,
+      minimumLimitKw: 4
+    },
+    startDate: localMidnight('2025-04-14'), // Monday before Easter
+    durationDays: 9,
+    powerGenerator: (hour, date, ctx) => {
+      // Very high consumption on Långfredagen (18th) and Annandag påsk (21st)
+      if (ctx.dayOfMonth === 18 || ctx.dayOfMonth === 21) {
+        return hour >= 7 && hour < 21 ? 10000 : 2000
+      }
+      return powerPatterns.dailyProfile(2000, 4000)(hour)
+    },
+    expectations: {
+      minPeaks: 3,
+      learningComplete: true,
+      peakAverageRange: [3500, 4500],
+      customChecks: [
+        {
+          name: 'No peaks recorded on Långfredagen or Annandag påsk',
+          expected: true,
+          check: (results) => results.finalState.peaks.every(p => p.date !== '2025-04-18' && p.date !== '2025-04-21')
+        }
+      ]
     }
   },
 
@@ -382,7 +482,7 @@ const scenarios = {
       peakSeasonOnly: false,
       minimumLimitKw: 4
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 30,
     powerGenerator: (hour, date, ctx) => {
       // Seeded random based on day to ensure consistency per hour
@@ -423,7 +523,7 @@ const scenarios = {
       minSoc: 10,
       socBuffer: 80 // Target 90% SOC for maximum capacity
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 7,
     powerGenerator: powerPatterns.dailyProfile(1500, 3500), // Lower peaks, more realistic
     expectations: {
@@ -437,7 +537,7 @@ const scenarios = {
             // All charging should happen outside peak hours (7-21)
             const chargingEvents = results.chargeRateChanges.filter(c => c.charging)
             return chargingEvents.every(c => {
-              const hour = c.date.getHours()
+              const hour = getZonedTime(c.date, DEFAULT_TIMEZONE).hour
               return hour < 7 || hour >= 21
             })
           }
@@ -490,7 +590,7 @@ const scenarios = {
         endTime: 6
       }
     },
-    startDate: new Date('2024-05-01T00:00:00'),
+    startDate: localMidnight('2024-05-01'),
     durationDays: 16, // ~2 weeks to show balancing cycle
     powerGenerator: powerPatterns.dailyProfile(1500, 3500), // Realistic daily profile
     initialSoc: 50, // Start at 50% - natural cycling will build up SOC
@@ -555,7 +655,7 @@ const scenarios = {
         ]
       }
     },
-    startDate: new Date('2024-02-01T00:00:00'),
+    startDate: localMidnight('2024-02-01'),
     durationDays: 7,
     powerGenerator: powerPatterns.dailyProfile(1500, 4000),
     expectations: {
@@ -576,6 +676,74 @@ const scenarios = {
     }
   },
 
+  /**
+   * Forecast budget scenario
+   * Tests: Time-based forecasting distributes battery energy over the day
+   */
+  forecastBudget: {
+    name: 'Forecast Budget',
+    description: 'Tests budget-based discharge using time-based consumption forecasting.',
+    analysis: `<strong>What this proves:</strong> Without forecasting, the battery discharges as soon as consumption rises
+      and can be empty before the evening peak - which is usually the highest peak of the day. With time-based
+      forecasting, the battery energy is split between the morning (07:00-09:00) and evening (17:00-21:00) windows by
+      their weights (30% and 100%), while 20% is held back for unexpected peaks. Midday consumption is left to the grid,
+      so the evening budget is still available when it matters. Watch the SOC chart: a small dip in the morning, a flat
+      line during the day and the main discharge in the evening.`,
+    config: {
+      peakCount: 3,
+      onePeakPerDay: true,
+      peakHoursStart: 7,
+      peakHoursEnd: 21,
+      peakSeasonOnly: false,
+      minimumLimitKw: 2,
+      batteryEnabled: true,
+      batteryCapacityWh: 10000,
+      maxChargeRateW: 3000,
+      maxDischargeRateW: 3000,
+      minSoc: 10,
+      socBuffer: 60,
+      forecastSource: 'time-based',
+      morningPeakStart: 6,
+      morningPeakEnd: 9,
+      morningPeakWeight: 0.3,
+      eveningPeakStart: 17,
+      eveningPeakEnd: 21,
+      eveningPeakWeight: 1.0,
+      budgetBuffer: 20
+    },
+    startDate: localMidnight('2024-02-05'),
+    durationDays: 7,
+    powerGenerator: powerPatterns.dailyProfile(1500, 3500),
+    expectations: {
+      minPeaks: 3,
+      learningComplete: true,
+      customChecks: [
+        {
+          name: 'Forecast generated every day',
+          expected: true,
+          check: (results) => results.forecastData.length >= 7
+        },
+        {
+          name: 'Battery discharged in both morning and evening periods',
+          expected: true,
+          check: (results) => {
+            const discharging = results.batteryData.filter(b => b.dischargeRateW > 0)
+            return discharging.some(b => b.hour < 9) && discharging.some(b => b.hour >= 17)
+          }
+        },
+        {
+          name: 'No discharge outside forecast periods',
+          expected: true,
+          check: (results) => {
+            return results.batteryData
+              .filter(b => b.hour >= 9 && b.hour < 17)
+              .every(b => b.dischargeRateW === 0)
+          }
+        }
+      ]
+    }
+  },
+
   /**
    * Downtime detection scenario
    * Tests: System detects and reports missing data
@@ -601,7 +769,7 @@ const scenarios = {
         action: 'log'
       }
     },
-    startDate: new Date('2024-03-01T00:00:00'),
+    startDate: localMidnight('2024-03-01'),
     durationDays: 3,
     powerGenerator: (hour, date, ctx) => {
       // Simulate normal data for day 1
@@ -664,7 +832,7 @@ const scenarios = {
       minSoc: 10,
       socBuffer: 70
     },
-    startDate: new Date('2024-01-20T00:00:00'), // Start late January
+    startDate: localMidnight('2024-01-20'), // Start late January
     durationDays: 20, // Run into early February
     powerGenerator: powerPatterns.dailyProfile(1500, 3500),
     expectations: {
@@ -676,9 +844,9 @@ const scenarios = {
           expected: true,
           check: (results) => {
             // Check that we crossed a month boundary
-            const startMonth = new Date(results.config.startDate || '2024-01-20').getMonth()
-            const endDate = new Date(results.hourlyData[results.hourlyData.length - 1]?.date || '2024-02-08')
-            const endMonth = endDate.getMonth()
+            const startMonth = getZonedTime(new Date(results.config.startDate || localMidnight('2024-01-20')), DEFAULT_TIMEZONE).month
+            const endDate = new Date(results.hourlyData[results.hourlyData.length - 1]?.date || localMidnight('2024-02-08'))
+            const endMonth = getZonedTime(endDate, DEFAULT_TIMEZONE).month
             return startMonth !== endMonth
           }
         },
@@ -689,8 +857,7 @@ const scenarios = {
             // After month reset, the system should have used carryover
             // We check that we have recorded peaks in February
             const febPeaks = results.finalState.peaks.filter(p => {
-              const month = new Date(p.date).getMonth()
-              return month === 1 // February
+              return p.date.slice(5, 7) === '02'
             })
             return febPeaks.length > 0
           }
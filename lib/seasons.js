@@ -0,0 +1,117 @@
+'use strict'
+
+const { parseTouTable, parsePeakWindows } = require('./time-of-use')
+const { readList } = require('./config-list')
+
+/**
+ * Season Profiles for Effekttariff (säsongsprofiler)
+ *
+ * Some grid companies measure all year, but with other rules in summer:
+ * fewer peaks, other hours or a lower price per kW. A season profile covers
+ * a month range and overrides the tariff settings for those months. With
+ * profiles configured, months outside every profile are not measured.
+ */
+
+/**
+ * Settings a season profile can override
+ */
+const SEASON_FIELDS = [
+  'peakCount',
+  'peakHoursStart',
+  'peakHoursEnd',
+  'peakWindows',
+  'nightDiscount',
+  'touWeights',
+  'minimumLimitKw',
+  'powerPriceSekPerKw'
+]
+
+/**
+ * Parse the configured season profiles
+ *
+ * Accepts a JSON string or an array of { name, months: [from, to], ... }
+ * with any of SEASON_FIELDS. Months are inclusive (1-12) and may wrap, e.g.
+ * [11, 3]. Entries without a valid month range are dropped, as are fields
+ * with invalid values (the base setting then applies).
+ *
+ * @param {string|Array} value - Season profiles
+ * @returns {Array} Profiles { name, months, ...overrides }
+ */
+function parseSeasonProfiles (value) {
+  return readList(value)
+    .filter(p => p && typeof p === 'object' && Array.isArray(p.months) && p.months.length === 2)
+    .map(p => {
+      const months = p.months.map(m => parseInt(m))
+      const profile = { name: typeof p.name === 'string' && p.name !== '' ? p.name : `${months[0]}-${months[1]}`, months }
+
+      const peakCount = parseInt(p.peakCount)
+      if (peakCount >= 1) profile.peakCount = peakCount
+      for (const field of ['peakHoursStart', 'peakHoursEnd']) {
+        const hour = parseInt(p[field])
+        if (hour >= 0 && hour <= 24) profile[field] = hour
+      }
+      for (const field of ['minimumLimitKw', 'powerPriceSekPerKw']) {
+        const number = parseFloat(p[field])
+        if (number >= 0) profile[field] = number
+      }
+      if (typeof p.nightDiscount === 'boolean') profile.nightDiscount = p.nightDiscount
+      if (p.peakWindows !== undefined) profile.peakWindows = parsePeakWindows(p.peakWindows)
+      if (p.touWeights !== undefined) profile.touWeights = parseTouTable(p.touWeights)
+      return profile
+    })
+    .filter(p => p.months.every(m => m >= 1 && m <= 12))
+}
+
+/**
+ * Get the season profile of a month
+ * @param {object} config - Configuration (seasonProfiles)
+ * @param {number} month - Month (1-12)
+ * @returns {object|null} First profile covering the month, null if none
+ */
+function getSeasonProfile (config, month) {
+  if (!Array.isArray(config.seasonProfiles)) return null
+  return config.seasonProfiles.find(({ months: [from, to] }) =>
+    from <= to ? month >= from && month <= to : month >= from || month <= to
+  ) || null
+}
+
+/**
+ * Get the configuration in effect in a month
+ *
+ * The settings of the month's profile replace the base settings; the
+ * profile name is added as `season`. Without profiles, or for a month no
+ * profile covers, the base configuration is returned. A configuration
+ * already resolved for another month may be passed in.
+ *
+ * @param {object} config - Configuration
+ * @param {number} month - Month (1-12)
+ * @returns {object} Configuration for the month
+ */
+function getSeasonConfig (config, month) {
+  const base = config.seasonBase || config
+  const profile = getSeasonProfile(base, month)
+  if (!profile) return base
+
+  const seasonConfig = { ...base, season: profile.name, seasonBase: base }
+  for (const field of SEASON_FIELDS) {
+    if (profile[field] !== undefined) seasonConfig[field] = profile[field]
+  }
+  return seasonConfig
+}
+
+/**
+ * Check whether season profiles are configured
+ * @param {object} config - Configuration
+ * @returns {boolean}
+ */
+function hasSeasonProfiles (config) {
+  return Array.isArray(config.seasonProfiles) && config.seasonProfiles.length > 0
+}
+
+module.exports = {
+  SEASON_FIELDS,
+  parseSeasonProfiles,
+  getSeasonProfile,
+  getSeasonConfig,
+  hasSeasonProfiles
+}
@@ -9,6 +9,9 @@
 
 const peakTracker = require('./peak-tracker')
 const forecasting = require('./forecasting')
+const timeOfUse = require('./time-of-use')
+const seasons = require('./seasons')
+const billingPeriods = require('./billing-period')
 
 /**
  * Power pattern generators for realistic consumption simulation
@@ -124,7 +127,8 @@ const batteryPatterns = {
  * @param {number} options.durationDays - Duration in days
  * @param {function} options.powerGenerator - Function (hour, date) => watts
  * @param {number} [options.initialSoc] - Initial battery SOC (0-100), defaults to minSoc + socBuffer
- * @param {number} [options.samplesPerHour=6] - Samples per hour (10 min default)
+ * @param {number} [options.samplesPerHour=6] - Samples per hour (10 min default, rounded up to
+ *   a multiple of the measurement periods per hour so samples align with period boundaries)
  * @param {object} [options.initialState] - Optional initial state
  * @param {boolean} [options.verbose=false] - Enable verbose logging
  * @returns {object} Simulation results
@@ -136,13 +140,17 @@ function runSimulation (options) {
     durationDays,
     powerGenerator,
     initialSoc = null,
-    samplesPerHour = 6,
+    samplesPerHour: requestedSamplesPerHour = 6,
     initialState = null,
     verbose = false,
     batterySocGenerator = null // Add new option for dynamic SOC
   } = options
 
   const config = peakTracker.mergeConfig(userConfig)
+  config.touWeights = timeOfUse.parseTouTable(config.touWeights)
+  config.peakWindows = timeOfUse.parsePeakWindows(config.peakWindows)
+  config.seasonProfiles = seasons.parseSeasonProfiles(config.seasonProfiles)
+  config.billingPeriodDates = billingPeriods.parseBillingDates(config.billingPeriodDates)
   const state = initialState || peakTracker.createInitialState()
   // Baseline state: tracks what would happen without battery intervention
   const baselineState = peakTracker.createInitialState()
@@ -169,6 +177,11 @@ function runSimulation (options) {
 
   const log = verbose ? console.log : () => {}
 
+  // Align samples with measurement periods (e.g. 15 min periods need 4, 8, 12... samples/hour)
+  const measurementIntervalMinutes = peakTracker.getMeasurementInterval(config)
+  const periodsPerHour = 60 / measurementIntervalMinutes
+  const samplesPerHour = Math.ceil(requestedSamplesPerHour / periodsPerHour) * periodsPerHour
+
   const intervalMinutes = 60 / samplesPerHour
   const intervalHours = intervalMinutes / 60
   const totalSamples = durationDays * 24 * samplesPerHour
@@ -184,7 +197,8 @@ function runSimulation (options) {
   let currentSoc
   let currentMinSoc = minSoc
   if (batterySocGenerator) {
-    const initialBatteryState = batterySocGenerator(currentTime.getHours(), currentTime, { dayOfWeek: currentTime.getDay(), dayOfMonth: currentTime.getDate(), month: currentTime.getMonth() + 1 })
+    const start = peakTracker.getLocalTime(currentTime, config)
+    const initialBatteryState = batterySocGenerator(start.hour, currentTime, { dayOfWeek: start.dayOfWeek, dayOfMonth: start.day, month: start.month })
     currentSoc = initialBatteryState.soc
     currentMinSoc = initialBatteryState.minSoc || minSoc
   } else {
@@ -205,7 +219,7 @@ function runSimulation (options) {
   log('\n=== Starting Simulation ===')
   log(`Start: ${startDate.toISOString()}`)
   log(`Duration: ${durationDays} days (${totalSamples} samples)`)
-  log(`Config: peaks=${config.peakCount}, hours=${config.peakHoursStart}-${config.peakHoursEnd}`)
+  log(`Config: peaks=${peakTracker.getPeakCount(config)}, hours=${formatPeakHours(config)}, period=${measurementIntervalMinutes}min`)
   log(`Season: ${config.peakSeasonOnly ? `${config.peakSeasonStart}-${config.peakSeasonEnd}` : 'all year'}`)
   if (batteryEnabled) {
     log(`Battery: ${capacityWh / 1000}kWh, SOC=${currentSoc}%, minSOC=${minSoc}%, target=${targetSoc}%`)
@@ -217,16 +231,18 @@ function runSimulation (options) {
   log('')
 
   for (let i = 0; i < totalSamples; i++) {
-    const hour = currentTime.getHours()
-    const dayOfWeek = currentTime.getDay()
-    const dayOfMonth = currentTime.getDate()
-    const month = currentTime.getMonth() + 1
+    // Hours and dates in the configured timezone, as seen by the tracker
+    const local = peakTracker.getLocalTime(currentTime, config)
+    const hour = local.hour
+    const dayOfWeek = local.dayOfWeek
+    const dayOfMonth = local.day
+    const month = local.month
 
     // Generate raw household power consumption for this sample
     const rawPower = powerGenerator(hour, currentTime, { dayOfWeek, dayOfMonth, month })
 
     // Determine if we're in peak hours
-    const inPeakHours = hour >= config.peakHoursStart && hour < config.peakHoursEnd
+    const inPeakHours = peakTracker.isInPeakHours(hour, dayOfWeek, month, config, local.dateStr)
 
     // Battery charge/discharge simulation
     let effectiveGridPower = rawPower
@@ -250,7 +266,7 @@ function runSimulation (options) {
     if (batteryEnabled) {
       // Generate/regenerate forecast daily if forecasting is enabled
       if (useForecast) {
-        const today = currentTime.toISOString().split('T')[0]
+        const today = forecasting.getForecastDate(currentTime, config)
         if (forecastDate !== today) {
           // Reset daily tracking
           periodEnergyUsed = {}
@@ -353,8 +369,9 @@ function runSimulation (options) {
         // OFF-PEAK HOURS: Charge battery to prepare for peak shaving
         if (currentSoc < targetSoc) {
           // Calculate hours until peak hours start
-          let hoursUntilPeak = config.peakHoursStart - hour
-          if (hoursUntilPeak <= 0) hoursUntilPeak += 24
+          const peakStarts = peakTracker.getPeakStartHours(config, local)
+          const nextStart = peakStarts.find(h => h > hour) ?? (peakStarts[0] ?? config.peakHoursStart) + 24
+          const hoursUntilPeak = nextStart - hour
 
           // Calculate energy deficit
           const energyDeficitWh = (targetSoc - currentSoc) / 100 * capacityWh
@@ -392,8 +409,8 @@ function runSimulation (options) {
 
     // Track hour completions and peak records
     if (result.hourCompleted) {
-      // Use the start of the completed hour for timestamp (go back 1 hour from transition time)
-      const completedHourDate = new Date(currentTime.getTime() - 3600000)
+      // Use the start of the completed period for timestamp (go back one period from transition time)
+      const completedHourDate = new Date(currentTime.getTime() - measurementIntervalMinutes * 60000)
       const hourData = {
         date: completedHourDate,
         ...result.hourCompleted,
@@ -402,6 +419,16 @@ function runSimulation (options) {
       }
       results.hourlyData.push(hourData)
 
+      // Feed completed hours to the historical forecast
+      if (useForecast) {
+        state.historicalData = forecasting.updateHistoricalData(
+          state.historicalData || {},
+          result.hourCompleted.dayOfWeek,
+          result.hourCompleted.hour,
+          result.hourCompleted.avgW
+        )
+      }
+
       // Track baseline hourly data (what would have happened without battery)
       if (baselineResult.hourCompleted) {
         results.baselineHourlyData.push({
@@ -414,12 +441,13 @@ function runSimulation (options) {
         results.peakRecords.push({
           date: new Date(currentTime),
           hour: result.hourCompleted.hour,
+          minute: result.hourCompleted.minute,
           avgW: result.hourCompleted.avgW,
           effectiveW: result.hourCompleted.effectiveW,
           action: result.hourCompleted.result
         })
         const batteryNote = dischargeRateW > 0 ? ` [battery: -${Math.round(dischargeRateW)}W]` : ''
-        log(`[PEAK ${result.hourCompleted.result.toUpperCase()}] ${currentTime.toISOString().slice(0, 10)} hour ${result.hourCompleted.hour}: ${Math.round(result.hourCompleted.avgW)}W (eff: ${Math.round(result.hourCompleted.effectiveW)}W)${batteryNote}`)
+        log(`[PEAK ${result.hourCompleted.result.toUpperCase()}] ${currentTime.toISOString().slice(0, 10)} ${peakTracker.formatPeriod(result.hourCompleted.hour, result.hourCompleted.minute)}: ${Math.round(result.hourCompleted.avgW)}W (eff: ${Math.round(result.hourCompleted.effectiveW)}W)${batteryNote}`)
       }
     }
 
@@ -532,13 +560,14 @@ function generateSummary (results, config) {
   const minHourlyPower = hourlyAvgs.length > 0 ? Math.min(...hourlyAvgs) : 0
 
   // Get final peaks (with system intervention)
-  const finalPeaks = finalState.peaks.slice(0, config.peakCount)
+  const peakCount = peakTracker.getPeakCount(config)
+  const finalPeaks = finalState.peaks.slice(0, peakCount)
   const peakAverage = finalPeaks.length > 0
     ? finalPeaks.reduce((sum, p) => sum + p.effective, 0) / finalPeaks.length
     : 0
 
   // Get baseline peaks (without system intervention)
-  const baselinePeaks = baselineFinalState ? baselineFinalState.peaks.slice(0, config.peakCount) : []
+  const baselinePeaks = baselineFinalState ? baselineFinalState.peaks.slice(0, peakCount) : []
   const baselinePeakAverage = baselinePeaks.length > 0
     ? baselinePeaks.reduce((sum, p) => sum + p.effective, 0) / baselinePeaks.length
     : 0
@@ -591,12 +620,16 @@ function generateSummary (results, config) {
     baselineTopPeaks: baselinePeaks.map(p => ({
       date: p.date,
       hour: p.hour,
+      minute: p.minute || 0,
       valueW: Math.round(p.value),
       effectiveW: Math.round(p.effective)
     })),
-    // Typical Swedish effekttariff cost estimate (using 50 SEK/kW/month as reference)
+    // Effektavgift with the configured price per kW and month
+    powerPriceSekPerKw: config.powerPriceSekPerKw,
+    baselinePowerFeeSek: Math.round(baselinePeakAverage / 1000 * config.powerPriceSekPerKw),
+    achievedPowerFeeSek: Math.round(peakAverage / 1000 * config.powerPriceSekPerKw),
     estimatedMonthlySavingSek: baselinePeakAverage > 0
-      ? Math.round((baselinePeakAverage - peakAverage) / 1000 * 50)
+      ? Math.round((baselinePeakAverage - peakAverage) / 1000 * config.powerPriceSekPerKw)
       : 0
   }
 
@@ -614,6 +647,7 @@ function generateSummary (results, config) {
       finalTopPeaks: finalPeaks.map(p => ({
         date: p.date,
         hour: p.hour,
+        minute: p.minute || 0,
         valueW: Math.round(p.value),
         effectiveW: Math.round(p.effective)
       })),
@@ -630,6 +664,36 @@ function generateSummary (results, config) {
   }
 }
 
+/**
+ * Describe the peak hours or peak windows
+ * @param {object} config - Configuration
+ * @returns {string} e.g. "7:00 - 21:00" or "7-9 100%, 17-20 100%"
+ */
+function formatPeakHours (config) {
+  if (!config.peakWindows || config.peakWindows.length === 0) {
+    return `${config.peakHoursStart}:00 - ${config.peakHoursEnd}:00`
+  }
+  return config.peakWindows.map(w => {
+    const days = w.days.includes('all') ? '' : ` ${w.days.join('/')}`
+    return `${w.hours[0]}-${w.hours[1]}${days} ${Math.round(w.weight * 100)}%`
+  }).join(', ')
+}
+
+/**
+ * Describe the time-of-use weights in effect
+ * @param {object} config - Configuration
+ * @returns {string} e.g. "22-6 50%" or "None"
+ */
+function formatTouTable (config) {
+  const table = timeOfUse.getTouTable(config)
+  if (table.length === 0) return 'None'
+  return table.map(r => {
+    const months = r.months[0] === 1 && r.months[1] === 12 ? '' : ` m${r.months[0]}-${r.months[1]}`
+    const days = r.days.includes('all') ? '' : ` ${r.days.join('/')}`
+    return `${r.hours[0]}-${r.hours[1]}${months}${days} ${Math.round(r.weight * 100)}%`
+  }).join(', ')
+}
+
 /**
  * Format simulation results for display
  * @param {object} results - Simulation results
@@ -648,10 +712,13 @@ function formatResults (results) {
   lines.push('╠════════════════════════════════════════════════════════════════╣')
 
   lines.push('║ CONFIGURATION:')
-  lines.push(`║   Peak count: ${config.peakCount}`)
-  lines.push(`║   Peak hours: ${config.peakHoursStart}:00 - ${config.peakHoursEnd}:00`)
-  lines.push(`║   Season: ${config.peakSeasonOnly ? `month ${config.peakSeasonStart}-${config.peakSeasonEnd}` : 'all year'}`)
-  lines.push(`║   Night discount: ${config.nightDiscount ? 'Yes (50%)' : 'No'}`)
+  lines.push(`║   Tariff model: ${config.tariffModel === 'highest' ? 'single highest peak' : `average of ${config.peakCount} peaks`}`)
+  lines.push(`║   Peak hours: ${formatPeakHours(config)}`)
+  lines.push(`║   Measurement period: ${peakTracker.getMeasurementInterval(config)} min`)
+  lines.push(`║   Season: ${seasons.hasSeasonProfiles(config)
+    ? config.seasonProfiles.map(p => `${p.name} (month ${p.months[0]}-${p.months[1]})`).join(', ')
+    : config.peakSeasonOnly ? `month ${config.peakSeasonStart}-${config.peakSeasonEnd}` : 'all year'}`)
+  lines.push(`║   Time-of-use weights: ${formatTouTable(config)}`)
   lines.push(`║   Weekdays only: ${config.weekdaysOnly ? 'Yes' : 'No'}`)
   lines.push('╠════════════════════════════════════════════════════════════════╣')
 
@@ -667,9 +734,9 @@ function formatResults (results) {
   lines.push(`║   Peaks updated: ${summary.peakStats.updated}`)
   lines.push(`║   Final peak average: ${summary.peakStats.peakAverageKw} kW`)
   lines.push('║')
-  lines.push(`║   Top ${config.peakCount} peaks:`)
+  lines.push(`║   Top ${peakTracker.getPeakCount(config)} peaks:`)
   summary.peakStats.finalTopPeaks.forEach((p, i) => {
-    lines.push(`║     ${i + 1}. ${p.date} ${p.hour}:00 - ${(p.effectiveW / 1000).toFixed(2)} kW`)
+    lines.push(`║     ${i + 1}. ${p.date} ${peakTracker.formatPeriod(p.hour, p.minute)} - ${(p.effectiveW / 1000).toFixed(2)} kW`)
   })
   lines.push('╠════════════════════════════════════════════════════════════════╣')
 
@@ -735,7 +802,7 @@ function verifyResults (results, expectations) {
 
   // Check that learning phase completed
   if (expectations.learningComplete !== undefined) {
-    const hasEnoughPeaks = finalState.peaks.length >= results.config.peakCount
+    const hasEnoughPeaks = finalState.peaks.length >= peakTracker.getPeakCount(results.config)
     checks.push({
       name: 'Learning phase completed',
       expected: expectations.learningComplete,
@@ -906,8 +973,9 @@ function generateHTMLReport (results, outputPath, options = {}) {
   })
 
   // Peak bar chart data
-  const topPeaks = results.finalState.peaks.slice(0, results.config.peakCount)
-  const peakLabels = topPeaks.map(p => `${p.date} ${p.hour}:00`)
+  const peakCount = peakTracker.getPeakCount(results.config)
+  const topPeaks = results.finalState.peaks.slice(0, peakCount)
+  const peakLabels = topPeaks.map(p => `${p.date} ${peakTracker.formatPeriod(p.hour, p.minute)}`)
   const peakValues = topPeaks.map(p => Math.round(p.effective))
 
   // Battery data (if available)
@@ -1076,11 +1144,11 @@ function generateHTMLReport (results, outputPath, options = {}) {
         </div>
         <div class="meta-item">
           <div class="meta-label">Peak Count</div>
-          <div class="meta-value">${results.config.peakCount}</div>
+          <div class="meta-value">${peakCount}</div>
         </div>
         <div class="meta-item">
           <div class="meta-label">Peak Hours</div>
-          <div class="meta-value">${results.config.peakHoursStart}:00 - ${results.config.peakHoursEnd}:00</div>
+          <div class="meta-value">${formatPeakHours(results.config)}</div>
         </div>
         <div class="meta-item">
           <div class="meta-label">Average Power</div>
@@ -1148,7 +1216,7 @@ function generateHTMLReport (results, outputPath, options = {}) {
         </div>
       </div>
       <div class="analysis-explanation">
-        <strong>Monthly Cost Impact:</strong> Based on typical Swedish effekttariff rates (~50 SEK/kW/month),
+        <strong>Monthly Cost Impact:</strong> Based on an effekttariff rate of ${results.summary.analysis.powerPriceSekPerKw} SEK/kW/month,
         this ${results.summary.analysis.reductionKw} kW reduction saves approximately
         <strong>${results.summary.analysis.estimatedMonthlySavingSek} SEK/month</strong> on the power tariff portion of your grid fee.
         ${results.summary.batteryAnalysis ? `
@@ -1182,8 +1250,8 @@ function generateHTMLReport (results, outputPath, options = {}) {
           </tr>
           <tr>
             <td>Est. Monthly Cost*</td>
-            <td>${Math.round(results.summary.analysis.baselinePeakAverageKw * 50)} SEK</td>
-            <td>${Math.round(results.summary.analysis.achievedPeakAverageKw * 50)} SEK</td>
+            <td>${results.summary.analysis.baselinePowerFeeSek} SEK</td>
+            <td>${results.summary.analysis.achievedPowerFeeSek} SEK</td>
             <td class="reduction">${results.summary.analysis.estimatedMonthlySavingSek > 0 ? '-' + results.summary.analysis.estimatedMonthlySavingSek + ' SEK' : '-'}</td>
           </tr>
         </tbody>
@@ -1193,7 +1261,7 @@ function generateHTMLReport (results, outputPath, options = {}) {
         <div class="analysis-item">
           <div class="analysis-label">Detected Peak Average</div>
           <div class="analysis-value">${results.summary.analysis.achievedPeakAverageKw} kW</div>
-          <div class="analysis-subtext">Top ${results.config.peakCount} peaks averaged</div>
+          <div class="analysis-subtext">Top ${peakCount} peaks averaged</div>
         </div>
         <div class="analysis-item">
           <div class="analysis-label">Highest Peak</div>
@@ -1202,7 +1270,7 @@ function generateHTMLReport (results, outputPath, options = {}) {
         </div>
         <div class="analysis-item">
           <div class="analysis-label">Est. Monthly Cost*</div>
-          <div class="analysis-value">${Math.round(results.summary.analysis.achievedPeakAverageKw * 50)} SEK</div>
+          <div class="analysis-value">${results.summary.analysis.achievedPowerFeeSek} SEK</div>
           <div class="analysis-subtext">Effektavgift portion</div>
         </div>
       </div>
@@ -1211,14 +1279,14 @@ function generateHTMLReport (results, outputPath, options = {}) {
         current limit signal, but without a battery to discharge, there's nothing to cover the difference when
         consumption exceeds the limit. The grid must supply all power, so peaks cannot be reduced.
         <br/><br/>
-        <strong>What This Shows:</strong> The system correctly tracks your top ${results.config.peakCount} peaks during
-        peak hours and calculates your effektavgift at approximately <strong>${Math.round(results.summary.analysis.achievedPeakAverageKw * 50)} SEK/month</strong>.
+        <strong>What This Shows:</strong> The system correctly tracks your top ${peakCount} peaks during
+        peak hours and calculates your effektavgift at approximately <strong>${results.summary.analysis.achievedPowerFeeSek} SEK/month</strong>.
         This monitoring alone is valuable for understanding your consumption patterns.
         <br/><br/>
         <strong>To Actually Reduce Peaks:</strong> You need a battery that can discharge during high-consumption moments.
         The node tells your ESS "limit grid to X amps" - the battery covers the rest. See the <code>batteryCharging</code>
         scenario for a ${results.summary.analysis.achievedPeakAverageKw > 3 ? '40-50%' : '30-40%'} reduction example, potentially saving
-        <strong>${Math.round(results.summary.analysis.achievedPeakAverageKw * 50 * 0.4)}-${Math.round(results.summary.analysis.achievedPeakAverageKw * 50 * 0.5)} SEK/month</strong>.
+        <strong>${Math.round(results.summary.analysis.achievedPowerFeeSek * 0.4)}-${Math.round(results.summary.analysis.achievedPowerFeeSek * 0.5)} SEK/month</strong>.
       </div>
       <table class="comparison-table">
         <thead>
@@ -1230,18 +1298,18 @@ function generateHTMLReport (results, outputPath, options = {}) {
           </tr>
         </thead>
         <tbody>
-          ${results.summary.peakStats.finalTopPeaks.slice(0, results.config.peakCount).map((p, i) => `
+          ${results.summary.peakStats.finalTopPeaks.slice(0, peakCount).map((p, i) => `
           <tr>
             <td>${i + 1}</td>
             <td>${p.date}</td>
-            <td>${p.hour}:00</td>
+            <td>${peakTracker.formatPeriod(p.hour, p.minute)}</td>
             <td>${(p.effectiveW / 1000).toFixed(2)}</td>
           </tr>
           `).join('')}
         </tbody>
       </table>
       `}
-      <div style="font-size: 11px; opacity: 0.7; margin-top: 10px;">*Estimated using typical Swedish effekttariff rate of ~50 SEK/kW/month. Actual rates vary by provider.</div>
+      <div style="font-size: 11px; opacity: 0.7; margin-top: 10px;">*Estimated using an effekttariff rate of ${results.summary.analysis.powerPriceSekPerKw} SEK/kW/month (set powerPriceSekPerKw in the scenario config). Actual rates vary by provider.</div>
     </div>
 
     <div class="charts-grid">
@@ -1251,7 +1319,7 @@ function generateHTMLReport (results, outputPath, options = {}) {
       </div>
 
       <div class="chart-container">
-        <h3 class="chart-title">Top ${results.config.peakCount} Recorded Peaks</h3>
+        <h3 class="chart-title">Top ${peakCount} Recorded Peaks</h3>
         <canvas id="peaksChart"></canvas>
       </div>
 
@@ -1287,7 +1355,7 @@ function generateHTMLReport (results, outputPath, options = {}) {
           <tr>
             <td>${i + 1}</td>
             <td>${p.date}</td>
-            <td>${p.hour}:00</td>
+            <td>${peakTracker.formatPeriod(p.hour, p.minute)}</td>
             <td>${(p.value / 1000).toFixed(2)}</td>
             <td>${(p.effective / 1000).toFixed(2)}</td>
           </tr>
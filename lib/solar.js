@@ -0,0 +1,206 @@
+'use strict'
+
+const { getTimeZone, getZonedTime, zonedTimeToDate, addCalendarDays } = require('./timezone')
+
+/**
+ * Solar PV Awareness for Effekttariff (solceller)
+ *
+ * With solar panels part of the battery charge comes from the sun, so less
+ * has to be bought from the grid before the next peak. The expected surplus
+ * (production above the household base load) comes from a PV forecast and,
+ * for the current hour, from the live production. Hours with export are
+ * tracked separately, since negative grid power does not count towards the
+ * peaks.
+ */
+
+// Forecast slots older than this are dropped
+const FORECAST_HISTORY_MS = 24 * 3600000
+
+/**
+ * Read the power of a forecast entry in watts
+ * @param {object|number} entry - Forecast entry or plain number (W)
+ * @returns {number} Power in watts (NaN if missing)
+ */
+function getEntryWatts (entry) {
+  if (typeof entry === 'number') return entry
+  // Solcast reports kW
+  if (entry.pv_estimate !== undefined) return parseFloat(entry.pv_estimate) * 1000
+  return parseFloat(entry.watts ?? entry.power ?? entry.value)
+}
+
+/**
+ * Read the time span of a forecast entry
+ *
+ * Entries have a start time, or an end time with a period length
+ * (Solcast period_end + PT30M). Without an end the slot lasts an hour.
+ *
+ * @param {object} entry - Forecast entry
+ * @returns {object|null} { startMs, endMs } or null without a valid time
+ */
+function getEntrySpan (entry) {
+  const periodMinutes = typeof entry.period === 'string'
+    ? parseInt((entry.period.match(/PT(\d+)M/) || [])[1]) || 60
+    : 60
+  const start = entry.start ?? entry.timestamp ?? entry.time ?? entry.period_start
+  if (start !== undefined && start !== null) {
+    const startMs = new Date(start).getTime()
+    if (!Number.isFinite(startMs)) return null
+    const endMs = entry.end ? new Date(entry.end).getTime() : startMs + periodMinutes * 60000
+    return Number.isFinite(endMs) && endMs > startMs ? { startMs, endMs } : null
+  }
+  if (entry.period_end) {
+    const endMs = new Date(entry.period_end).getTime()
+    return Number.isFinite(endMs) ? { startMs: endMs - periodMinutes * 60000, endMs } : null
+  }
+  return null
+}
+
+/**
+ * Parse a PV production forecast
+ *
+ * Accepted are a plain list of 24 hourly values in watts from local
+ * midnight today, an object with such a list in `hourly`, and a list of
+ * entries with times ({ start, end, watts } or Solcast
+ * { period_end, period, pv_estimate }) in any order.
+ *
+ * @param {Array|object} input - Forecast data
+ * @param {Date} now - Current timestamp
+ * @param {object} [config] - Configuration (timezone is used)
+ * @returns {Array} Slots { startMs, endMs, watts }, sorted and without invalid values
+ */
+function parseSolarForecast (input, now, config) {
+  if (!input) return []
+  const list = Array.isArray(input) ? input : input.hourly ?? input.forecasts
+  if (!Array.isArray(list)) return []
+
+  let slots
+  if (list.every(v => typeof v === 'number')) {
+    const timeZone = getTimeZone(config)
+    const local = getZonedTime(now, timeZone)
+    const midnightMs = zonedTimeToDate(local.year, local.month, local.day, 0, 0, timeZone).getTime()
+    slots = list.map((watts, i) => ({ startMs: midnightMs + i * 3600000, endMs: midnightMs + (i + 1) * 3600000, watts }))
+  } else {
+    slots = list
+      .filter(e => e && typeof e === 'object')
+      .map(e => ({ ...getEntrySpan(e), watts: getEntryWatts(e) }))
+      .filter(s => s.startMs !== undefined)
+  }
+
+  return slots
+    .filter(s => Number.isFinite(s.watts) && s.endMs > now.getTime() - FORECAST_HISTORY_MS)
+    .map(s => ({ ...s, watts: Math.max(0, s.watts) }))
+    .sort((a, b) => a.startMs - b.startMs)
+}
+
+/**
+ * Estimate the solar surplus the battery can take up in a time window
+ *
+ * Per forecast slot the production above the base load is counted, capped
+ * at the maximum charge rate. The live production replaces the forecast
+ * for the rest of the current hour.
+ *
+ * @param {Array} slots - Forecast slots
+ * @param {Date} now - Current timestamp (window start)
+ * @param {Date} deadline - Window end (next peak start)
+ * @param {object} config - Configuration (solarBaseLoadW, maxChargeRateW)
+ * @param {number|null} [livePvW] - Present PV production
+ * @returns {number} Expected surplus in Wh
+ */
+function estimateSurplusWh (slots, now, deadline, config, livePvW = null) {
+  const nowMs = now.getTime()
+  const deadlineMs = deadline.getTime()
+  const surplusW = (pvW) => Math.min(Math.max(0, pvW - config.solarBaseLoadW), config.maxChargeRateW)
+
+  let fromMs = nowMs
+  let totalWh = 0
+  if (typeof livePvW === 'number') {
+    fromMs = Math.min(deadlineMs, nowMs + 3600000)
+    totalWh += surplusW(livePvW) * (fromMs - nowMs) / 3600000
+  }
+
+  for (const s of slots || []) {
+    const startMs = Math.max(s.startMs, fromMs)
+    const endMs = Math.min(s.endMs, deadlineMs)
+    if (endMs > startMs) totalWh += surplusW(s.watts) * (endMs - startMs) / 3600000
+  }
+  return totalWh
+}
+
+/**
+ * Get the forecast production of the local day
+ * @param {Array} slots - Forecast slots
+ * @param {Date} now - Current timestamp
+ * @param {object} config - Configuration (timezone is used)
+ * @returns {number|null} Energy in Wh, null without forecast
+ */
+function getForecastTodayWh (slots, now, config) {
+  if (!slots || slots.length === 0) return null
+  const timeZone = getTimeZone(config)
+  const local = getZonedTime(now, timeZone)
+  const midnightMs = zonedTimeToDate(local.year, local.month, local.day, 0, 0, timeZone).getTime()
+  const next = addCalendarDays(local.year, local.month, local.day, 1)
+  const nextMidnightMs = zonedTimeToDate(next.year, next.month, next.day, 0, 0, timeZone).getTime()
+  return slots.reduce((sum, s) => {
+    const startMs = Math.max(s.startMs, midnightMs)
+    const endMs = Math.min(s.endMs, nextMidnightMs)
+    return endMs > startMs ? sum + s.watts * (endMs - startMs) / 3600000 : sum
+  }, 0)
+}
+
+/**
+ * Track exported energy (negative grid power)
+ *
+ * The previous sample is held until this one, capped like the import
+ * integration, and split at hour boundaries. Export per local hour is kept
+ * for the current day and summed for the month.
+ *
+ * @param {object} state - Current state (solarExport is created if missing)
+ * @param {object} config - Configuration
+ * @param {number} gridPowerW - Present grid power (negative = export)
+ * @param {Date} now - Current timestamp
+ * @returns {object} { todayWh, monthWh, exportHoursToday, exportingW }
+ */
+function trackExport (state, config, gridPowerW, now) {
+  const nowMs = now.getTime()
+  const timeZone = getTimeZone(config)
+  const local = getZonedTime(now, timeZone)
+  if (!state.solarExport || state.solarExport.month !== local.month) {
+    state.solarExport = { month: local.month, date: local.dateStr, monthWh: 0, hours: {}, lastMs: null, lastW: 0 }
+  }
+  const exp = state.solarExport
+  if (exp.date !== local.dateStr) {
+    exp.date = local.dateStr
+    exp.hours = {}
+  }
+
+  if (exp.lastMs !== null && nowMs > exp.lastMs && exp.lastW > 0) {
+    const holdEndMs = Math.min(nowMs, exp.lastMs + config.maxSampleHoldSeconds * 1000)
+    for (let fromMs = exp.lastMs; fromMs < holdEndMs;) {
+      const toMs = Math.min(holdEndMs, (Math.floor(fromMs / 3600000) + 1) * 3600000)
+      const energyWh = exp.lastW * (toMs - fromMs) / 3600000
+      const sampleTime = getZonedTime(new Date(fromMs), timeZone)
+      exp.monthWh += energyWh
+      if (sampleTime.dateStr === exp.date) {
+        exp.hours[sampleTime.hour] = (exp.hours[sampleTime.hour] || 0) + energyWh
+      }
+      fromMs = toMs
+    }
+  }
+  exp.lastMs = nowMs
+  exp.lastW = Math.max(0, -(gridPowerW || 0))
+
+  const todayWh = Object.values(exp.hours).reduce((sum, wh) => sum + wh, 0)
+  return {
+    todayWh: Math.round(todayWh),
+    monthWh: Math.round(exp.monthWh),
+    exportHoursToday: Object.keys(exp.hours).map(Number).sort((a, b) => a - b),
+    exportingW: Math.round(exp.lastW)
+  }
+}
+
+module.exports = {
+  parseSolarForecast,
+  estimateSurplusWh,
+  getForecastTodayWh,
+  trackExport
+}
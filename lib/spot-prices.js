@@ -0,0 +1,225 @@
+'use strict'
+
+const { getTimeZone, getZonedTime, zonedTimeToDate, addCalendarDays } = require('./timezone')
+
+/**
+ * Spot Prices for Effekttariff (spotpriser)
+ *
+ * Reads hourly (or quarter-hourly) Nord Pool prices for today and tomorrow
+ * and plans battery charging in the cheapest hours before the next peak
+ * period, instead of spreading the charge evenly.
+ */
+
+// Price slots older than this are dropped when prices are stored
+const PRICE_HISTORY_MS = 24 * 3600000
+
+/**
+ * Read the start time of a price entry
+ * @param {object} entry - Price entry
+ * @returns {number|null} Start in ms
+ */
+function getEntryStart (entry) {
+  const start = entry.startsAt ?? entry.start ?? entry.timestamp ?? entry.time ?? entry.from
+  if (start === undefined || start === null) return null
+  const ms = new Date(start).getTime()
+  return Number.isFinite(ms) ? ms : null
+}
+
+/**
+ * Read the price of a price entry
+ * @param {object|number} entry - Price entry or plain number
+ * @returns {number} Price per kWh (NaN if missing)
+ */
+function getEntryPrice (entry) {
+  if (typeof entry === 'number') return entry
+  return parseFloat(entry.total ?? entry.price ?? entry.value)
+}
+
+/**
+ * Build slots from a plain list of hourly prices starting at local midnight
+ * @param {Array<number>} values - 24 prices (23/25 on DST days)
+ * @param {number} dayOffset - 0 = today, 1 = tomorrow
+ * @param {Date} now - Current timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Array} Slots { startMs, endMs, price }
+ */
+function slotsFromHourlyList (values, dayOffset, now, timeZone) {
+  const local = getZonedTime(now, timeZone)
+  const day = addCalendarDays(local.year, local.month, local.day, dayOffset)
+  const midnightMs = zonedTimeToDate(day.year, day.month, day.day, 0, 0, timeZone).getTime()
+  return values.map((value, i) => ({
+    startMs: midnightMs + i * 3600000,
+    endMs: midnightMs + (i + 1) * 3600000,
+    price: getEntryPrice(value)
+  }))
+}
+
+/**
+ * Build slots from price entries with start times
+ *
+ * The slot length comes from the entry's end time, otherwise from the
+ * distance to the next entry (60 minutes for the last one).
+ *
+ * @param {Array} entries - Price entries
+ * @returns {Array} Slots { startMs, endMs, price }
+ */
+function slotsFromEntries (entries) {
+  const slots = entries
+    .filter(e => e && typeof e === 'object')
+    .map(e => {
+      const end = e.endsAt ?? e.end ?? e.to
+      return { startMs: getEntryStart(e), endMs: end ? new Date(end).getTime() : null, price: getEntryPrice(e) }
+    })
+    .filter(s => s.startMs !== null)
+    .sort((a, b) => a.startMs - b.startMs)
+
+  slots.forEach((slot, i) => {
+    if (!Number.isFinite(slot.endMs) || slot.endMs <= slot.startMs) {
+      const next = slots[i + 1]
+      slot.endMs = next && next.startMs - slot.startMs <= 3600000 ? next.startMs : slot.startMs + 3600000
+    }
+  })
+  return slots
+}
+
+/**
+ * Parse spot prices from the formats common in Node-RED flows
+ *
+ * Accepted are an array of entries with a start time (Nord Pool
+ * { timestamp, price }, Tibber { startsAt, total }, { start, end, value }),
+ * or an object with today/tomorrow lists (Tibber priceInfo, Home Assistant
+ * Nord Pool raw_today/raw_tomorrow), where plain numbers are hourly prices
+ * from local midnight.
+ *
+ * @param {Array|object} input - Price data
+ * @param {Date} now - Current timestamp
+ * @param {object} [config] - Configuration (timezone is used)
+ * @returns {Array} Slots { startMs, endMs, price }, sorted and without invalid prices
+ */
+function parsePrices (input, now, config) {
+  const timeZone = getTimeZone(config)
+  if (!input) return []
+
+  let slots = []
+  if (Array.isArray(input)) {
+    slots = input.every(v => typeof v === 'number')
+      ? slotsFromHourlyList(input, 0, now, timeZone)
+      : slotsFromEntries(input)
+  } else if (typeof input === 'object') {
+    const days = [input.today ?? input.raw_today, input.tomorrow ?? input.raw_tomorrow]
+    days.forEach((list, dayOffset) => {
+      if (!Array.isArray(list) || list.length === 0) return
+      slots = slots.concat(list.every(v => typeof v === 'number')
+        ? slotsFromHourlyList(list, dayOffset, now, timeZone)
+        : slotsFromEntries(list))
+    })
+  }
+
+  return slots
+    .filter(s => Number.isFinite(s.price))
+    .sort((a, b) => a.startMs - b.startMs)
+}
+
+/**
+ * Merge new price slots into stored ones and drop old slots
+ * @param {Array} stored - Stored slots
+ * @param {Array} slots - New slots (replace stored slots with the same start)
+ * @param {Date} now - Current timestamp
+ * @returns {Array} Slots sorted by start
+ */
+function mergePrices (stored, slots, now) {
+  const byStart = new Map()
+  const all = [...(stored || []), ...slots]
+  all.forEach(s => byStart.set(s.startMs, s))
+  return [...byStart.values()]
+    .filter(s => s.endMs > now.getTime() - PRICE_HISTORY_MS)
+    .sort((a, b) => a.startMs - b.startMs)
+}
+
+/**
+ * Get the price at a timestamp
+ * @param {Array} slots - Price slots
+ * @param {Date} now - Timestamp
+ * @returns {number|null} Price per kWh or null if unknown
+ */
+function getCurrentPrice (slots, now) {
+  const t = now.getTime()
+  const slot = (slots || []).find(s => s.startMs <= t && s.endMs > t)
+  return slot ? slot.price : null
+}
+
+/**
+ * Plan charging in the cheapest time before a deadline
+ *
+ * The time from now until the deadline is cut into price slots (the current
+ * one only for its remaining part). The cheapest slots are filled at the
+ * maximum charge rate until the energy deficit is covered. Without prices
+ * for the whole window the plan could miss cheaper or necessary hours, so
+ * null is returned and the caller charges evenly instead.
+ *
+ * @param {Array} slots - Price slots
+ * @param {Date} now - Current timestamp
+ * @param {Date} deadline - When the battery must be charged (next peak start)
+ * @param {number} energyDeficitWh - Energy to charge
+ * @param {number} maxChargeRateW - Maximum charge rate
+ * @returns {object|null} { currentRateW, schedule, expectedCost, averagePrice, shortfallWh } or null
+ */
+function planCharging (slots, now, deadline, energyDeficitWh, maxChargeRateW) {
+  const nowMs = now.getTime()
+  const deadlineMs = deadline.getTime()
+
+  const window = (slots || [])
+    .filter(s => s.endMs > nowMs && s.startMs < deadlineMs)
+    .map(s => {
+      const startMs = Math.max(s.startMs, nowMs)
+      const endMs = Math.min(s.endMs, deadlineMs)
+      return { startMs, endMs, price: s.price, maxEnergyWh: maxChargeRateW * (endMs - startMs) / 3600000 }
+    })
+
+  // Every minute until the deadline must have a known price
+  let coveredUntil = nowMs
+  for (const s of window) {
+    if (s.startMs > coveredUntil) return null
+    coveredUntil = Math.max(coveredUntil, s.endMs)
+  }
+  if (coveredUntil < deadlineMs) return null
+
+  let remainingWh = energyDeficitWh
+  const chosen = []
+  const cheapestFirst = [...window].sort((a, b) => a.price - b.price || a.startMs - b.startMs)
+  cheapestFirst.forEach(s => {
+    if (remainingWh <= 0) return
+    const energyWh = Math.min(remainingWh, s.maxEnergyWh)
+    remainingWh -= energyWh
+    chosen.push({ ...s, energyWh })
+  })
+
+  const schedule = chosen
+    .sort((a, b) => a.startMs - b.startMs)
+    .map(s => ({
+      start: new Date(s.startMs).toISOString(),
+      end: new Date(s.endMs).toISOString(),
+      price: s.price,
+      energyWh: Math.round(s.energyWh),
+      chargeRateW: Math.round(s.energyWh * 3600000 / (s.endMs - s.startMs) / 10) * 10
+    }))
+
+  const current = chosen.find(s => s.startMs <= nowMs && s.endMs > nowMs)
+  const chargedWh = energyDeficitWh - Math.max(0, remainingWh)
+  const expectedCost = chosen.reduce((sum, s) => sum + s.energyWh / 1000 * s.price, 0)
+
+  return {
+    currentRateW: current ? Math.round(current.energyWh * 3600000 / (current.endMs - current.startMs) / 10) * 10 : 0,
+    schedule,
+    expectedCost: Math.round(expectedCost * 100) / 100,
+    averagePrice: chargedWh > 0 ? Math.round(expectedCost / (chargedWh / 1000) * 1000) / 1000 : null,
+    shortfallWh: Math.round(Math.max(0, remainingWh))
+  }
+}
+
+module.exports = {
+  parsePrices,
+  mergePrices,
+  getCurrentPrice,
+  planCharging
+}
@@ -0,0 +1,176 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * State Storage for Effekttariff (lagring)
+ *
+ * The tracker state must survive restarts and redeploys. A storage backend
+ * keeps named records, e.g. the live state and the billing period history,
+ * so the history is not rewritten with every save of the state:
+ * - context: a Node-RED context store (any store from settings.js)
+ * - file: one JSON file per record, written atomically with a backup
+ * - sqlite: a table in an SQLite database (node:sqlite on Node.js 22.5+,
+ *   otherwise the better-sqlite3 package must be installed)
+ * All backends are synchronous, so records can be saved from the input
+ * handler without reordering messages.
+ */
+
+const STORAGE_BACKENDS = ['context', 'file', 'sqlite']
+
+// Default context store; 'file' needs localfilesystem in settings.js
+const DEFAULT_CONTEXT_STORE = 'file'
+
+// Default time between saves of the live state
+const DEFAULT_SAVE_INTERVAL_SECONDS = 300
+
+/**
+ * Store records in a Node-RED context
+ * @param {object} context - Context to store in (e.g. node.context().flow)
+ * @param {string} [store] - Context store name; empty for the default store
+ * @returns {object} Storage { backend, load, save, close }
+ */
+function createContextStorage (context, store = DEFAULT_CONTEXT_STORE) {
+  const storeName = store || undefined
+  return {
+    backend: 'context',
+    location: storeName || 'default',
+    load: (key) => context.get(key, storeName),
+    save: (key, value) => context.set(key, value, storeName),
+    close: () => {}
+  }
+}
+
+/**
+ * Get the file a record is kept in
+ * @param {string} directory - Storage directory
+ * @param {string} key - Record key
+ * @returns {string} File path
+ */
+function getRecordFile (directory, key) {
+  return path.join(directory, `${key.replace(/[^\w.-]/g, '_')}.json`)
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @returns {*} Parsed content, undefined when the file is missing or invalid
+ */
+function readJsonFile (file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Store records as JSON files in a directory
+ *
+ * A record is written to a temporary file that is then renamed over the
+ * previous one, so a crash never leaves a half-written file. The previous
+ * version is kept as .bak and read when the file itself is unreadable.
+ *
+ * @param {string} directory - Directory for the files (created if missing)
+ * @returns {object} Storage { backend, load, save, close }
+ */
+function createFileStorage (directory) {
+  fs.mkdirSync(directory, { recursive: true })
+
+  return {
+    backend: 'file',
+    location: directory,
+    load (key) {
+      const file = getRecordFile(directory, key)
+      const value = readJsonFile(file)
+      return value !== undefined ? value : readJsonFile(`${file}.bak`)
+    },
+    save (key, value) {
+      const file = getRecordFile(directory, key)
+      const tmpFile = `${file}.tmp`
+      fs.writeFileSync(tmpFile, JSON.stringify(value))
+      if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`)
+      fs.renameSync(tmpFile, file)
+    },
+    close: () => {}
+  }
+}
+
+/**
+ * Open an SQLite database with the built-in module or better-sqlite3
+ * @param {string} file - Database file
+ * @returns {object} Database with exec() and prepare()
+ * @throws {Error} When neither module is available
+ */
+function openSqliteDatabase (file) {
+  try {
+    const { DatabaseSync } = require('node:sqlite')
+    return new DatabaseSync(file)
+  } catch (err) {
+    // Built in from Node.js 22.13; 22.5-22.12 need the --experimental-sqlite flag
+  }
+  let Database
+  try {
+    Database = require('better-sqlite3')
+  } catch (err) {
+    throw new Error('SQLite storage needs Node.js 22.13 or newer (22.5 with --experimental-sqlite), or the better-sqlite3 package')
+  }
+  return new Database(file)
+}
+
+/**
+ * Store records in an SQLite database
+ * @param {string} file - Database file (its directory is created if missing)
+ * @returns {object} Storage { backend, load, save, close }
+ * @throws {Error} When SQLite is not available
+ */
+function createSqliteStorage (file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = openSqliteDatabase(file)
+  db.exec('CREATE TABLE IF NOT EXISTS records (key TEXT PRIMARY KEY, value TEXT NOT NULL, saved_at INTEGER NOT NULL)')
+  const select = db.prepare('SELECT value FROM records WHERE key = ?')
+  const upsert = db.prepare('INSERT INTO records (key, value, saved_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, saved_at = excluded.saved_at')
+
+  return {
+    backend: 'sqlite',
+    location: file,
+    load (key) {
+      const row = select.get(key)
+      return row ? JSON.parse(row.value) : undefined
+    },
+    save (key, value) {
+      upsert.run(key, JSON.stringify(value), Date.now())
+    },
+    close: () => db.close()
+  }
+}
+
+/**
+ * Create the configured storage backend
+ * @param {object} options - { backend, context, contextStore, path }
+ * @returns {object} Storage { backend, location, load, save, close }
+ * @throws {Error} For an unknown backend, or when the file or database cannot be opened
+ */
+function createStorage (options) {
+  switch (options.backend || 'context') {
+    case 'context':
+      return createContextStorage(options.context, options.contextStore)
+    case 'file':
+      return createFileStorage(options.path)
+    case 'sqlite':
+      return createSqliteStorage(options.path)
+    default:
+      throw new Error(`Unknown storage backend: ${options.backend} (supported: ${STORAGE_BACKENDS.join(', ')})`)
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEFAULT_CONTEXT_STORE,
+  DEFAULT_SAVE_INTERVAL_SECONDS,
+  createContextStorage,
+  createFileStorage,
+  createSqliteStorage,
+  createStorage
+}
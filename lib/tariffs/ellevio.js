@@ -0,0 +1,29 @@
+'use strict'
+
+/**
+ * Ellevio
+ *
+ * Average of the three highest hours on different weekdays, 07-19,
+ * November to March. Public holidays are exempt.
+ */
+module.exports = {
+  id: 'ellevio',
+  name: 'Ellevio',
+  version: '2024.1',
+  validFrom: '2024-01-01',
+  config: {
+    tariffModel: 'average',
+    peakCount: 3,
+    onePeakPerDay: true,
+    measurementIntervalMinutes: 60,
+    peakHoursStart: 7,
+    peakHoursEnd: 19,
+    weekdaysOnly: true,
+    excludeHolidays: true,
+    nightDiscount: false,
+    peakSeasonOnly: true,
+    peakSeasonStart: 11,
+    peakSeasonEnd: 3,
+    powerPriceSekPerKw: 81.25
+  }
+}
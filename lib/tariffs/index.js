@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ * Tariff Presets for Effekttariff (nätbolagens tariffer)
+ *
+ * Registry of grid company (DSO) tariff rules. Each preset holds the
+ * tracker settings of one grid company and a version, so changes to a
+ * price list can be traced. Prices are indicative; check the current
+ * price list of your grid company.
+ */
+
+/**
+ * Version of the preset registry, bumped whenever a preset changes
+ */
+const REGISTRY_VERSION = '2024.1'
+
+const PRESETS = [
+  require('./ellevio'),
+  require('./kungalv'),
+  require('./jonkoping')
+]
+
+/**
+ * Get a tariff preset by id
+ * @param {string} id - Preset id, e.g. 'ellevio'
+ * @returns {object|null} Preset { id, name, version, validFrom, config } or null
+ */
+function getPreset (id) {
+  return PRESETS.find(p => p.id === id) || null
+}
+
+/**
+ * List all tariff presets
+ * @returns {Array} Presets { id, name, version, validFrom, config }
+ */
+function listPresets () {
+  return PRESETS.map(p => ({ ...p, config: { ...p.config } }))
+}
+
+/**
+ * Build a configuration from a tariff preset
+ *
+ * Settings in overrides (limits, battery, ...) are added to the preset's
+ * tariff rules and win over them.
+ *
+ * @param {string} id - Preset id
+ * @param {object} [overrides] - Settings that take precedence over the preset
+ * @returns {object} Configuration with the preset applied
+ * @throws {Error} If the preset does not exist
+ */
+function applyPreset (id, overrides = {}) {
+  const preset = getPreset(id)
+  if (!preset) {
+    throw new Error(`Unknown tariff preset: ${id}`)
+  }
+  return { ...preset.config, ...overrides }
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  getPreset,
+  listPresets,
+  applyPreset
+}
@@ -0,0 +1,29 @@
+'use strict'
+
+/**
+ * Jönköping Energi
+ *
+ * Average of the two highest hours, 07-21 every day, all year.
+ * Several peaks may come from the same day.
+ */
+module.exports = {
+  id: 'jonkoping',
+  name: 'Jönköping Energi',
+  version: '2024.1',
+  validFrom: '2024-01-01',
+  config: {
+    tariffModel: 'average',
+    peakCount: 2,
+    onePeakPerDay: false,
+    measurementIntervalMinutes: 60,
+    peakHoursStart: 7,
+    peakHoursEnd: 21,
+    weekdaysOnly: false,
+    excludeHolidays: false,
+    nightDiscount: false,
+    peakSeasonOnly: false,
+    peakSeasonStart: 11,
+    peakSeasonEnd: 3,
+    powerPriceSekPerKw: 37.5
+  }
+}
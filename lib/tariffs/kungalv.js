@@ -0,0 +1,29 @@
+'use strict'
+
+/**
+ * Kungälv Energi
+ *
+ * Average of the three highest hours on different weekdays, 07-21,
+ * November to March, with night discount. Public holidays are exempt.
+ */
+module.exports = {
+  id: 'kungalv',
+  name: 'Kungälv Energi',
+  version: '2024.1',
+  validFrom: '2024-01-01',
+  config: {
+    tariffModel: 'average',
+    peakCount: 3,
+    onePeakPerDay: true,
+    measurementIntervalMinutes: 60,
+    peakHoursStart: 7,
+    peakHoursEnd: 21,
+    weekdaysOnly: true,
+    excludeHolidays: true,
+    nightDiscount: true,
+    peakSeasonOnly: true,
+    peakSeasonStart: 11,
+    peakSeasonEnd: 3,
+    powerPriceSekPerKw: 50
+  }
+}
@@ -0,0 +1,177 @@
+'use strict'
+
+const peakTracker = require('./peak-tracker')
+const { calculateRequiredReductionW } = require('./loads')
+const { readList } = require('./config-list')
+
+/**
+ * Thermal Load Shifting for Effekttariff (värmestyrning)
+ *
+ * Heat pumps and water heaters store energy as heat, so their consumption
+ * can be moved without switching them off. Before peak hours the setpoint
+ * is raised to pre-heat the house or tank; during the peak periods the
+ * forecast predicts, or whenever the current period is heading over the
+ * target, it is lowered. The setpoint always stays within the comfort
+ * bounds, and the time spent below the normal setpoint is limited per day.
+ */
+
+/**
+ * Default settings of a thermal load
+ */
+const THERMAL_DEFAULTS = {
+  setbackDegrees: 2, // Lowest setpoint = setpoint - setbackDegrees (comfort bound)
+  preheatDegrees: 1, // Highest setpoint = setpoint + preheatDegrees (comfort bound)
+  preheatHours: 2, // Hours before peak hours to pre-heat
+  maxSetbackHours: 4 // Longest time per day below the normal setpoint
+}
+
+/**
+ * Longest time between two samples that counts as setback time. Longer gaps
+ * (node restart, lost input) are not counted.
+ */
+const MAX_SAMPLE_GAP_MS = 10 * 60 * 1000
+
+/**
+ * Parse the configured thermal load list
+ *
+ * Accepts a JSON string or an array. Entries without a name or a numeric
+ * setpoint are dropped, as are negative comfort bounds.
+ *
+ * @param {string|Array} value - Thermal load list
+ * @returns {Array} Thermal loads with defaults applied
+ */
+function parseThermalLoads (value) {
+  return readList(value)
+    .filter(l => l && typeof l.name === 'string' && l.name !== '')
+    .map(l => {
+      const load = { ...THERMAL_DEFAULTS, ...l }
+      load.setpoint = parseFloat(load.setpoint)
+      load.setbackDegrees = parseFloat(load.setbackDegrees)
+      load.preheatDegrees = parseFloat(load.preheatDegrees)
+      load.preheatHours = parseFloat(load.preheatHours) || 0
+      load.maxSetbackHours = parseFloat(load.maxSetbackHours) || 0
+      return load
+    })
+    .filter(l => Number.isFinite(l.setpoint) && l.setbackDegrees >= 0 && l.preheatDegrees >= 0)
+}
+
+/**
+ * Get the stored state of a thermal load, starting a new day when needed
+ * @param {object} state - Current state (thermalStates is created if missing)
+ * @param {object} load - Thermal load
+ * @param {string} dateStr - Local date
+ * @returns {object} { offset, mode, since, date, setbackMs, lastMs }
+ */
+function getThermalState (state, load, dateStr) {
+  if (!state.thermalStates) state.thermalStates = {}
+  let thermalState = state.thermalStates[load.name]
+  if (!thermalState) {
+    thermalState = { offset: 0, mode: 'normal', since: null, date: dateStr, setbackMs: 0, lastMs: null }
+    state.thermalStates[load.name] = thermalState
+  }
+  if (thermalState.date !== dateStr) {
+    thermalState.date = dateStr
+    thermalState.setbackMs = 0
+  }
+  return thermalState
+}
+
+/**
+ * Check whether the forecast predicts a peak in the given hour
+ *
+ * Without forecast periods every peak hour counts as predicted.
+ *
+ * @param {object|null} forecast - Forecast from forecasting.generateForecast
+ * @param {number} hour - Hour (0-23)
+ * @returns {boolean}
+ */
+function isPredictedPeak (forecast, hour) {
+  if (!forecast || !Array.isArray(forecast.periods) || forecast.periods.length === 0) return true
+  return forecast.periods.some(p => hour >= p.start && hour < p.end)
+}
+
+/**
+ * Decide the setpoint offsets of the thermal loads
+ *
+ * During peak hours a load is set back in the hours the forecast predicts a
+ * peak, or when the current period is heading over the target, until its
+ * setback time for the day is used up. Outside peak hours it pre-heats from
+ * preheatHours before the next peak. Outside the peak season the normal
+ * setpoint is used.
+ *
+ * @param {object} state - Current state (will be mutated)
+ * @param {object} config - Configuration
+ * @param {Array} thermalLoads - Thermal loads from parseThermalLoads
+ * @param {object} result - Result of processGridPower
+ * @param {number} gridPowerW - Present grid power
+ * @param {object|null} forecast - Forecast from forecasting.generateForecast
+ * @param {Date} now - Current timestamp
+ * @returns {object} { commands, loads } - commands holds the loads whose offset changed
+ */
+function evaluateThermalLoads (state, config, thermalLoads, result, gridPowerW, forecast, now) {
+  const nowMs = now.getTime()
+  const local = peakTracker.getLocalTime(now, config)
+  const hoursUntilPeak = peakTracker.calculateHoursUntilPeak(now, config)
+  const reductionW = calculateRequiredReductionW(state, config, result, gridPowerW, now)
+  const predicted = isPredictedPeak(forecast, local.hour)
+  const commands = []
+
+  const statuses = thermalLoads.map(load => {
+    const thermalState = getThermalState(state, load, local.dateStr)
+
+    // Count the time since the last sample as setback time
+    if (thermalState.mode === 'setback' && thermalState.lastMs !== null) {
+      const elapsedMs = nowMs - thermalState.lastMs
+      if (elapsedMs > 0 && elapsedMs <= MAX_SAMPLE_GAP_MS) thermalState.setbackMs += elapsedMs
+    }
+    thermalState.lastMs = nowMs
+
+    const setbackLeftMs = load.maxSetbackHours * 3600000 - thermalState.setbackMs
+    let mode = 'normal'
+    let reason = 'outside peak season'
+
+    if (result.inPeakSeason && result.inPeakHours) {
+      if (!predicted && !(reductionW > 0)) {
+        reason = 'no peak predicted'
+      } else if (setbackLeftMs <= 0) {
+        reason = `max setback ${load.maxSetbackHours}h reached`
+      } else {
+        mode = 'setback'
+        reason = reductionW > 0 ? `over target by ${Math.round(reductionW)}W` : 'predicted peak'
+      }
+    } else if (result.inPeakSeason) {
+      if (hoursUntilPeak <= load.preheatHours) {
+        mode = 'preheat'
+        reason = `peak in ${hoursUntilPeak}h`
+      } else {
+        reason = 'off-peak'
+      }
+    }
+
+    const offset = mode === 'setback' ? -load.setbackDegrees : mode === 'preheat' ? load.preheatDegrees : 0
+    if (offset !== thermalState.offset || mode !== thermalState.mode) {
+      thermalState.offset = offset
+      thermalState.mode = mode
+      thermalState.since = nowMs
+      commands.push({ name: load.name, offset, setpoint: load.setpoint + offset, mode, reason })
+    }
+
+    return {
+      name: load.name,
+      offset,
+      setpoint: load.setpoint + offset,
+      mode,
+      reason,
+      setbackMinutesToday: Math.round(thermalState.setbackMs / 60000)
+    }
+  })
+
+  return { commands, loads: statuses }
+}
+
+module.exports = {
+  THERMAL_DEFAULTS,
+  parseThermalLoads,
+  isPredictedPeak,
+  evaluateThermalLoads
+}
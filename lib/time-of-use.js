@@ -0,0 +1,188 @@
+'use strict'
+
+const { isSwedishHoliday, isCustomHoliday } = require('./holidays')
+const { readList } = require('./config-list')
+
+/**
+ * Time-of-Use Weights for Effekttariff (tidsviktning)
+ *
+ * Some grid companies count only part of the consumption in certain hours
+ * towards the peak, e.g. 50% at night (nattsänkning) or on weekends. A
+ * weight table maps month ranges × day types × hour ranges to a multiplier
+ * of the measured power. The first matching rule wins; periods without a
+ * match count in full.
+ *
+ * Peak windows replace the single peak hours range: each window has its own
+ * hours, day types and weight, e.g. 07-09 and 17-20 at full weight and the
+ * rest of the weekday at half weight.
+ */
+
+/**
+ * Day types a rule can apply to
+ * - all: every day
+ * - weekday: Monday-Friday that is not a holiday
+ * - weekend: Saturday and Sunday
+ * - holiday: Swedish public holidays and custom holidays
+ */
+const DAY_TYPES = ['all', 'weekday', 'weekend', 'holiday']
+
+/**
+ * Table used for the plain night discount setting (22:00-06:00 at 50%)
+ */
+const NIGHT_DISCOUNT_TABLE = [
+  { months: [1, 12], days: ['all'], hours: [22, 6], weight: 0.5 }
+]
+
+/**
+ * Read a [from, to] range
+ * @param {Array|undefined} value - Range from the configuration
+ * @param {Array<number>} fallback - Range when not given
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {Array<number>|null} Range, or null if invalid
+ */
+function parseRange (value, fallback, min, max) {
+  if (value === undefined || value === null) return fallback
+  if (!Array.isArray(value) || value.length !== 2) return null
+  const range = value.map(v => parseInt(v))
+  return range.every(v => v >= min && v <= max) ? range : null
+}
+
+/**
+ * Parse a time-of-use weight table
+ *
+ * Accepts a JSON string or an array of
+ * { months: [from, to], days, hours: [from, to], weight }. Months are
+ * inclusive (1-12), hours run from `from` up to `to` (0-24); both may wrap,
+ * e.g. months [11, 3] or hours [22, 6]. `days` is a day type or a list of
+ * them (default 'all'). Entries with an invalid range or weight are dropped.
+ *
+ * @param {string|Array} value - Weight table
+ * @returns {Array} Rules { months, days, hours, weight }
+ */
+function parseTouTable (value) {
+  return readList(value)
+    .filter(r => r && typeof r === 'object')
+    .map(r => ({
+      months: parseRange(r.months, [1, 12], 1, 12),
+      days: r.days === undefined ? ['all'] : [].concat(r.days),
+      hours: parseRange(r.hours, [0, 24], 0, 24),
+      weight: parseFloat(r.weight)
+    }))
+    .filter(r => r.months && r.hours && r.days.every(d => DAY_TYPES.includes(d)) &&
+      Number.isFinite(r.weight) && r.weight >= 0)
+}
+
+/**
+ * Parse a list of peak windows
+ *
+ * Accepts a JSON string or an array of { hours: [from, to], days, weight }.
+ * Hours run from `from` up to `to` (0-24) and may wrap; `days` is a day type
+ * or a list of them (default 'all'); `weight` defaults to 1. Entries without
+ * valid hours or with a weight of 0 or less are dropped.
+ *
+ * @param {string|Array} value - Peak windows
+ * @returns {Array} Windows { hours, days, weight }
+ */
+function parsePeakWindows (value) {
+  return readList(value)
+    .filter(w => w && typeof w === 'object')
+    .map(w => ({
+      hours: Array.isArray(w.hours) ? parseRange(w.hours, null, 0, 24) : null,
+      days: w.days === undefined ? ['all'] : [].concat(w.days),
+      weight: w.weight === undefined ? 1 : parseFloat(w.weight)
+    }))
+    .filter(w => w.hours && w.days.every(d => DAY_TYPES.includes(d)) &&
+      Number.isFinite(w.weight) && w.weight > 0)
+}
+
+/**
+ * Get the table in effect
+ *
+ * An explicit table replaces the night discount setting.
+ *
+ * @param {object} config - Configuration (touWeights, nightDiscount)
+ * @returns {Array} Rules
+ */
+function getTouTable (config) {
+  if (Array.isArray(config.touWeights) && config.touWeights.length > 0) return config.touWeights
+  return config.nightDiscount ? NIGHT_DISCOUNT_TABLE : []
+}
+
+/**
+ * Check whether a value lies in a range that may wrap
+ * @param {number} value - Value
+ * @param {Array<number>} range - [from, to]
+ * @param {boolean} inclusive - Whether `to` is part of the range
+ * @returns {boolean}
+ */
+function inRange (value, [from, to], inclusive) {
+  const beforeEnd = inclusive ? value <= to : value < to
+  if (from <= to) return value >= from && beforeEnd
+  return value >= from || beforeEnd
+}
+
+/**
+ * Check whether a day matches a day type
+ * @param {string} dayType - One of DAY_TYPES
+ * @param {object} local - Local time { dayOfWeek, dateStr }
+ * @param {object} config - Configuration (customHolidays)
+ * @returns {boolean}
+ */
+function matchesDayType (dayType, local, config) {
+  const holiday = !!local.dateStr &&
+    (isSwedishHoliday(local.dateStr) || isCustomHoliday(local.dateStr, config.customHolidays))
+  const weekend = local.dayOfWeek === 0 || local.dayOfWeek === 6
+
+  switch (dayType) {
+    case 'weekday': return !weekend && !holiday
+    case 'weekend': return weekend
+    case 'holiday': return holiday
+    default: return true
+  }
+}
+
+/**
+ * Get the peak window a period falls in
+ * @param {object} config - Configuration (peakWindows)
+ * @param {object} local - Local time of the period { hour, dayOfWeek, dateStr }
+ * @returns {object|null} First matching window, null outside all windows or without windows
+ */
+function getPeakWindow (config, local) {
+  if (!Array.isArray(config.peakWindows)) return null
+  return config.peakWindows.find(w =>
+    inRange(local.hour, w.hours, false) &&
+    w.days.some(d => matchesDayType(d, local, config))
+  ) || null
+}
+
+/**
+ * Get the weight of a measurement period
+ *
+ * The time-of-use weight is multiplied by the weight of the peak window the
+ * period falls in, if peak windows are configured.
+ *
+ * @param {object} config - Configuration
+ * @param {object} local - Local time of the period { hour, dayOfWeek, month, dateStr }
+ * @returns {number} Multiplier of the measured power (1 without a matching rule)
+ */
+function getTimeWeight (config, local) {
+  const rule = getTouTable(config).find(r =>
+    inRange(local.month, r.months, true) &&
+    inRange(local.hour, r.hours, false) &&
+    r.days.some(d => matchesDayType(d, local, config))
+  )
+  const window = getPeakWindow(config, local)
+  return (rule ? rule.weight : 1) * (window ? window.weight : 1)
+}
+
+module.exports = {
+  DAY_TYPES,
+  NIGHT_DISCOUNT_TABLE,
+  parseTouTable,
+  parsePeakWindows,
+  getTouTable,
+  getPeakWindow,
+  matchesDayType,
+  getTimeWeight
+}
@@ -0,0 +1,182 @@
+'use strict'
+
+/**
+ * Timezone helpers for Effekttariff (tidszon)
+ *
+ * Grid operators bill in local (Swedish) time, independent of the timezone
+ * of the machine running Node-RED. These helpers read wall-clock fields of a
+ * timestamp in a given IANA timezone and convert wall-clock times back to
+ * timestamps, so hours and dates stay correct across DST switches.
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Stockholm'
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+// Intl formatters are expensive to create, keep one per timezone
+const formatters = new Map()
+
+/**
+ * Get a cached formatter for a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter (timeZone) {
+  let formatter = formatters.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+    formatters.set(timeZone, formatter)
+  }
+  return formatter
+}
+
+/**
+ * Check whether a timezone name is supported
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimeZone (timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Resolve the configured timezone, falling back to the default
+ * @param {object} config - Configuration (timezone is used)
+ * @returns {string} IANA timezone name
+ */
+function getTimeZone (config) {
+  return isValidTimeZone(config && config.timezone) ? config.timezone : DEFAULT_TIMEZONE
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ *
+ * Months and days outside their range roll over, e.g. month 13 is January
+ * of the next year and 30 February is 1 or 2 March.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string}
+ */
+function formatDate (year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+}
+
+/**
+ * Get the wall-clock fields of a timestamp in a timezone
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} { year, month (1-12), day, hour, minute, second, dayOfWeek (0=Sunday), dateStr }
+ */
+function getZonedTime (date, timeZone) {
+  const fields = {}
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    fields[part.type] = part.value
+  })
+
+  const year = parseInt(fields.year)
+  const month = parseInt(fields.month)
+  const day = parseInt(fields.day)
+
+  return {
+    year,
+    month,
+    day,
+    hour: parseInt(fields.hour),
+    minute: parseInt(fields.minute),
+    second: parseInt(fields.second),
+    dayOfWeek: WEEKDAYS[fields.weekday],
+    dateStr: formatDate(year, month, day)
+  }
+}
+
+/**
+ * Get the UTC offset of a timezone at a timestamp
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs (date, timeZone) {
+  const z = getZonedTime(date, timeZone)
+  const wallClockAsUtc = Date.UTC(z.year, z.month - 1, z.day, z.hour, z.minute, z.second)
+  return wallClockAsUtc - (date.getTime() - date.getMilliseconds())
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a timestamp
+ *
+ * Ambiguous times (repeated by the autumn DST switch) resolve to the first
+ * occurrence. Times skipped by the spring switch use the offset from before
+ * the switch, i.e. they move one hour forward.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month (may overflow, e.g. 32 = next month)
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+function zonedTimeToDate (year, month, day, hour, minute, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute)
+  const target = new Date(wallClockAsUtc)
+  const offsetBefore = getOffsetMs(new Date(wallClockAsUtc - 86400000), timeZone)
+  const offsetAfter = getOffsetMs(new Date(wallClockAsUtc + 86400000), timeZone)
+
+  const candidates = [wallClockAsUtc - offsetBefore, wallClockAsUtc - offsetAfter].sort((a, b) => a - b)
+  const match = candidates.find(t => {
+    const z = getZonedTime(new Date(t), timeZone)
+    return z.hour === target.getUTCHours() && z.minute === target.getUTCMinutes() && z.day === target.getUTCDate()
+  })
+
+  return new Date(match !== undefined ? match : wallClockAsUtc - offsetBefore)
+}
+
+/**
+ * Add calendar days to a date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} days - Days to add
+ * @returns {object} { year, month, day, dayOfWeek, dateStr }
+ */
+function addCalendarDays (year, month, day, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days))
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    dayOfWeek: date.getUTCDay(),
+    dateStr: formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getTimeZone,
+  getZonedTime,
+  getOffsetMs,
+  zonedTimeToDate,
+  formatDate,
+  addCalendarDays
+}
@@ -83,7 +83,7 @@ const categories = {
   providers: {
     title: 'Swedish Provider Configurations',
     icon: '🇸🇪',
-    scenarios: ['nightDiscount', 'weekdaysOnly', 'winterSeason', 'jonkoping']
+    scenarios: ['nightDiscount', 'weekdaysOnly', 'winterSeason', 'jonkoping', 'quarterHour', 'holidays']
   },
   installation: {
     title: 'Installation Types',
@@ -93,7 +93,7 @@ const categories = {
   battery: {
     title: 'Battery Features',
     icon: '🔋',
-    scenarios: ['batteryCharging', 'batteryBalancing', 'dynamicHeadroom']
+    scenarios: ['batteryCharging', 'batteryBalancing', 'dynamicHeadroom', 'forecastBudget']
   },
   resilience: {
     title: 'Resilience Features',
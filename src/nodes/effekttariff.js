@@ -1,7 +1,25 @@
 'use strict'
 
+const fs = require('fs')
+const path = require('path')
 const peakTracker = require('../../lib/peak-tracker')
 const forecasting = require('../../lib/forecasting')
+const tariffs = require('../../lib/tariffs')
+const holidays = require('../../lib/holidays')
+const commands = require('../../lib/commands')
+const history = require('../../lib/history')
+const phases = require('../../lib/phases')
+const spotPrices = require('../../lib/spot-prices')
+const optimizer = require('../../lib/optimizer')
+const costs = require('../../lib/costs')
+const loads = require('../../lib/loads')
+const evCharger = require('../../lib/ev-charger')
+const thermal = require('../../lib/thermal')
+const solar = require('../../lib/solar')
+const timeOfUse = require('../../lib/time-of-use')
+const seasons = require('../../lib/seasons')
+const billingPeriods = require('../../lib/billing-period')
+const storage = require('../../lib/storage')
 
 module.exports = function (RED) {
   function EffekttariffNode (config) {
@@ -11,20 +29,42 @@ module.exports = function (RED) {
     // Build configuration from node settings
     const trackerConfig = peakTracker.mergeConfig({
       // Peak tracking settings
+      tariffModel: config.tariffModel || 'average',
       peakCount: parseInt(config.peakCount) || 3,
       onePeakPerDay: config.onePeakPerDay !== false,
+      measurementIntervalMinutes: parseInt(config.measurementInterval) || 60,
+      timezone: config.timezone || 'Europe/Stockholm',
+      maxSampleHoldSeconds: parseInt(config.maxSampleHold) || 600,
+      inputType: config.inputType || 'power',
+      counterRolloverKwh: parseFloat(config.counterRollover) || 0,
       peakHoursStart: parseInt(config.peakHoursStart) || 7,
       peakHoursEnd: parseInt(config.peakHoursEnd) || 21,
+      peakWindows: timeOfUse.parsePeakWindows(config.peakWindows),
       weekdaysOnly: config.weekdaysOnly || false,
+      excludeHolidays: config.excludeHolidays || false,
+      customHolidays: holidays.parseCustomHolidays(config.customHolidays),
       nightDiscount: config.nightDiscount || false,
+      touWeights: timeOfUse.parseTouTable(config.touWeights),
       peakSeasonOnly: config.peakSeasonOnly !== false,
       peakSeasonStart: parseInt(config.peakSeasonStart) || 11,
       peakSeasonEnd: parseInt(config.peakSeasonEnd) || 3,
+      seasonProfiles: seasons.parseSeasonProfiles(config.seasonProfiles),
+      billingPeriod: billingPeriods.BILLING_PERIOD_MODES.includes(config.billingPeriod) ? config.billingPeriod : 'calendar',
+      billingStartDay: parseInt(config.billingStartDay) || 1,
+      billingPeriodDates: billingPeriods.parseBillingDates(config.billingPeriodDates),
+      powerPriceSekPerKw: parseFloat(config.powerPrice) || 50,
+      fixedFeeSekPerMonth: parseFloat(config.fixedFee) || 0,
+      transferFeeSekPerKwh: parseFloat(config.transferFee) || 0,
+      vatPercent: parseFloat(config.vatPercent) >= 0 ? parseFloat(config.vatPercent) : 25,
+      pricesIncludeVat: config.pricesIncludeVat !== false,
+      baselinePeakKw: parseFloat(config.baselinePeak) || 0,
       minimumLimitKw: parseFloat(config.minimumLimit) || 4,
       headroomKw: parseFloat(config.headroom) || 0.3,
+      limitMode: config.limitMode || 'fixed',
       phases: parseInt(config.phases) || 3,
       gridVoltage: parseInt(config.gridVoltage) || 230,
       maxBreakerCurrent: parseInt(config.maxBreakerCurrent) || 25,
+      phaseUnit: config.phaseUnit || 'W',
       // Battery charging settings (laddningsinställningar)
       batteryEnabled: config.batteryEnabled || false,
       socContextKey: config.socContextKey || 'battery.soc',
@@ -32,6 +72,33 @@ module.exports = function (RED) {
       batteryCapacityWh: parseFloat(config.batteryCapacity) * 1000 || 10000,
       maxChargeRateW: parseFloat(config.maxChargeRate) || 3000,
       socBuffer: parseFloat(config.socBuffer) || 20,
+      priceAwareCharging: config.priceAwareCharging || false,
+      priceContextKey: config.priceContextKey || 'nordpool',
+      // Solar PV settings (solceller)
+      solarEnabled: config.solarEnabled || false,
+      pvPowerContextKey: config.pvPowerContextKey || 'pv.power',
+      pvForecastContextKey: config.pvForecastContextKey || 'pv.forecast',
+      solarBaseLoadW: parseFloat(config.solarBaseLoad) >= 0 ? parseFloat(config.solarBaseLoad) : 500,
+      // Economic optimizer settings (ekonomisk optimering)
+      economicOptimizer: config.economicOptimizer || false,
+      roundTripEfficiency: parseFloat(config.roundTripEfficiency) || 90,
+      batteryWearCostPerKwh: parseFloat(config.batteryWearCost) >= 0 ? parseFloat(config.batteryWearCost) : 0.5,
+      loadShiftCostPerKwh: parseFloat(config.loadShiftCost) >= 0 ? parseFloat(config.loadShiftCost) : null,
+      // Load shedding settings (laststyrning)
+      loads: loads.parseLoads(config.loads),
+      // Thermal load settings (värmestyrning)
+      thermalLoads: thermal.parseThermalLoads(config.thermalLoads),
+      // EV charger settings (laddbox)
+      evChargerEnabled: config.evChargerEnabled || false,
+      evPowerContextKey: config.evPowerContextKey || 'ev.power',
+      evMinCurrentA: parseInt(config.evMinCurrent) || 6,
+      evMaxCurrentA: parseInt(config.evMaxCurrent) || 16,
+      evPhases: parseInt(config.evPhases) === 1 ? 1 : 3,
+      evPhaseSwitching: config.evPhaseSwitching || false,
+      evPhaseSwitchMinutes: parseFloat(config.evPhaseSwitchMinutes) || 5,
+      evRampIntervalSeconds: parseFloat(config.evRampInterval) || 30,
+      evMinPauseMinutes: parseFloat(config.evMinPauseMinutes) || 5,
+      evOutputFormat: config.evOutputFormat || 'amps',
       // Forecasting settings (prognosinställningar)
       forecastSource: config.forecastSource || 'none',
       forecastContextKey: config.forecastContextKey || 'forecast',
@@ -54,14 +121,105 @@ module.exports = function (RED) {
       debugMode: config.debugMode || false
     })
 
+    // Lists that are filled in (or needed) but gave no usable entries
+    const hasText = (key) => typeof config[key] === 'string' && config[key].trim() !== ''
+    const listSettings = [
+      { key: 'loads', label: 'loads in the load list', expected: hasText('loads') },
+      { key: 'thermalLoads', label: 'thermal loads in the list', expected: hasText('thermalLoads') },
+      { key: 'peakWindows', label: 'peak windows in the list', expected: hasText('peakWindows') },
+      { key: 'seasonProfiles', label: 'season profiles in the list', expected: hasText('seasonProfiles') },
+      { key: 'touWeights', label: 'rules in the time-of-use weights', expected: hasText('touWeights') },
+      { key: 'billingPeriodDates', label: 'billing period dates (YYYY-MM-DD)', expected: trackerConfig.billingPeriod === 'dates', fallback: 'using calendar months' }
+    ]
+    for (const { key, label, expected, fallback } of listSettings) {
+      if (expected && trackerConfig[key].length === 0) {
+        node.warn(`Effekttariff: No valid ${label} - ${fallback || 'check the JSON'}`)
+      }
+    }
+
+    // Grid company preset the tariff fields were filled from (informational)
+    const tariffPreset = tariffs.getPreset(config.provider)
+
     // Track last charge rate for change detection
     let lastChargeRateW = null
 
-    // Storage key for persistent state
+    // Track last per-phase limits for change detection
+    let lastPhaseLimitsA = null
+
+    // Storage keys for persistent state; the period history is kept apart
+    // so it is only written when a period closes
     const storageKey = `effekttariff_${node.id}`
+    const historyKey = `${storageKey}_history`
+
+    // Storage backend (Node-RED context store, JSON files or SQLite)
+    const storageBackend = storage.STORAGE_BACKENDS.includes(config.storageBackend) ? config.storageBackend : 'context'
+    const contextStore = config.contextStore !== undefined ? config.contextStore : storage.DEFAULT_CONTEXT_STORE
+    const saveIntervalMs = (parseFloat(config.saveInterval) >= 0 ? parseFloat(config.saveInterval) : storage.DEFAULT_SAVE_INTERVAL_SECONDS) * 1000
+    let store
+    try {
+      store = storage.createStorage({
+        backend: storageBackend,
+        context: node.context().flow,
+        contextStore,
+        path: config.storagePath || path.join(RED.settings.userDir || '.', storageBackend === 'sqlite' ? 'effekttariff.db' : 'effekttariff')
+      })
+    } catch (err) {
+      node.warn(`Effekttariff: ${err.message} - using the Node-RED context instead`)
+      store = storage.createContextStorage(node.context().flow, storage.DEFAULT_CONTEXT_STORE)
+    }
+    if (store.backend === 'context' && store.location !== 'default' && !Object.keys(RED.settings.contextStorage || {}).includes(store.location)) {
+      node.warn(`Effekttariff: Context store '${store.location}' is not configured in settings.js - the state is lost on restart`)
+    }
+
+    // Commands only read and write files in this directory
+    const filesDirectory = config.filesDirectory || path.join(RED.settings.userDir || '.', 'effekttariff-files')
 
     // Load state from persistent storage
-    const state = node.context().flow.get(storageKey, 'file') || peakTracker.createInitialState()
+    let savedState = null
+    let savedHistory = null
+    try {
+      savedState = store.load(storageKey)
+      savedHistory = store.load(historyKey)
+    } catch (err) {
+      node.warn(`Effekttariff: Could not load the saved state - ${err.message}`)
+    }
+    const state = savedState || peakTracker.createInitialState()
+    if (Array.isArray(savedHistory)) {
+      state.periodArchive = savedHistory
+    }
+
+    // History as last saved, to skip unchanged writes; state saved before
+    // the history was kept apart still carries it
+    let savedHistoryJson = Array.isArray(savedHistory) ? JSON.stringify(savedHistory) : null
+    let storageError = null
+
+    /**
+     * Save the state, and the period history when it changed
+     */
+    function saveState () {
+      state.lastSave = Date.now()
+      try {
+        const { periodArchive, ...liveState } = state
+        store.save(storageKey, liveState)
+        const historyJson = JSON.stringify(periodArchive || [])
+        if (historyJson !== savedHistoryJson) {
+          store.save(historyKey, periodArchive || [])
+          savedHistoryJson = historyJson
+        }
+        storageError = null
+      } catch (err) {
+        if (storageError === null) {
+          node.warn(`Effekttariff: Could not save the state (${store.backend}) - ${err.message}`)
+        }
+        storageError = err.message
+      }
+    }
+
+    // Extra holidays sent with msg.holidays are kept in state, on top of the configured ones
+    const configuredHolidays = trackerConfig.customHolidays
+    if (state.customHolidays) {
+      trackerConfig.customHolidays = [...configuredHolidays, ...state.customHolidays]
+    }
 
     // Track if this is first message since deploy
     let isFirstMessage = true
@@ -83,20 +241,146 @@ module.exports = function (RED) {
         }
       }
 
+      // Runtime commands run asynchronously, as importHistory and getHistory
+      // may read or write a file
+      async function runCommand (command) {
+        const now = new Date()
+
+        // Meter history can be read from a CSV export in the files directory
+        let reply
+        let payload = msg.payload
+        try {
+          if (command === 'importHistory' && typeof msg.filename === 'string' && msg.filename !== '') {
+            payload = await fs.promises.readFile(commands.resolveCommandFile(filesDirectory, msg.filename), 'utf8')
+          }
+        } catch (err) {
+          reply = { command, success: false, message: `Could not read ${msg.filename} - ${err.message}`, timestamp: now.toISOString() }
+        }
+
+        if (!reply) {
+          reply = commands.executeCommand(state, trackerConfig, command, payload, now)
+        }
+        if (!reply.success) {
+          node.warn(`Effekttariff: Command ${command} failed - ${reply.message}`)
+        }
+
+        // The history can be written to a JSON or CSV file in the files directory
+        if (command === 'getHistory' && reply.success && typeof msg.filename === 'string' && msg.filename !== '') {
+          try {
+            const file = commands.resolveCommandFile(filesDirectory, msg.filename)
+            await fs.promises.mkdir(path.dirname(file), { recursive: true })
+            await fs.promises.writeFile(file, reply.format === 'csv' ? reply.csv : JSON.stringify(reply.periods, null, 2))
+            reply.filename = file
+          } catch (err) {
+            reply = { ...reply, success: false, message: `Could not write ${msg.filename} - ${err.message}` }
+            node.warn(`Effekttariff: Command ${command} failed - ${reply.message}`)
+          }
+        }
+        debugLog('command', { command, success: reply.success, message: reply.message })
+
+        // A forced limit is sent right away instead of waiting for the next measurement
+        let limitMsg = null
+        if (reply.outputLimitA !== undefined) {
+          limitMsg = { payload: reply.outputLimitA, topic: 'current_limit' }
+          peakTracker.updateLastOutput(state, reply.outputLimitA)
+        }
+
+        saveState()
+
+        const debugMsg = trackerConfig.debugMode
+          ? { payload: { timestamp: now.toISOString(), events: debugEvents }, topic: 'effekttariff_debug' }
+          : null
+
+        send([limitMsg, { payload: reply, topic: 'effekttariff_command' }, null, null, debugMsg, null, null, null])
+      }
+
       try {
-        const gridPowerW = parseFloat(msg.payload) || 0
+        // Runtime commands (msg.command or msg.topic) are answered on the status output
+        const command = commands.getCommand(msg)
+        if (command) {
+          runCommand(command).then(() => done(), done)
+          return
+        }
+
         const now = new Date()
 
+        // Extra holidays: msg.holidays replaces the previously sent list
+        if (msg.holidays !== undefined) {
+          state.customHolidays = holidays.parseCustomHolidays(msg.holidays)
+          trackerConfig.customHolidays = [...configuredHolidays, ...state.customHolidays]
+          debugLog('holidays_updated', { customHolidays: trackerConfig.customHolidays })
+        }
+
+        // Spot prices: msg.prices are merged into the stored prices
+        if (msg.prices !== undefined) {
+          state.spotPrices = spotPrices.mergePrices(state.spotPrices, spotPrices.parsePrices(msg.prices, now, trackerConfig), now)
+          debugLog('prices_updated', { slots: state.spotPrices.length })
+        }
+
+        // PV forecast: msg.pvForecast replaces the stored forecast
+        if (msg.pvForecast !== undefined) {
+          state.solarForecast = solar.parseSolarForecast(msg.pvForecast, now, trackerConfig)
+          debugLog('pv_forecast_updated', { slots: state.solarForecast.length })
+        }
+
+        if (msg.holidays !== undefined || msg.prices !== undefined || msg.pvForecast !== undefined) {
+          saveState()
+
+          // An update without a measurement needs no further processing
+          if (!hasMeasurement(msg.payload)) {
+            done()
+            return
+          }
+        }
+
+        const inputType = peakTracker.getInputType(trackerConfig, msg.topic)
+
+        // Energy counter input: derive power and energy from the counter delta
+        let gridPowerW
+        let energySinceLastWh = null
+        let phaseInput = null
+        if (inputType === 'power' && phases.isPhasePayload(msg.payload)) {
+          // Per-phase readings: peaks use the total, limits are set per phase
+          phaseInput = phases.parsePhaseInput(msg.payload, trackerConfig)
+          gridPowerW = phaseInput.totalW
+          debugLog('phase_input', {
+            powersW: phaseInput.powersW.map(w => Math.round(w)),
+            currentsA: phaseInput.currentsA.map(a => Math.round(a * 10) / 10)
+          })
+        } else if (inputType === 'power') {
+          gridPowerW = parseFloat(msg.payload) || 0
+        } else {
+          const counterValue = parseFloat(msg.payload)
+          if (!Number.isFinite(counterValue)) {
+            throw new Error(`Invalid energy counter value: ${msg.payload}`)
+          }
+          const counter = peakTracker.processEnergyCounter(state, trackerConfig, counterValue, inputType, now)
+          gridPowerW = counter.powerW
+          energySinceLastWh = counter.deltaWh
+
+          if (counter.event === 'reset') {
+            node.warn(`Effekttariff: Energy counter decreased to ${counterValue} - treating as meter reset`)
+          }
+          debugLog('energy_counter', {
+            inputType,
+            counterValue,
+            event: counter.event,
+            deltaWh: counter.deltaWh,
+            powerW: Math.round(counter.powerW)
+          })
+        }
+
         // Debug: Input received
         debugLog('input', {
+          inputType,
           gridPowerW,
           timestamp: now.toISOString()
         })
 
         // Read battery state from global context if enabled
+        const globalContext = node.context().global
         let batteryState = null
         if (trackerConfig.batteryEnabled) {
-          const globalContext = node.context().global
           const soc = globalContext.get(trackerConfig.socContextKey)
           const minSoc = globalContext.get(trackerConfig.minSocContextKey)
 
@@ -117,7 +401,9 @@ module.exports = function (RED) {
         }
 
         // Process the measurement
-        const result = peakTracker.processGridPower(state, trackerConfig, gridPowerW, now, batteryState)
+        const result = peakTracker.processGridPower(state, trackerConfig, gridPowerW, now, batteryState, energySinceLastWh)
+        // Tariff rules of the current season (peak count, minimum limit)
+        const seasonConfig = seasons.getSeasonConfig(trackerConfig, peakTracker.getLocalTime(now, trackerConfig).month)
 
         // Debug: Processing result
         debugLog('process_result', {
@@ -126,6 +412,7 @@ module.exports = function (RED) {
           isLearning: result.isLearning,
           usingCarryover: result.usingCarryover,
           currentHour: result.currentHour,
+          currentMinute: result.currentMinute,
           currentHourAvgW: Math.round(result.currentHourAvgW),
           targetLimitW: result.targetLimitW,
           outputLimitA: result.outputLimitA,
@@ -141,8 +428,55 @@ module.exports = function (RED) {
         let forecastInfo = null
         let dischargeInfo = null
 
+        // Spot prices from msg.prices, completed by the context key
+        let prices = state.spotPrices || []
+        if (trackerConfig.priceAwareCharging || trackerConfig.economicOptimizer) {
+          const contextPrices = globalContext.get(trackerConfig.priceContextKey)
+          if (contextPrices) {
+            prices = spotPrices.mergePrices(prices, spotPrices.parsePrices(contextPrices, now, trackerConfig), now)
+          }
+        }
+
+        // Solar: live production and forecast (msg first, then the context keys)
+        let solarInput = null
+        let solarStatus = null
+        if (trackerConfig.solarEnabled) {
+          const livePvW = typeof msg.pvPower === 'number' ? msg.pvPower : globalContext.get(trackerConfig.pvPowerContextKey)
+          // A stored forecast is used until it runs out
+          const slots = (state.solarForecast || []).some(slot => slot.endMs > now.getTime())
+            ? state.solarForecast
+            : solar.parseSolarForecast(globalContext.get(trackerConfig.pvForecastContextKey), now, trackerConfig)
+          solarInput = { slots, livePvW: typeof livePvW === 'number' ? livePvW : null }
+          solarStatus = {
+            pvPowerW: solarInput.livePvW,
+            forecastTodayWh: solar.getForecastTodayWh(slots, now, trackerConfig),
+            export: solar.trackExport(state, trackerConfig, gridPowerW, now)
+          }
+        }
+
+        // Daily forecast, used for battery discharge and thermal setback
+        if (trackerConfig.forecastSource !== 'none' && (trackerConfig.batteryEnabled || trackerConfig.thermalLoads.length > 0)) {
+          // Check if forecast needs regeneration (daily reset)
+          if (forecasting.shouldRegenerateForecast(state, now, trackerConfig)) {
+            forecasting.resetDailyTracking(state, now, trackerConfig)
+          }
+
+          // Get external forecast if configured
+          let externalForecast = null
+          if (trackerConfig.forecastSource === 'external') {
+            // Try msg.forecast first, then context
+            externalForecast = msg.forecast || globalContext.get(trackerConfig.forecastContextKey)
+          }
+
+          // Generate or use cached forecast (a new msg.forecast always replaces it)
+          if (!state.currentForecast || msg.forecast || forecasting.shouldRegenerateForecast(state, now, trackerConfig)) {
+            state.currentForecast = forecasting.generateForecast(trackerConfig, state, now, externalForecast)
+            state.forecastDate = state.currentForecast.date
+          }
+        }
+
         if (trackerConfig.batteryEnabled) {
-          batteryStatus = peakTracker.getBatteryStatus(state, trackerConfig, batteryState, now)
+          batteryStatus = peakTracker.getBatteryStatus(state, trackerConfig, batteryState, now, prices, solarInput)
 
           // Debug: Battery status
           debugLog('battery_status', {
@@ -152,37 +486,22 @@ module.exports = function (RED) {
             targetSoc: batteryStatus?.targetSoc,
             currentSoc: batteryStatus?.currentSoc,
             hoursUntilPeak: batteryStatus?.hoursUntilPeak,
-            balancingActive: batteryStatus?.balancingActive
+            balancingActive: batteryStatus?.balancingActive,
+            expectedCost: batteryStatus?.expectedCost,
+            gridTargetSoc: batteryStatus?.gridTargetSoc,
+            expectedSolarWh: batteryStatus?.expectedSolarWh
           })
 
           // Handle forecasting for budget-based discharge
           if (trackerConfig.forecastSource !== 'none') {
-            // Check if forecast needs regeneration (daily reset)
-            if (forecasting.shouldRegenerateForecast(state, now)) {
-              forecasting.resetDailyTracking(state, now)
-            }
-
-            // Get external forecast if configured
-            let externalForecast = null
-            if (trackerConfig.forecastSource === 'external') {
-              // Try msg.forecast first, then context
-              externalForecast = msg.forecast || globalContext.get(trackerConfig.forecastContextKey)
-            }
-
-            // Generate or use cached forecast
-            if (!state.currentForecast || forecasting.shouldRegenerateForecast(state, now)) {
-              state.currentForecast = forecasting.generateForecast(trackerConfig, state, now, externalForecast)
-              state.forecastDate = now.toISOString().split('T')[0]
-            }
-
             // Calculate budgeted discharge
-            const currentHour = now.getHours()
+            const currentHour = result.currentHour
             const batteryCapacityWh = trackerConfig.batteryCapacityWh
             const currentSoc = batteryState ? batteryState.soc : 0
             const minSocValue = batteryState ? batteryState.minSoc : 20
 
             dischargeInfo = forecasting.calculateBudgetedDischarge(
-              trackerConfig,
+              seasonConfig,
               state,
               state.currentForecast,
               currentHour,
@@ -212,44 +531,107 @@ module.exports = function (RED) {
           }
         }
 
+        // Economic optimizer: lift the limit when a higher peak is cheaper
+        let decision = null
+        if (trackerConfig.economicOptimizer) {
+          decision = optimizer.evaluateDecision(trackerConfig, result, batteryState, batteryStatus, prices, now)
+          optimizer.applyDecision(state, trackerConfig, result, decision)
+          if (decision) {
+            debugLog('optimizer_decision', decision)
+          }
+        }
+
+        // Per-phase limits and breaker check
+        let phaseStatus = null
+        if (phaseInput) {
+          phaseStatus = phases.calculatePhaseLimits(phaseInput.currentsA, result.outputLimitA, trackerConfig)
+          if (phaseStatus.overloadedPhases.length > 0) {
+            debugLog('phase_overload', {
+              overloadedPhases: phaseStatus.overloadedPhases,
+              maxPhaseCurrentA: phaseStatus.maxPhaseCurrentA,
+              maxBreakerCurrent: trackerConfig.maxBreakerCurrent
+            })
+          }
+        }
+
+        // Load shedding: switch controllable loads by priority
+        let loadStatus = null
+        if (trackerConfig.loads.length > 0) {
+          loadStatus = loads.evaluateLoads(state, trackerConfig, trackerConfig.loads, result, gridPowerW, now)
+          loadStatus.commands.forEach(c => {
+            debugLog('load_' + c.action, { name: c.name, priority: c.priority, powerW: c.powerW, reason: c.reason })
+          })
+        }
+
+        // Thermal loads: shift heat pump and water heater setpoints
+        let thermalStatus = null
+        if (trackerConfig.thermalLoads.length > 0) {
+          const thermalForecast = trackerConfig.forecastSource !== 'none' ? state.currentForecast : null
+          thermalStatus = thermal.evaluateThermalLoads(state, trackerConfig, trackerConfig.thermalLoads, result, gridPowerW, thermalForecast, now)
+          thermalStatus.commands.forEach(c => {
+            debugLog('thermal_' + c.mode, { name: c.name, offset: c.offset, setpoint: c.setpoint, reason: c.reason })
+          })
+        }
+
+        // EV charger: allowed current from the room left under the target
+        let evStatus = null
+        if (trackerConfig.evChargerEnabled) {
+          const evPowerW = globalContext.get(trackerConfig.evPowerContextKey)
+          evStatus = evCharger.calculateChargerSetpoint(state, trackerConfig, result, gridPowerW, typeof evPowerW === 'number' ? evPowerW : null, now)
+          if (evStatus.changed) {
+            debugLog('ev_setpoint', { currentA: evStatus.currentA, phases: evStatus.phases, availableW: evStatus.availableW, reason: evStatus.reason })
+          }
+        }
+
         // Log month reset
         if (result.monthReset) {
-          node.warn(`Effekttariff: New month (${peakTracker.MONTH_NAMES[now.getMonth()]}) - reset ${result.previousPeakCount} peaks`)
+          history.addArchivedCosts(state, trackerConfig)
+          const newMonth = peakTracker.MONTH_NAMES[peakTracker.getLocalTime(now, trackerConfig).month - 1]
+          const periodNote = trackerConfig.billingPeriod === 'calendar' ? '' : `, billing period from ${state.billingPeriodStart}`
+          node.warn(`Effekttariff: New month (${newMonth}${periodNote}) - reset ${result.previousPeakCount} peaks`)
           debugLog('month_reset', {
-            newMonth: peakTracker.MONTH_NAMES[now.getMonth()],
+            newMonth,
+            billingPeriodStart: state.billingPeriodStart,
             previousPeakCount: result.previousPeakCount
           })
         }
 
         // Log downtime
         if (result.downtime) {
-          node.warn(`Effekttariff: Downtime detected! Missed ${result.downtime.missedHours} hours of data between ${result.downtime.fromHour}:00 and ${result.downtime.toHour}:00.`)
+          const d = result.downtime
+          node.warn(`Effekttariff: Downtime detected! Missed ${d.missedHours} hours of data between ${peakTracker.formatPeriod(d.fromHour, d.fromMinute)} and ${peakTracker.formatPeriod(d.toHour, d.toMinute)}.`)
           debugLog('downtime_detected', {
-            fromHour: result.downtime.fromHour,
-            toHour: result.downtime.toHour,
-            missedHours: result.downtime.missedHours
+            fromHour: d.fromHour,
+            fromMinute: d.fromMinute,
+            toHour: d.toHour,
+            toMinute: d.toMinute,
+            missedPeriods: d.missedPeriods,
+            missedHours: d.missedHours
           })
         }
 
         // Log hour completion
         if (result.hourCompleted) {
           const h = result.hourCompleted
-          const nightNote = h.wasNight && trackerConfig.nightDiscount ? ' (night 50%)' : ''
-          node.warn(`Effekttariff: Hour ${h.hour}:00 completed - ${(h.avgW / 1000).toFixed(2)} kW${nightNote} [${h.result}]`)
+          const weightNote = h.weight !== 1 ? ` (weight ${Math.round(h.weight * 100)}%)` : ''
+          const periodName = h.intervalMinutes === 60 ? 'Hour' : `${h.intervalMinutes} min period`
+          node.warn(`Effekttariff: ${periodName} ${peakTracker.formatPeriod(h.hour, h.minute)} completed - ${(h.avgW / 1000).toFixed(2)} kW${weightNote} [${h.result}]`)
           debugLog('hour_completed', {
             hour: h.hour,
+            minute: h.minute,
+            intervalMinutes: h.intervalMinutes,
             avgW: Math.round(h.avgW),
             effectiveW: Math.round(h.effectiveW),
             wasNight: h.wasNight,
+            weight: h.weight,
             result: h.result
           })
 
           // Update historical data for forecasting learning
           if (trackerConfig.forecastSource === 'historical' || trackerConfig.forecastSource !== 'none') {
-            const dayOfWeek = now.getDay()
             state.historicalData = forecasting.updateHistoricalData(
               state.historicalData || {},
-              dayOfWeek,
+              h.dayOfWeek,
               h.hour,
               h.avgW
             )
@@ -257,8 +639,10 @@ module.exports = function (RED) {
         }
 
         // Update node status
-        const statusText = buildStatusText(result, trackerConfig, batteryStatus)
-        const statusColor = getStatusColor(result, batteryStatus)
+        const statusText = buildStatusText(result, seasonConfig, batteryStatus, now)
+        const statusColor = phaseStatus && phaseStatus.overloadedPhases.length > 0
+          ? 'red'
+          : getStatusColor(result, batteryStatus)
         const statusShape = getStatusShape(result)
         node.status({ fill: statusColor, shape: statusShape, text: statusText })
 
@@ -269,10 +653,18 @@ module.exports = function (RED) {
         // Determine if charge rate changed
         const chargeRateChanged = batteryStatus && batteryStatus.chargeRateW !== lastChargeRateW
 
+        // Determine if per-phase limits changed
+        const phaseLimitsChanged = phaseStatus !== null &&
+          (!lastPhaseLimitsA || phaseStatus.limitsA.some((a, i) => a !== lastPhaseLimitsA[i]))
+
         // Output 1: Current limit (only when changed)
-        const limitMsg = shouldOutput
+        const limitMsg = shouldOutput || phaseLimitsChanged
           ? { payload: result.outputLimitA, topic: 'current_limit' }
           : null
+        if (limitMsg && phaseStatus) {
+          limitMsg.phaseLimitsA = phaseStatus.limitsA
+          lastPhaseLimitsA = phaseStatus.limitsA
+        }
 
         // Output 2: Status object
         const statusPayload = {
@@ -282,24 +674,66 @@ module.exports = function (RED) {
           isLearning: result.isLearning,
           usingCarryover: result.usingCarryover || false,
           currentHour: result.currentHour,
+          measurementIntervalMinutes: result.intervalMinutes,
+          timezone: peakTracker.getTimeZone(trackerConfig),
+          inputType,
+          currentPeriod: peakTracker.formatPeriod(result.currentHour, result.currentMinute),
           currentHourAvgW: Math.round(result.currentHourAvgW),
           currentHourAvgKw: result.currentHourAvgW / 1000,
+          currentHourEnergyWh: Math.round(result.currentHourEnergyWh),
           targetLimitW: result.targetLimitW !== null ? Math.round(result.targetLimitW) : null,
           targetLimitKw: result.targetLimitW !== null ? result.targetLimitW / 1000 : null,
           outputLimitA: result.outputLimitA,
           limitReason: result.limitReason,
+          limitMode: trackerConfig.limitMode,
+          budget: result.budget
+            ? {
+                budgetWh: Math.round(result.budget.budgetWh),
+                usedWh: Math.round(result.budget.usedWh),
+                remainingWh: Math.round(result.budget.remainingWh),
+                remainingMinutes: Math.round(result.budget.remainingMinutes * 10) / 10,
+                allowedW: Math.round(result.budget.allowedW)
+              }
+            : null,
+          override: result.override,
+          optimizer: decision,
+          cost: costs.estimateMonthlyCost(state, trackerConfig, now),
+          billingPeriod: (({ start, end }) => ({ start, end }))(billingPeriods.getBillingPeriod(now, trackerConfig)),
+          storage: {
+            backend: store.backend,
+            lastSave: state.lastSave ? new Date(state.lastSave).toISOString() : null,
+            error: storageError
+          },
+          loads: loadStatus ? { reductionW: loadStatus.reductionW, loads: loadStatus.loads } : null,
+          thermal: thermalStatus ? thermalStatus.loads : null,
+          solar: solarStatus,
+          evCharger: evStatus ? { currentA: evStatus.currentA, phases: evStatus.phases, availableW: evStatus.availableW, reason: evStatus.reason } : null,
           peakAvgW: Math.round(result.peakAvgW),
           peakAvgKw: result.peakAvgW / 1000,
           peaksRecorded: result.topPeaks.length,
-          peaksNeeded: trackerConfig.peakCount,
+          tariffModel: trackerConfig.tariffModel,
+          season: result.season,
+          provider: tariffPreset ? { id: tariffPreset.id, name: tariffPreset.name, version: tariffPreset.version } : null,
+          peaksNeeded: peakTracker.getPeakCount(seasonConfig),
           topPeaks: result.topPeaks.map(p => ({
             date: p.date,
             hour: p.hour,
+            minute: p.minute || 0,
             valueKw: Math.round(p.value) / 1000,
             effectiveKw: Math.round(p.effective) / 1000
           }))
         }
 
+        // Add per-phase currents and limits when phase readings are used
+        if (phaseStatus) {
+          statusPayload.phases = {
+            currentsA: phaseInput.currentsA.map(a => Math.round(a * 10) / 10),
+            limitsA: phaseStatus.limitsA,
+            maxPhaseCurrentA: phaseStatus.maxPhaseCurrentA,
+            overloadedPhases: phaseStatus.overloadedPhases
+          }
+        }
+
         // Add battery status to status payload if enabled
         if (batteryStatus) {
           statusPayload.battery = batteryStatus
@@ -332,6 +766,12 @@ module.exports = function (RED) {
                 energyDeficitWh: batteryStatus.energyDeficitWh
               }
             }
+            // Add the price-based charging schedule if available
+            if (batteryStatus.schedule) {
+              chargeMsg.schedule = batteryStatus.schedule
+              chargeMsg.expectedCost = batteryStatus.expectedCost
+              chargeMsg.averagePrice = batteryStatus.averagePrice
+            }
             // Add discharge info from forecasting if available
             if (dischargeInfo && dischargeInfo.useBudget) {
               chargeMsg.discharge = {
@@ -392,14 +832,16 @@ module.exports = function (RED) {
           peakTracker.updateLastOutput(state, result.outputLimitA)
         }
 
-        // Save state periodically (every 5 minutes or on first sample of hour)
-        const shouldSave = (Date.now() - (state.lastSave || 0) > 300000) ||
+        // Save state periodically (every save interval or on first sample of hour)
+        const shouldSave = (Date.now() - (state.lastSave || 0) >= saveIntervalMs) ||
                           result.hourCompleted ||
                           shouldOutput ||
-                          chargeRateChanged
+                          chargeRateChanged ||
+                          (loadStatus && loadStatus.commands.length > 0) ||
+                          (thermalStatus && thermalStatus.commands.length > 0) ||
+                          (evStatus && evStatus.changed)
         if (shouldSave) {
-          state.lastSave = Date.now()
-          node.context().flow.set(storageKey, state, 'file')
+          saveState()
         }
 
         // Output 5: Debug messages (only when debug mode enabled and there are events)
@@ -411,11 +853,14 @@ module.exports = function (RED) {
               events: debugEvents,
               state: {
                 currentMonth: state.currentMonth,
+                billingPeriodStart: state.billingPeriodStart,
                 currentHour: state.currentHour,
+                currentMinute: state.currentMinute || 0,
                 peakCount: state.peaks.length,
                 topPeaks: result.topPeaks.map(p => ({
                   date: p.date,
                   hour: p.hour,
+                  minute: p.minute || 0,
                   valueKw: Math.round(p.value) / 1000,
                   effectiveKw: Math.round(p.effective) / 1000
                 })),
@@ -426,7 +871,40 @@ module.exports = function (RED) {
           }
         }
 
-        send([limitMsg, statusMsg, chargeMsg, chartMessages, debugMsg])
+        // Output 6: Load commands (one message per switched load)
+        const loadMessages = loadStatus && loadStatus.commands.length > 0
+          ? loadStatus.commands.map(c => ({
+            topic: c.name,
+            payload: c.payload,
+            action: c.action,
+            priority: c.priority,
+            reason: c.reason
+          }))
+          : null
+
+        // Output 7: EV charger setpoint (only when changed)
+        const evMsg = evStatus && (evStatus.changed || shouldOutput)
+          ? {
+              payload: evStatus.payload,
+              topic: 'ev_current',
+              currentA: evStatus.currentA,
+              phases: evStatus.phases,
+              reason: evStatus.reason
+            }
+          : null
+
+        // Output 8: Thermal setpoint offsets (one message per changed load)
+        const thermalMessages = thermalStatus && thermalStatus.commands.length > 0
+          ? thermalStatus.commands.map(c => ({
+            topic: c.name,
+            payload: c.offset,
+            setpoint: c.setpoint,
+            mode: c.mode,
+            reason: c.reason
+          }))
+          : null
+
+        send([limitMsg, statusMsg, chargeMsg, chartMessages, debugMsg, loadMessages, evMsg, thermalMessages])
         done()
       } catch (err) {
         done(err)
@@ -435,15 +913,27 @@ module.exports = function (RED) {
 
     node.on('close', function (removed, done) {
       // Save state on close
-      node.context().flow.set(storageKey, state, 'file')
+      saveState()
+      try {
+        store.close()
+      } catch (err) {
+        node.warn(`Effekttariff: Could not close the storage - ${err.message}`)
+      }
       if (done) done()
     })
   }
 
+  /**
+   * Check whether a payload holds a measurement (number or per-phase readings)
+   */
+  function hasMeasurement (payload) {
+    return phases.isPhasePayload(payload) || Number.isFinite(parseFloat(payload))
+  }
+
   /**
    * Build status text for node display
    */
-  function buildStatusText (result, config, batteryStatus) {
+  function buildStatusText (result, config, batteryStatus, now) {
     const currentKw = (result.currentHourAvgW / 1000).toFixed(1)
     const avgKw = (result.peakAvgW / 1000).toFixed(2)
     const targetKw = result.targetLimitW !== null
@@ -465,7 +955,9 @@ module.exports = function (RED) {
     }
 
     if (!result.inPeakHours) {
-      return `Off-peak (until ${config.peakHoursStart}:00) | Grid: ${currentKw} kW${batterySuffix}`
+      const peakStarts = peakTracker.getPeakStartHours(config, peakTracker.getLocalTime(now, config))
+      const nextStart = peakStarts.find(h => h > result.currentHour) ?? peakStarts[0] ?? config.peakHoursStart
+      return `Off-peak (until ${nextStart}:00) | Grid: ${currentKw} kW${batterySuffix}`
     }
 
     if (result.isLearning) {
@@ -519,4 +1011,9 @@ module.exports = function (RED) {
   }
 
   RED.nodes.registerType('effekttariff', EffekttariffNode)
+
+  // Serve the grid company presets to the editor
+  RED.httpAdmin.get('/effekttariff/tariffs', RED.auth.needsPermission('effekttariff.read'), function (req, res) {
+    res.json({ version: tariffs.REGISTRY_VERSION, presets: tariffs.listPresets() })
+  })
 }
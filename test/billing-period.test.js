@@ -0,0 +1,170 @@
+'use strict'
+
+const billingPeriods = require('../lib/billing-period')
+const peakTracker = require('../lib/peak-tracker')
+const commands = require('../lib/commands')
+
+describe('billing-period', () => {
+  const startDay = peakTracker.mergeConfig({ peakSeasonOnly: false, billingPeriod: 'startDay', billingStartDay: 15 })
+  const dates = peakTracker.mergeConfig({
+    peakSeasonOnly: false,
+    billingPeriod: 'dates',
+    billingPeriodDates: billingPeriods.parseBillingDates('2024-01-18, 2024-02-16, 2024-03-18')
+  })
+
+  describe('parseBillingDates', () => {
+    it('should keep valid dates sorted without duplicates', () => {
+      expect(billingPeriods.parseBillingDates('2024-02-16, 2024-01-18,2024-02-30, x, 2024-01-18')).toEqual(['2024-01-18', '2024-02-16'])
+      expect(billingPeriods.parseBillingDates(['2024-03-18'])).toEqual(['2024-03-18'])
+      expect(billingPeriods.parseBillingDates('')).toEqual([])
+      expect(billingPeriods.parseBillingDates(null)).toEqual([])
+    })
+  })
+
+  describe('getBillingPeriod', () => {
+    it('should use the calendar month by default', () => {
+      const period = billingPeriods.getBillingPeriod(new Date('2024-12-20T10:00:00Z'), peakTracker.mergeConfig())
+
+      expect(period).toMatchObject({ start: '2024-12-01', end: '2025-01-01' })
+      // Midnight Swedish time
+      expect(period.startMs).toBe(Date.UTC(2024, 10, 30, 23))
+    })
+
+    it('should run from the start day to the same day next month', () => {
+      expect(billingPeriods.getBillingPeriod(new Date('2024-01-20T10:00:00Z'), startDay)).toMatchObject({ start: '2024-01-15', end: '2024-02-15' })
+      expect(billingPeriods.getBillingPeriod(new Date('2024-01-10T10:00:00Z'), startDay)).toMatchObject({ start: '2023-12-15', end: '2024-01-15' })
+      // 00:30 Swedish time on the start day
+      expect(billingPeriods.getBillingPeriod(new Date('2024-01-14T23:30:00Z'), startDay).start).toBe('2024-01-15')
+    })
+
+    it('should run between the listed dates', () => {
+      expect(billingPeriods.getBillingPeriod(new Date('2024-02-01T10:00:00Z'), dates)).toMatchObject({ start: '2024-01-18', end: '2024-02-16' })
+      expect(billingPeriods.getBillingPeriod(new Date('2024-02-16T10:00:00Z'), dates)).toMatchObject({ start: '2024-02-16', end: '2024-03-18' })
+    })
+
+    it('should use calendar months outside the listed dates', () => {
+      expect(billingPeriods.getBillingPeriod(new Date('2024-01-10T10:00:00Z'), dates)).toMatchObject({ start: '2024-01-01', end: '2024-01-18' })
+      expect(billingPeriods.getBillingPeriod(new Date('2024-03-20T10:00:00Z'), dates)).toMatchObject({ start: '2024-03-18', end: '2024-04-01' })
+      expect(billingPeriods.getBillingPeriod(new Date('2024-05-10T10:00:00Z'), dates)).toMatchObject({ start: '2024-05-01', end: '2024-06-01' })
+    })
+
+    it('should find the previous period', () => {
+      const period = billingPeriods.getBillingPeriod(new Date('2024-01-20T10:00:00Z'), startDay)
+
+      expect(billingPeriods.getPreviousBillingPeriod(period, startDay)).toMatchObject({ start: '2023-12-15', end: '2024-01-15' })
+    })
+  })
+
+  describe('getBillingPeriodEnd', () => {
+    it('should find the end of the period starting on a date', () => {
+      expect(billingPeriods.getBillingPeriodEnd('2024-01-15', startDay)).toBe('2024-02-15')
+      expect(billingPeriods.getBillingPeriodEnd('2024-01-18', dates)).toBe('2024-02-16')
+      expect(billingPeriods.getBillingPeriodEnd('2024-12-01', peakTracker.mergeConfig())).toBe('2025-01-01')
+    })
+  })
+
+  describe('isNewBillingPeriod', () => {
+    const period = { start: '2024-01-15' }
+
+    it('should compare the period start', () => {
+      expect(billingPeriods.isNewBillingPeriod({ billingPeriodStart: '2023-12-15', currentMonth: 0 }, period, 0)).toBe(true)
+      expect(billingPeriods.isNewBillingPeriod({ billingPeriodStart: '2024-01-15', currentMonth: 0 }, period, 1)).toBe(false)
+    })
+
+    it('should compare the month for state without a period start', () => {
+      expect(billingPeriods.isNewBillingPeriod({ billingPeriodStart: null, currentMonth: 0 }, period, 0)).toBe(false)
+      expect(billingPeriods.isNewBillingPeriod({ currentMonth: 11 }, period, 0)).toBe(true)
+    })
+  })
+
+  describe('processGridPower with a billing period', () => {
+    const peaks = [
+      { date: '2024-01-16', hour: 18, minute: 0, value: 6000, effective: 6000 },
+      { date: '2024-01-20', hour: 18, minute: 0, value: 4000, effective: 4000 },
+      { date: '2024-02-05', hour: 18, minute: 0, value: 2000, effective: 2000 }
+    ]
+
+    it('should not reset at the start of the calendar month', () => {
+      const state = { ...peakTracker.createInitialState(), currentMonth: 0, billingPeriodStart: '2024-01-15', peaks: [...peaks] }
+
+      const result = peakTracker.processGridPower(state, startDay, 2000, new Date('2024-02-10T10:00:00Z'))
+
+      expect(result.monthReset).toBe(false)
+      expect(state.peaks).toHaveLength(3)
+    })
+
+    it('should reset and archive the closed period on the start day', () => {
+      const state = { ...peakTracker.createInitialState(), currentMonth: 0, billingPeriodStart: '2024-01-15', peaks: [...peaks] }
+
+      const result = peakTracker.processGridPower(state, startDay, 2000, new Date('2024-02-15T10:00:00Z'))
+
+      expect(result.monthReset).toBe(true)
+      expect(result.previousMonthPeakAvgW).toBe(4000)
+      expect(state.peaks).toEqual([])
+      expect(state.billingPeriodStart).toBe('2024-02-15')
+      expect(state.periodArchive).toEqual([{
+        start: '2024-01-15',
+        end: '2024-02-15',
+        peakCount: 3,
+        peakAvgW: 4000,
+        peaks: peaks.map(p => ({ ...p })).sort((a, b) => b.effective - a.effective),
+        energyKwh: 0,
+        hourlyMaxW: new Array(24).fill(null),
+        limitChanges: 0,
+        minLimitA: null,
+        batteryDischargeKwh: 0
+      }])
+    })
+
+    it('should end the archived period at its own end after downtime', () => {
+      const state = { ...peakTracker.createInitialState(), currentMonth: 0, billingPeriodStart: '2024-01-15', peaks: [...peaks] }
+
+      peakTracker.processGridPower(state, startDay, 2000, new Date('2024-03-20T10:00:00Z'))
+
+      expect(state.periodArchive[0]).toMatchObject({ start: '2024-01-15', end: '2024-02-15' })
+      expect(state.billingPeriodStart).toBe('2024-03-15')
+    })
+
+    it('should adopt the period of state saved without one', () => {
+      const state = { ...peakTracker.createInitialState(), currentMonth: 1, peaks: [...peaks] }
+
+      const result = peakTracker.processGridPower(state, startDay, 2000, new Date('2024-02-10T10:00:00Z'))
+
+      expect(result.monthReset).toBe(false)
+      expect(state.billingPeriodStart).toBe('2024-01-15')
+    })
+
+    it('should keep a limited number of closed periods', () => {
+      const state = peakTracker.createInitialState()
+      state.periodArchive = Array.from({ length: billingPeriods.MAX_ARCHIVED_PERIODS }, (_, i) => ({ start: `period-${i}` }))
+
+      billingPeriods.archivePeriod(state, { start: 'latest' })
+
+      expect(state.periodArchive).toHaveLength(billingPeriods.MAX_ARCHIVED_PERIODS)
+      expect(state.periodArchive[0].start).toBe('period-1')
+      expect(state.periodArchive[billingPeriods.MAX_ARCHIVED_PERIODS - 1].start).toBe('latest')
+    })
+  })
+
+  describe('setPeaks with a billing period', () => {
+    it('should reject peaks outside the current period', () => {
+      const state = peakTracker.createInitialState()
+      const now = new Date('2024-02-10T10:00:00Z')
+
+      const rejected = commands.executeCommand(state, startDay, 'setPeaks', [
+        { date: '2024-01-20', hour: 18, value: 5000 },
+        { date: '2024-02-15', hour: 18, value: 5000 }
+      ], now)
+      const accepted = commands.executeCommand(state, startDay, 'setPeaks', [
+        { date: '2024-01-15', hour: 18, value: 5000 },
+        { date: '2024-02-14', hour: 18, value: 4000 }
+      ], now)
+
+      expect(rejected.success).toBe(false)
+      expect(rejected.invalid).toEqual([1])
+      expect(accepted.success).toBe(true)
+      expect(state.billingPeriodStart).toBe('2024-01-15')
+      expect(state.peaks).toHaveLength(2)
+    })
+  })
+})
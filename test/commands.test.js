@@ -0,0 +1,215 @@
+'use strict'
+
+const path = require('path')
+const commands = require('../lib/commands')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('commands', () => {
+  const config = peakTracker.mergeConfig({
+    peakSeasonOnly: false,
+    peakCount: 3,
+    onePeakPerDay: true,
+    nightDiscount: true,
+    maxBreakerCurrent: 25
+  })
+
+  // Wednesday 2024-01-17, 12:00 Swedish time
+  const now = new Date('2024-01-17T11:00:00Z')
+
+  function stateWithPeaks () {
+    const state = peakTracker.createInitialState()
+    state.currentMonth = 0
+    peakTracker.recordPeak(state, config, '2024-01-15', 18, 5000, 5000)
+    peakTracker.recordPeak(state, config, '2024-01-16', 8, 4000, 4000)
+    return state
+  }
+
+  describe('getCommand', () => {
+    it('should read commands from msg.command and msg.topic', () => {
+      expect(commands.getCommand({ command: 'reset' })).toBe('reset')
+      expect(commands.getCommand({ topic: 'getState' })).toBe('getState')
+      expect(commands.getCommand({ command: 'bogus', topic: 'power' })).toBe('bogus')
+    })
+
+    it('should treat measurement topics as measurements', () => {
+      expect(commands.getCommand({ topic: 'power', payload: 3000 })).toBeNull()
+      expect(commands.getCommand({ payload: 3000 })).toBeNull()
+    })
+  })
+
+  describe('executeCommand', () => {
+    it('should reject unknown commands', () => {
+      const reply = commands.executeCommand(stateWithPeaks(), config, 'bogus', null, now)
+
+      expect(reply.success).toBe(false)
+      expect(reply.command).toBe('bogus')
+      expect(reply.timestamp).toBe(now.toISOString())
+    })
+
+    it('should clear the peaks on reset', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'reset', null, now)
+
+      expect(reply).toMatchObject({ command: 'reset', success: true, peaksCleared: 2 })
+      expect(state.peaks).toEqual([])
+    })
+
+    it('should return a copy of the state on getState', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'getState', null, now)
+
+      expect(reply.state.peaks).toEqual(state.peaks)
+      reply.state.peaks.push({})
+      expect(state.peaks).toHaveLength(2)
+    })
+  })
+
+  describe('setPeaks', () => {
+    it('should replace the month peaks following the tariff rules', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'setPeaks', [
+        { date: '2024-01-03', hour: 17, valueKw: 6.2 },
+        { date: '2024-01-03', hour: 19, value: 7000 },
+        { date: '2024-01-09', hour: 23, value: 8000 }
+      ], now)
+
+      expect(reply.success).toBe(true)
+      expect(reply.peaksRecorded).toBe(2) // One peak per day
+      expect(state.peaks.map(p => [p.date, p.hour, p.effective])).toEqual([
+        ['2024-01-03', 19, 7000],
+        ['2024-01-09', 23, 4000] // Night discount
+      ])
+    })
+
+    it('should keep seeded peaks when the first sample arrives', () => {
+      const state = peakTracker.createInitialState()
+      commands.executeCommand(state, config, 'setPeaks', [{ date: '2024-01-03', hour: 17, value: 6000 }], now)
+
+      const result = peakTracker.processGridPower(state, config, 1000, now, null)
+
+      expect(result.monthReset).toBe(false)
+      expect(state.peaks).toHaveLength(1)
+    })
+
+    it('should reject invalid entries and peaks from other months', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'setPeaks', [
+        { date: '2024-01-03', hour: 17, value: 6000 },
+        { date: '2023-12-20', hour: 17, value: 6000 },
+        { date: '2024-01-04', hour: 25, value: 6000 },
+        { date: '2024-01-05', hour: 17 }
+      ], now)
+
+      expect(reply.success).toBe(false)
+      expect(reply.invalid).toEqual([1, 2, 3])
+      expect(state.peaks).toHaveLength(2)
+    })
+
+    it('should reject a payload that is not an array', () => {
+      const reply = commands.executeCommand(stateWithPeaks(), config, 'setPeaks', { date: '2024-01-03' }, now)
+
+      expect(reply.success).toBe(false)
+    })
+  })
+
+  describe('removePeak', () => {
+    it('should remove the matching peak', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'removePeak', { date: '2024-01-15', hour: 18 }, now)
+
+      expect(reply.success).toBe(true)
+      expect(reply.removed).toEqual([{ date: '2024-01-15', hour: 18, minute: 0, valueKw: 5, effectiveKw: 5 }])
+      expect(state.peaks.map(p => p.date)).toEqual(['2024-01-16'])
+    })
+
+    it('should accept a date string', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'removePeak', '2024-01-16', now)
+
+      expect(reply.success).toBe(true)
+      expect(state.peaks).toHaveLength(1)
+    })
+
+    it('should fail when no peak matches', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'removePeak', { date: '2024-01-15', hour: 7 }, now)
+
+      expect(reply.success).toBe(false)
+      expect(state.peaks).toHaveLength(2)
+    })
+  })
+
+  describe('importHistory', () => {
+    it('should seed the month peaks from a CSV export', () => {
+      const state = peakTracker.createInitialState()
+      const csv = 'Från;Förbrukning (kWh)\n2024-01-15 18:00;5,5\n2024-01-16 08:00;4,0'
+      const reply = commands.executeCommand(state, config, 'importHistory', csv, now)
+
+      expect(reply).toMatchObject({ success: true, periods: 2, peaksRecorded: 2, peakAvgW: 4750 })
+      expect(reply.topPeaks[0]).toMatchObject({ date: '2024-01-15', hour: 18, valueKw: 5.5 })
+    })
+
+    it('should fail on unreadable data', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'importHistory', { file: 'x.csv' }, now)
+
+      expect(reply.success).toBe(false)
+      expect(state.peaks).toHaveLength(2)
+    })
+  })
+
+  describe('override', () => {
+    it('should force the limit for the given minutes', () => {
+      const state = stateWithPeaks()
+      const reply = commands.executeCommand(state, config, 'override', { limitA: 10, minutes: 30 }, now)
+
+      expect(reply).toMatchObject({ success: true, outputLimitA: 10 })
+      expect(reply.override.until).toBe('2024-01-17T11:30:00.000Z')
+      expect(state.limitOverride).toEqual({ limitA: 10, until: now.getTime() + 30 * 60000 })
+    })
+
+    it('should convert kW and cap at the breaker current', () => {
+      const state = stateWithPeaks()
+
+      commands.executeCommand(state, config, 'override', { limitKw: 6.9 }, now)
+      expect(state.limitOverride.limitA).toBe(10)
+      expect(state.limitOverride.until).toBe(now.getTime() + commands.DEFAULT_OVERRIDE_MINUTES * 60000)
+
+      commands.executeCommand(state, config, 'override', { limitA: 40 }, now)
+      expect(state.limitOverride.limitA).toBe(25)
+    })
+
+    it('should cancel with zero minutes', () => {
+      const state = stateWithPeaks()
+      commands.executeCommand(state, config, 'override', { limitA: 10 }, now)
+      const reply = commands.executeCommand(state, config, 'override', { minutes: 0 }, now)
+
+      expect(reply.success).toBe(true)
+      expect(reply.outputLimitA).toBeUndefined()
+      expect(state.limitOverride).toBeNull()
+    })
+
+    it('should reject an invalid limit', () => {
+      const reply = commands.executeCommand(stateWithPeaks(), config, 'override', { limitA: 'high' }, now)
+
+      expect(reply.success).toBe(false)
+    })
+  })
+
+  describe('resolveCommandFile', () => {
+    const directory = path.resolve('exports')
+
+    it('should resolve names inside the files directory', () => {
+      expect(commands.resolveCommandFile('exports', 'history.csv')).toBe(path.join(directory, 'history.csv'))
+      expect(commands.resolveCommandFile(directory, 'meter/2024.csv')).toBe(path.join(directory, 'meter', '2024.csv'))
+      expect(commands.resolveCommandFile(directory, path.join(directory, 'history.json'))).toBe(path.join(directory, 'history.json'))
+    })
+
+    it('should reject names outside the files directory', () => {
+      expect(() => commands.resolveCommandFile(directory, '../settings.js')).toThrow(/outside the files directory/)
+      expect(() => commands.resolveCommandFile(directory, 'meter/../../flows.json')).toThrow(/outside the files directory/)
+      expect(() => commands.resolveCommandFile(directory, '/etc/passwd')).toThrow(/outside the files directory/)
+      expect(() => commands.resolveCommandFile(directory, '.')).toThrow(/outside the files directory/)
+    })
+  })
+})
@@ -0,0 +1,19 @@
+'use strict'
+
+const configList = require('../lib/config-list')
+
+describe('config-list', () => {
+  describe('readList', () => {
+    it('should read JSON strings and arrays', () => {
+      expect(configList.readList('[{ "name": "a" }]')).toEqual([{ name: 'a' }])
+      expect(configList.readList([1, 2])).toEqual([1, 2])
+    })
+
+    it('should give an empty list for invalid input', () => {
+      expect(configList.readList('')).toEqual([])
+      expect(configList.readList('[{ name: a }]')).toEqual([])
+      expect(configList.readList('{ "name": "a" }')).toEqual([])
+      expect(configList.readList(null)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,115 @@
+'use strict'
+
+const costs = require('../lib/costs')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('costs', () => {
+  const config = peakTracker.mergeConfig({
+    peakCount: 3,
+    powerPriceSekPerKw: 50,
+    fixedFeeSekPerMonth: 310,
+    transferFeeSekPerKwh: 0.2,
+    vatPercent: 25,
+    pricesIncludeVat: false
+  })
+
+  describe('roundSek', () => {
+    it('should round to öre and keep null', () => {
+      expect(costs.roundSek(12.345678)).toBe(12.35)
+      expect(costs.roundSek(null)).toBeNull()
+    })
+  })
+
+  describe('applyVat', () => {
+    it('should add VAT to prices without VAT', () => {
+      expect(costs.applyVat(100, config)).toEqual({ exVat: 100, vat: 25, total: 125 })
+    })
+
+    it('should split VAT out of prices including VAT', () => {
+      expect(costs.applyVat(125, { ...config, pricesIncludeVat: true })).toEqual({ exVat: 100, vat: 25, total: 125 })
+    })
+  })
+
+  describe('getMonthProgress', () => {
+    it('should measure the elapsed part of the local month', () => {
+      // 2024-01-16 12:00 Swedish time: 15.5 of 31 days
+      const progress = costs.getMonthProgress(new Date('2024-01-16T11:00:00Z'), config)
+
+      expect(new Date(progress.monthStartMs).toISOString()).toBe('2023-12-31T23:00:00.000Z')
+      expect(new Date(progress.monthEndMs).toISOString()).toBe('2024-01-31T23:00:00.000Z')
+      expect(progress.elapsedFraction).toBeCloseTo(0.5)
+    })
+
+    it('should roll over to January after December', () => {
+      const progress = costs.getMonthProgress(new Date('2024-12-20T12:00:00Z'), config)
+
+      expect(new Date(progress.monthEndMs).toISOString()).toBe('2024-12-31T23:00:00.000Z')
+    })
+  })
+
+  describe('calculateBill', () => {
+    it('should add fixed, power and transfer fees', () => {
+      const bill = costs.calculateBill(config, 4000, 500)
+
+      expect(bill).toEqual({ fixedFee: 310, powerFee: 200, transferFee: 100, exVat: 610, vat: 152.5, total: 762.5 })
+    })
+
+    it('should include a share of the fixed fee', () => {
+      expect(costs.calculateBill(config, 0, 0, 0.5).fixedFee).toBe(155)
+    })
+  })
+
+  describe('estimateMonthlyCost', () => {
+    function stateWithPeaks (peaksW) {
+      const state = peakTracker.createInitialState()
+      peaksW.forEach((w, i) => peakTracker.recordPeak(state, config, `2024-01-0${i + 2}`, 18, w, w))
+      return state
+    }
+
+    it('should report the cost so far and the projected month', () => {
+      const state = stateWithPeaks([5000, 4000, 3000])
+      state.monthEnergyWh = 300000
+      state.currentHourEnergyWh = 1000
+
+      const estimate = costs.estimateMonthlyCost(state, config, new Date('2024-01-16T11:00:00Z'))
+
+      expect(estimate.billedPeakKw).toBe(4)
+      expect(estimate.energySoFarKwh).toBe(301)
+      expect(estimate.projectedEnergyKwh).toBe(602)
+      expect(estimate.costSoFar.fixedFee).toBe(155)
+      expect(estimate.costSoFar.powerFee).toBe(200)
+      expect(estimate.costSoFar.transferFee).toBe(60.2)
+      expect(estimate.projected.fixedFee).toBe(310)
+      expect(estimate.projected.transferFee).toBe(120.4)
+      expect(estimate.projected.total).toBe(788) // (310 + 200 + 120.4) * 1.25
+      expect(estimate.savingSek).toBeNull()
+      expect(estimate.savingNote).toMatch(/Peak without shaping/)
+    })
+
+    it('should report the saving against the unshaped peak', () => {
+      const state = stateWithPeaks([5000, 4000, 3000])
+
+      const estimate = costs.estimateMonthlyCost(state, { ...config, baselinePeakKw: 6 }, new Date('2024-01-16T11:00:00Z'))
+
+      expect(estimate.baselinePeakKw).toBe(6)
+      expect(estimate.savingSek).toBe(125) // 2 kW * 50 SEK/kW + 25% VAT
+      expect(estimate.savingNote).toBeNull()
+    })
+  })
+
+  describe('month energy tracking', () => {
+    it('should add the energy of completed periods and reset with the month', () => {
+      const state = peakTracker.createInitialState()
+      const start = new Date('2024-01-31T20:00:00Z').getTime()
+      for (let m = 0; m <= 120; m += 5) {
+        peakTracker.processGridPower(state, config, 2000, new Date(start + m * 60000), null)
+      }
+
+      // 21:00 and 22:00 completed at 2 kW
+      expect(state.monthEnergyWh).toBeCloseTo(4000)
+
+      peakTracker.processGridPower(state, config, 2000, new Date('2024-02-01T00:00:00Z'), null)
+      expect(state.monthEnergyWh).toBe(0)
+    })
+  })
+})
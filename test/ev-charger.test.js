@@ -0,0 +1,154 @@
+'use strict'
+
+const evCharger = require('../lib/ev-charger')
+const peakTracker = require('../lib/peak-tracker')
+const { PEAK_TIME, peakResult } = require('./helpers')
+
+describe('ev-charger', () => {
+  const config = peakTracker.mergeConfig({ peakSeasonOnly: false, evChargerEnabled: true })
+  const switchingConfig = { ...config, evPhaseSwitching: true }
+
+  const now = PEAK_TIME
+  const later = (seconds) => new Date(now.getTime() + seconds * 1000)
+
+  // The whole house may draw 10 kW for the rest of the period
+  const onPeak = peakResult({ budget: { allowedW: 10000 } })
+  const offPeak = peakResult({ inPeakHours: false })
+
+  describe('calculateAvailablePowerW', () => {
+    it('should give the charger what the budget leaves after the household', () => {
+      const state = peakTracker.createInitialState()
+
+      // 6 kW on the grid of which 4 kW is the charger: household 2 kW
+      expect(evCharger.calculateAvailablePowerW(state, config, onPeak, 6000, 4000, now)).toBe(8000)
+      expect(evCharger.calculateAvailablePowerW(state, config, onPeak, 12000, 0, now)).toBe(0)
+    })
+
+    it('should only be limited by the main fuse outside peak hours', () => {
+      const state = peakTracker.createInitialState()
+
+      // 25 A * 3 * 230 V = 17250 W
+      expect(evCharger.calculateAvailablePowerW(state, config, offPeak, 6000, 4000, now)).toBe(15250)
+      expect(evCharger.calculateAvailablePowerW(state, config, { ...onPeak, override: { limitA: 25 } }, 6000, 4000, now)).toBe(15250)
+    })
+  })
+
+  describe('calculateChargerSetpoint', () => {
+    it('should cap the current at the maximum', () => {
+      const state = peakTracker.createInitialState()
+
+      const setpoint = evCharger.calculateChargerSetpoint(state, config, offPeak, 2000, null, now)
+
+      expect(setpoint.currentA).toBe(16)
+      expect(setpoint.phases).toBe(3)
+      expect(setpoint.changed).toBe(true)
+      expect(setpoint.payload).toBe(16)
+    })
+
+    it('should round down to whole amps', () => {
+      const state = peakTracker.createInitialState()
+
+      // 5000 W / 690 W per amp
+      const setpoint = evCharger.calculateChargerSetpoint(state, config, onPeak, 5000, 0, now)
+
+      expect(setpoint.currentA).toBe(7)
+      expect(setpoint.availableW).toBe(5000)
+    })
+
+    it('should pause below the minimum current and wait before resuming', () => {
+      const state = peakTracker.createInitialState()
+      evCharger.calculateChargerSetpoint(state, config, offPeak, 2000, null, now)
+
+      const paused = evCharger.calculateChargerSetpoint(state, config, onPeak, 15000, 8000, later(60))
+      expect(paused.currentA).toBe(0)
+      expect(paused.reason).toBe('paused (3000W available, 6A minimum)')
+
+      const waiting = evCharger.calculateChargerSetpoint(state, config, offPeak, 2000, 0, later(180))
+      expect(waiting.currentA).toBe(0)
+      expect(waiting.changed).toBe(false)
+      expect(waiting.reason).toBe('paused (resume after 5 min)')
+
+      const resumed = evCharger.calculateChargerSetpoint(state, config, offPeak, 2000, 0, later(60 + 5 * 60))
+      expect(resumed.currentA).toBe(16)
+      expect(resumed.changed).toBe(true)
+    })
+
+    it('should lower the current at once but rate limit increases', () => {
+      const state = peakTracker.createInitialState()
+      evCharger.calculateChargerSetpoint(state, config, onPeak, 3100, 0, now)
+      expect(state.evCharger.currentA).toBe(10)
+
+      const lowered = evCharger.calculateChargerSetpoint(state, config, onPeak, 11000, 6900, later(5))
+      expect(lowered.currentA).toBe(8)
+
+      const limited = evCharger.calculateChargerSetpoint(state, config, onPeak, 5520, 5520, later(10))
+      expect(limited.currentA).toBe(8)
+      expect(limited.changed).toBe(false)
+      expect(limited.reason).toBe('rate limited (8A)')
+
+      const raised = evCharger.calculateChargerSetpoint(state, config, onPeak, 5520, 5520, later(40))
+      expect(raised.currentA).toBe(14)
+    })
+
+    it('should not switch phases without phase switching', () => {
+      const state = peakTracker.createInitialState()
+
+      const setpoint = evCharger.calculateChargerSetpoint(state, config, onPeak, 7000, 0, now)
+
+      expect(setpoint.phases).toBe(3)
+      expect(setpoint.currentA).toBe(0)
+    })
+
+    it('should drop to one phase and switch back with hysteresis', () => {
+      const state = peakTracker.createInitialState()
+
+      // 3000 W is below the three-phase minimum of 4140 W
+      const onePhase = evCharger.calculateChargerSetpoint(state, switchingConfig, onPeak, 7000, 0, now)
+      expect(onePhase.phases).toBe(1)
+      expect(onePhase.currentA).toBe(13)
+
+      // Enough for three phases, but too soon after the last switch
+      const tooSoon = evCharger.calculateChargerSetpoint(state, switchingConfig, onPeak, 8000, 3000, later(60))
+      expect(tooSoon.phases).toBe(1)
+      expect(tooSoon.currentA).toBe(16)
+
+      // Within the hysteresis band
+      const inBand = evCharger.calculateChargerSetpoint(state, switchingConfig, onPeak, 9180, 3680, later(6 * 60))
+      expect(inBand.phases).toBe(1)
+
+      const threePhase = evCharger.calculateChargerSetpoint(state, switchingConfig, onPeak, 8680, 3680, later(7 * 60))
+      expect(threePhase.phases).toBe(3)
+      expect(threePhase.currentA).toBe(7)
+      expect(threePhase.changed).toBe(true)
+    })
+  })
+
+  describe('formatSetpoint', () => {
+    it('should return a plain current in amps', () => {
+      expect(evCharger.formatSetpoint(10, 3, 'amps')).toBe(10)
+    })
+
+    it('should build an OCPP charging profile', () => {
+      const payload = evCharger.formatSetpoint(10, 1, 'ocpp')
+
+      expect(payload.connectorId).toBe(0)
+      expect(payload.csChargingProfiles.chargingProfilePurpose).toBe('TxDefaultProfile')
+      expect(payload.csChargingProfiles.chargingSchedule.chargingSchedulePeriod).toEqual([
+        { startPeriod: 0, limit: 10, numberPhases: 1 }
+      ])
+    })
+
+    it('should set the current per phase for Easee and Zaptec', () => {
+      expect(evCharger.formatSetpoint(10, 1, 'easee')).toEqual({
+        dynamicCircuitCurrentP1: 10,
+        dynamicCircuitCurrentP2: 0,
+        dynamicCircuitCurrentP3: 0
+      })
+      expect(evCharger.formatSetpoint(16, 3, 'zaptec')).toEqual({
+        availableCurrentPhase1: 16,
+        availableCurrentPhase2: 16,
+        availableCurrentPhase3: 16
+      })
+    })
+  })
+})
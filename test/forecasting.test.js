@@ -0,0 +1,220 @@
+'use strict'
+
+const forecasting = require('../lib/forecasting')
+const peakTracker = require('../lib/peak-tracker')
+const { swedishTime } = require('./helpers')
+
+describe('forecasting', () => {
+  const baseConfig = peakTracker.mergeConfig({
+    peakSeasonOnly: false,
+    peakHoursStart: 7,
+    peakHoursEnd: 21,
+    minimumLimitKw: 2,
+    batteryCapacityWh: 10000,
+    socBuffer: 50,
+    budgetBuffer: 20,
+    maxChargeRateW: 3000
+  })
+
+  // Monday 2024-02-05, 05:00 local time
+  const monday = swedishTime(2024, 2, 5, 5, 0, 0)
+
+  describe('shouldRegenerateForecast / resetDailyTracking', () => {
+    it('should regenerate when no forecast date is set', () => {
+      const state = peakTracker.createInitialState()
+      expect(forecasting.shouldRegenerateForecast(state, monday)).toBe(true)
+    })
+
+    it('should not regenerate on the same day after reset', () => {
+      const state = peakTracker.createInitialState()
+      state.periodEnergyUsed = { period_17_21: 1500 }
+      state.currentForecast = { periods: [] }
+
+      forecasting.resetDailyTracking(state, monday)
+
+      expect(state.periodEnergyUsed).toEqual({})
+      expect(state.currentForecast).toBeNull()
+      expect(forecasting.shouldRegenerateForecast(state, monday)).toBe(false)
+    })
+
+    it('should regenerate on the next day', () => {
+      const state = peakTracker.createInitialState()
+      forecasting.resetDailyTracking(state, monday)
+
+      const tuesday = new Date(monday.getTime() + 24 * 3600000)
+      expect(forecasting.shouldRegenerateForecast(state, tuesday)).toBe(true)
+    })
+  })
+
+  describe('updateHistoricalData', () => {
+    it('should create day entry and store first value', () => {
+      const data = forecasting.updateHistoricalData({}, 1, 18, 4000)
+
+      expect(data[1].hourlyAverages[18]).toBe(4000)
+      expect(data[1].sampleCounts[18]).toBe(1)
+      expect(data[1].hourlyAverages).toHaveLength(24)
+    })
+
+    it('should average multiple samples', () => {
+      let data = forecasting.updateHistoricalData({}, 1, 18, 4000)
+      data = forecasting.updateHistoricalData(data, 1, 18, 2000)
+
+      expect(data[1].hourlyAverages[18]).toBe(3000)
+      expect(data[1].sampleCounts[18]).toBe(2)
+    })
+
+    it('should cap sample count so old days lose influence', () => {
+      let data = {}
+      for (let i = 0; i < 20; i++) {
+        data = forecasting.updateHistoricalData(data, 1, 18, 1000)
+      }
+      data = forecasting.updateHistoricalData(data, 1, 18, 9000)
+
+      expect(data[1].sampleCounts[18]).toBe(forecasting.HISTORY_MAX_SAMPLES)
+      expect(data[1].hourlyAverages[18]).toBe(2000) // 1000 + 8000 / 8
+    })
+  })
+
+  describe('generateForecast', () => {
+    it('should build morning and evening periods for time-based source', () => {
+      const config = { ...baseConfig, forecastSource: 'time-based' }
+      const forecast = forecasting.generateForecast(config, {}, monday, null)
+
+      expect(forecast.source).toBe('time-based')
+      expect(forecast.fallback).toBe(false)
+      expect(forecast.periods).toHaveLength(2)
+      // Morning window 06-09 is clipped to peak hours starting at 07
+      expect(forecast.periods[0]).toMatchObject({ key: 'period_7_9', start: 7, end: 9, weight: 0.3 })
+      expect(forecast.periods[1]).toMatchObject({ key: 'period_17_21', start: 17, end: 21, weight: 1.0 })
+    })
+
+    it('should distribute budget by weight after reserving the buffer', () => {
+      const config = { ...baseConfig, forecastSource: 'time-based' }
+      const forecast = forecasting.generateForecast(config, {}, monday, null)
+
+      // 10 kWh * 50% = 5000 Wh usable, 20% buffer = 1000 Wh
+      expect(forecast.usableEnergyWh).toBe(5000)
+      expect(forecast.bufferWh).toBe(1000)
+      expect(forecast.totalBudgetWh).toBe(4000)
+      expect(forecast.periods[0].budgetWh).toBeCloseTo(4000 * 0.3 / 1.3)
+      expect(forecast.periods[1].budgetWh).toBeCloseTo(4000 * 1.0 / 1.3)
+    })
+
+    it('should have no periods on days without peak hours', () => {
+      const config = { ...baseConfig, forecastSource: 'time-based', weekdaysOnly: true }
+      const saturday = swedishTime(2024, 2, 10, 5, 0, 0)
+      const forecast = forecasting.generateForecast(config, {}, saturday, null)
+
+      expect(forecast.periods).toHaveLength(0)
+    })
+
+    it('should derive periods from an external hourly forecast', () => {
+      const config = { ...baseConfig, forecastSource: 'external' }
+      const hourly = new Array(24).fill(1000)
+      hourly[7] = 3000
+      hourly[18] = 5000
+      hourly[19] = 5000
+
+      const forecast = forecasting.generateForecast(config, {}, monday, { hourly })
+
+      expect(forecast.source).toBe('external')
+      expect(forecast.periods.map(p => [p.start, p.end])).toEqual([[7, 8], [18, 20]])
+      expect(forecast.periods[1].weight).toBe(1)
+      expect(forecast.periods[1].expectedPeakW).toBe(5000)
+      expect(forecast.periods[1].budgetWh).toBeGreaterThan(forecast.periods[0].budgetWh)
+    })
+
+    it('should fall back to time-based when external forecast is invalid', () => {
+      const config = { ...baseConfig, forecastSource: 'external' }
+      const forecast = forecasting.generateForecast(config, {}, monday, { hourly: [1, 2, 3] })
+
+      expect(forecast.source).toBe('time-based')
+      expect(forecast.fallback).toBe(true)
+      expect(forecast.periods).toHaveLength(2)
+    })
+
+    it('should use historical data once every peak hour has been seen', () => {
+      const config = { ...baseConfig, forecastSource: 'historical' }
+      let historicalData = {}
+      for (let hour = 0; hour < 24; hour++) {
+        historicalData = forecasting.updateHistoricalData(historicalData, 1, hour, hour === 12 ? 6000 : 1000)
+      }
+
+      const forecast = forecasting.generateForecast(config, { historicalData }, monday, null)
+
+      expect(forecast.source).toBe('historical')
+      expect(forecast.periods).toHaveLength(1)
+      expect(forecast.periods[0]).toMatchObject({ start: 12, end: 13, weight: 1 })
+    })
+
+    it('should fall back to time-based when historical data is incomplete', () => {
+      const config = { ...baseConfig, forecastSource: 'historical' }
+      const historicalData = forecasting.updateHistoricalData({}, 1, 18, 5000)
+
+      const forecast = forecasting.generateForecast(config, { historicalData }, monday, null)
+
+      expect(forecast.source).toBe('time-based')
+      expect(forecast.fallback).toBe(true)
+    })
+  })
+
+  describe('calculateBudgetedDischarge', () => {
+    const config = { ...baseConfig, forecastSource: 'time-based' }
+    const forecast = forecasting.generateForecast(config, {}, monday, null)
+    const eveningBudgetWh = forecast.periods[1].budgetWh
+
+    it('should not use budget without a forecast', () => {
+      const result = forecasting.calculateBudgetedDischarge(config, {}, null, 18, 5000, 80, 20, 10000)
+
+      expect(result.useBudget).toBe(false)
+      expect(result.dischargeW).toBe(0)
+    })
+
+    it('should not discharge outside forecast periods', () => {
+      const result = forecasting.calculateBudgetedDischarge(config, { periodEnergyUsed: {} }, forecast, 12, 5000, 80, 20, 10000)
+
+      expect(result.useBudget).toBe(true)
+      expect(result.dischargeW).toBe(0)
+      expect(result.period).toBeNull()
+    })
+
+    it('should spread the period budget over the remaining hours', () => {
+      const result = forecasting.calculateBudgetedDischarge(config, { periodEnergyUsed: {} }, forecast, 17, 8000, 80, 20, 10000)
+
+      expect(result.periodKey).toBe('period_17_21')
+      expect(result.period).toMatchObject({ start: 17, end: 21 })
+      expect(result.dischargeW).toBe(Math.round(eveningBudgetWh / 4 / 10) * 10)
+      expect(result.remainingBudgetWh).toBe(Math.round(eveningBudgetWh))
+    })
+
+    it('should account for energy already used in the period', () => {
+      const state = { periodEnergyUsed: { period_17_21: eveningBudgetWh - 600 } }
+      const result = forecasting.calculateBudgetedDischarge(config, state, forecast, 20, 8000, 80, 20, 10000)
+
+      expect(result.remainingBudgetWh).toBe(600)
+      expect(result.dischargeW).toBe(600)
+    })
+
+    it('should stop when the period budget is exhausted', () => {
+      const state = { periodEnergyUsed: { period_17_21: eveningBudgetWh } }
+      const result = forecasting.calculateBudgetedDischarge(config, state, forecast, 19, 8000, 80, 20, 10000)
+
+      expect(result.dischargeW).toBe(0)
+      expect(result.reason).toBe('period budget exhausted')
+    })
+
+    it('should not discharge below the minimum limit', () => {
+      const result = forecasting.calculateBudgetedDischarge(config, { periodEnergyUsed: {} }, forecast, 17, 2300, 80, 20, 10000)
+
+      expect(result.dischargeW).toBe(300)
+    })
+
+    it('should cap the budget by the energy left in the battery', () => {
+      // 1% above minimum SOC of a 10 kWh battery = 100 Wh
+      const result = forecasting.calculateBudgetedDischarge(config, { periodEnergyUsed: {} }, forecast, 20, 8000, 21, 20, 10000)
+
+      expect(result.remainingBudgetWh).toBe(100)
+      expect(result.dischargeW).toBe(100)
+    })
+  })
+})
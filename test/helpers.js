@@ -0,0 +1,56 @@
+'use strict'
+
+const { zonedTimeToDate } = require('../lib/timezone')
+
+/**
+ * Shared helpers for the tests
+ */
+
+/**
+ * Build an instant from Swedish local time, independent of the timezone
+ * the tests run in
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} [minute=0] - Minute
+ * @param {number} [second=0] - Second
+ * @returns {Date}
+ */
+function swedishTime (year, month, day, hour, minute = 0, second = 0) {
+  return new Date(zonedTimeToDate(year, month, day, hour, minute, 'Europe/Stockholm').getTime() + second * 1000)
+}
+
+// Monday 2024-01-15, 18:30 Swedish time: peak hours in the peak season
+const PEAK_TIME = swedishTime(2024, 1, 15, 18, 30)
+
+/**
+ * Build a processGridPower result for the hour of PEAK_TIME
+ *
+ * The period averages 6.5 kW against a 5 kW target, so 1.5 kW is over it.
+ *
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object} Result as returned by processGridPower
+ */
+function peakResult (overrides = {}) {
+  return {
+    inPeakSeason: true,
+    inPeakHours: true,
+    targetLimitW: 5000,
+    override: null,
+    intervalMinutes: 60,
+    currentHour: 18,
+    currentHourAvgW: 6500,
+    outputLimitA: 7.2,
+    limitReason: 'peak#3 - headroom',
+    outputChanged: false,
+    budget: null,
+    ...overrides
+  }
+}
+
+module.exports = {
+  PEAK_TIME,
+  swedishTime,
+  peakResult
+}
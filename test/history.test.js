@@ -0,0 +1,168 @@
+'use strict'
+
+const history = require('../lib/history')
+const peakTracker = require('../lib/peak-tracker')
+const commands = require('../lib/commands')
+const seasons = require('../lib/seasons')
+
+describe('history', () => {
+  const config = peakTracker.mergeConfig({ peakSeasonOnly: false, vatPercent: 0, fixedFeeSekPerMonth: 100, transferFeeSekPerKwh: 0.2 })
+
+  function archivedPeriod (start, end, peakAvgW) {
+    return {
+      start,
+      end,
+      peakCount: 1,
+      peakAvgW,
+      peaks: [{ date: start, hour: 18, minute: 0, value: peakAvgW, effective: peakAvgW }],
+      energyKwh: 500,
+      hourlyMaxW: new Array(24).fill(null).map((_, h) => h === 18 ? peakAvgW : null),
+      limitChanges: 4,
+      minLimitA: 12.5,
+      batteryDischargeKwh: 30.5
+    }
+  }
+
+  function stateWithArchive () {
+    const state = peakTracker.createInitialState()
+    state.periodArchive = [
+      archivedPeriod('2023-12-01', '2024-01-01', 6000),
+      archivedPeriod('2024-01-01', '2024-02-01', 5000),
+      archivedPeriod('2024-02-01', '2024-03-01', 4000)
+    ]
+    return state
+  }
+
+  describe('period statistics', () => {
+    it('should collect hourly maxima, limit changes and battery use into the archive', () => {
+      const state = peakTracker.createInitialState()
+      const battery = { soc: 80, minSoc: 20 }
+
+      // 18:00-19:00 Swedish time on 2024-01-31
+      peakTracker.processGridPower(state, config, 5000, new Date('2024-01-31T17:00:00Z'), battery)
+      peakTracker.updateLastOutput(state, 16)
+      peakTracker.processGridPower(state, config, 3000, new Date('2024-01-31T17:30:00Z'), { ...battery, soc: 70 })
+      peakTracker.updateLastOutput(state, 12)
+      peakTracker.processGridPower(state, config, 1000, new Date('2024-01-31T18:00:00Z'), { ...battery, soc: 75 })
+      peakTracker.updateLastOutput(state, 12)
+      peakTracker.processGridPower(state, config, 1000, new Date('2024-01-31T18:30:00Z'), { ...battery, soc: 60 })
+
+      // First sample of February closes January
+      peakTracker.processGridPower(state, config, 1000, new Date('2024-02-01T08:00:00Z'), { ...battery, soc: 60 })
+
+      const closed = state.periodArchive[0]
+      expect(closed.start).toBe('2024-01-01')
+      expect(closed.hourlyMaxW[18]).toBe(4000)
+      expect(closed.limitChanges).toBe(1)
+      expect(closed.minLimitA).toBe(12)
+      // 80 -> 70 and 75 -> 60 of 10 kWh
+      expect(closed.batteryDischargeKwh).toBe(2.5)
+      expect(state.periodStats).toMatchObject({ limitChanges: 0, batteryDischargeWh: 0, lastSoc: 60 })
+    })
+  })
+
+  describe('estimatePeriodCost', () => {
+    it('should price the period with the prices of its season', () => {
+      const seasonal = {
+        ...config,
+        seasonProfiles: seasons.parseSeasonProfiles([{ months: [4, 10], powerPriceSekPerKw: 25 }, { months: [11, 3] }])
+      }
+
+      expect(history.estimatePeriodCost(archivedPeriod('2024-01-01', '2024-02-01', 4000), seasonal)).toMatchObject({
+        fixedFee: 100, powerFee: 200, transferFee: 100, total: 400
+      })
+      expect(history.estimatePeriodCost(archivedPeriod('2024-07-01', '2024-08-01', 4000), seasonal).powerFee).toBe(100)
+    })
+
+    it('should keep the cost stored when the period closed', () => {
+      const state = stateWithArchive()
+      history.addArchivedCosts(state, config)
+
+      const periods = history.getHistory(state, { ...config, powerPriceSekPerKw: 100 })
+
+      expect(periods[2].cost.powerFee).toBe(200)
+    })
+  })
+
+  describe('parseHistoryQuery', () => {
+    it('should default to all periods as JSON', () => {
+      expect(history.parseHistoryQuery(undefined)).toEqual({ from: null, to: null, format: 'json' })
+      expect(history.parseHistoryQuery('CSV')).toEqual({ from: null, to: null, format: 'csv' })
+    })
+
+    it('should reject unknown formats and invalid dates', () => {
+      expect(history.parseHistoryQuery({ format: 'xml' }).error).toMatch(/Unknown history format/)
+      expect(history.parseHistoryQuery({ from: '2024/01' }).error).toMatch(/Invalid from date/)
+    })
+  })
+
+  describe('getHistory', () => {
+    it('should filter by the period start, inclusive', () => {
+      const state = stateWithArchive()
+
+      expect(history.getHistory(state, config, { from: '2024-01', to: '2024-01' }).map(p => p.start)).toEqual(['2024-01-01'])
+      expect(history.getHistory(state, config, { from: '2024-01-01' }).map(p => p.start)).toEqual(['2024-01-01', '2024-02-01'])
+      expect(history.getHistory(state, config, { to: '2023-12' })).toHaveLength(1)
+    })
+
+    it('should report values in kW', () => {
+      const [period] = history.getHistory(stateWithArchive(), config, { from: '2024-02' })
+
+      expect(period).toMatchObject({
+        billedPeakKw: 4,
+        peaks: [{ date: '2024-02-01', hour: 18, minute: 0, valueKw: 4, effectiveKw: 4 }],
+        limitChanges: 4,
+        minLimitA: 12.5,
+        batteryDischargeKwh: 30.5
+      })
+      expect(period.hourlyMaxKw[18]).toBe(4)
+      expect(period.hourlyMaxKw[17]).toBeNull()
+    })
+  })
+
+  describe('formatHistoryCsv', () => {
+    it('should write one row per period', () => {
+      const periods = history.getHistory(stateWithArchive(), config, { from: '2024-02' })
+      const [header, row, end] = history.formatHistoryCsv(periods).split('\n')
+
+      expect(header.split(',').slice(0, 11)).toEqual([
+        'start', 'end', 'peakCount', 'billedPeakKw', 'peaks', 'energyKwh',
+        'limitChanges', 'minLimitA', 'batteryDischargeKwh', 'costSek', 'maxKw00'
+      ])
+      expect(header.split(',')).toHaveLength(34)
+      const fields = row.split(',')
+      expect(fields.slice(0, 10)).toEqual(['2024-02-01', '2024-03-01', '1', '4', '2024-02-01 18:00 4', '500', '4', '12.5', '30.5', '400'])
+      expect(fields[10 + 18]).toBe('4')
+      expect(fields[10 + 17]).toBe('')
+      expect(end).toBe('')
+    })
+  })
+
+  describe('getHistory command', () => {
+    it('should reply with the periods and the CSV export', () => {
+      const state = stateWithArchive()
+      const now = new Date('2024-03-10T10:00:00Z')
+
+      const json = commands.executeCommand(state, config, 'getHistory', { from: '2024-01' }, now)
+      const csv = commands.executeCommand(state, config, 'getHistory', { format: 'csv' }, now)
+      const invalid = commands.executeCommand(state, config, 'getHistory', { to: 'last year' }, now)
+
+      expect(json.success).toBe(true)
+      expect(json.periods).toHaveLength(2)
+      expect(json.csv).toBeUndefined()
+      expect(csv.csv.split('\n')).toHaveLength(5)
+      expect(invalid.success).toBe(false)
+    })
+
+    it('should price periods closed by a command', () => {
+      const state = stateWithArchive()
+      state.currentMonth = 1
+      state.billingPeriodStart = '2024-02-01'
+
+      commands.executeCommand(state, config, 'setPeaks', [{ date: '2024-03-04', hour: 18, value: 3000 }], new Date('2024-03-10T10:00:00Z'))
+
+      expect(state.periodArchive).toHaveLength(4)
+      state.periodArchive.forEach(entry => expect(entry.cost).toBeDefined())
+    })
+  })
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+const holidays = require('../lib/holidays')
+
+describe('holidays', () => {
+  describe('getEasterSunday', () => {
+    it('should calculate Easter Sunday', () => {
+      expect(holidays.getEasterSunday(2024)).toEqual({ month: 3, day: 31 })
+      expect(holidays.getEasterSunday(2025)).toEqual({ month: 4, day: 20 })
+      expect(holidays.getEasterSunday(2038)).toEqual({ month: 4, day: 25 })
+    })
+  })
+
+  describe('getSwedishHolidays', () => {
+    it('should list the thirteen public holidays in date order', () => {
+      const list = holidays.getSwedishHolidays(2025)
+      const dates = list.map(h => h.date)
+
+      expect(list).toHaveLength(13)
+      expect([...dates].sort()).toEqual(dates)
+    })
+
+    it('should place the movable holidays', () => {
+      const list = holidays.getSwedishHolidays(2025)
+      const dateOf = name => list.find(h => h.name === name).date
+
+      expect(dateOf('Långfredagen')).toBe('2025-04-18')
+      expect(dateOf('Annandag påsk')).toBe('2025-04-21')
+      expect(dateOf('Kristi himmelsfärdsdag')).toBe('2025-05-29')
+      expect(dateOf('Pingstdagen')).toBe('2025-06-08')
+      expect(dateOf('Midsommardagen')).toBe('2025-06-21')
+      expect(dateOf('Alla helgons dag')).toBe('2025-11-01')
+    })
+  })
+
+  describe('isSwedishHoliday', () => {
+    it('should recognise fixed and movable holidays', () => {
+      expect(holidays.isSwedishHoliday('2024-12-25')).toBe(true)
+      expect(holidays.isSwedishHoliday('2024-03-29')).toBe(true) // Långfredagen 2024
+      expect(holidays.isSwedishHoliday('2024-12-24')).toBe(false) // Julafton is not official
+      expect(holidays.isSwedishHoliday('2024-03-28')).toBe(false)
+    })
+  })
+
+  describe('isCustomHoliday', () => {
+    it('should match full dates and yearly dates', () => {
+      const custom = ['12-24', '2025-01-02']
+
+      expect(holidays.isCustomHoliday('2024-12-24', custom)).toBe(true)
+      expect(holidays.isCustomHoliday('2025-01-02', custom)).toBe(true)
+      expect(holidays.isCustomHoliday('2026-01-02', custom)).toBe(false)
+      expect(holidays.isCustomHoliday('2024-12-24', [])).toBe(false)
+    })
+  })
+
+  describe('parseCustomHolidays', () => {
+    it('should parse comma separated strings and arrays', () => {
+      expect(holidays.parseCustomHolidays('12-24, 12-31,2025-01-02')).toEqual(['12-24', '12-31', '2025-01-02'])
+      expect(holidays.parseCustomHolidays(['12-24', ' 06-19 '])).toEqual(['12-24', '06-19'])
+    })
+
+    it('should drop invalid entries', () => {
+      expect(holidays.parseCustomHolidays('christmas, 2024/12/24, 12-24')).toEqual(['12-24'])
+      expect(holidays.parseCustomHolidays('')).toEqual([])
+      expect(holidays.parseCustomHolidays(undefined)).toEqual([])
+    })
+  })
+})
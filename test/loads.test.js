@@ -0,0 +1,140 @@
+'use strict'
+
+const loads = require('../lib/loads')
+const peakTracker = require('../lib/peak-tracker')
+const { PEAK_TIME, peakResult } = require('./helpers')
+
+describe('loads', () => {
+  const config = peakTracker.mergeConfig({ peakSeasonOnly: false, peakCount: 3, minimumLimitKw: 2 })
+
+  const loadList = loads.parseLoads([
+    { name: 'waterheater', priority: 2, powerW: 3000, minOffMinutes: 10, maxOffMinutes: 60 },
+    { name: 'floorheating', priority: 1, powerW: 1500, minOnMinutes: 5 },
+    { name: 'evcharger', priority: 3, powerKw: 7.4, onValue: 16, offValue: 6 }
+  ])
+
+  // The period started at 18:00, so half of it is left
+  const now = PEAK_TIME
+  const periodStartMs = new Date('2024-01-15T17:00:00Z').getTime()
+
+  function stateUsing (usedWh) {
+    const state = peakTracker.createInitialState()
+    state.currentPeriodStartTime = periodStartMs
+    state.currentHourEnergyWh = usedWh
+    return state
+  }
+
+  describe('parseLoads', () => {
+    it('should apply defaults and sort by priority', () => {
+      expect(loadList.map(l => l.name)).toEqual(['floorheating', 'waterheater', 'evcharger'])
+      expect(loadList[0].minOffMinutes).toBe(loads.LOAD_DEFAULTS.minOffMinutes)
+      expect(loadList[2].powerW).toBe(7400)
+      expect(loadList[2].onValue).toBe(16)
+    })
+
+    it('should read a JSON string and drop invalid entries', () => {
+      const parsed = loads.parseLoads('[{"name": "a", "powerW": 1000}, {"powerW": 500}, {"name": "b"}]')
+
+      expect(parsed.map(l => l.name)).toEqual(['a'])
+    })
+
+    it('should return an empty list for invalid JSON', () => {
+      expect(loads.parseLoads('[{')).toEqual([])
+      expect(loads.parseLoads('')).toEqual([])
+      expect(loads.parseLoads(undefined)).toEqual([])
+    })
+  })
+
+  describe('calculateRequiredReductionW', () => {
+    it('should compare the present power with what the budget still allows', () => {
+      // Budget 5000 Wh, 3000 Wh used: 2000 Wh over 30 min allows 4000 W
+      const reductionW = loads.calculateRequiredReductionW(stateUsing(3000), config, peakResult(), 7000, now)
+
+      expect(reductionW).toBeCloseTo(3000)
+    })
+
+    it('should not restrict outside peak hours', () => {
+      expect(loads.calculateRequiredReductionW(stateUsing(3000), config, peakResult({ inPeakHours: false }), 7000, now)).toBeNull()
+      expect(loads.calculateRequiredReductionW(stateUsing(3000), config, peakResult({ targetLimitW: null }), 7000, now)).toBeNull()
+    })
+  })
+
+  describe('evaluateLoads', () => {
+    it('should shed the lowest priorities until the excess is covered', () => {
+      const state = stateUsing(3000)
+
+      const status = loads.evaluateLoads(state, config, loadList, peakResult(), 7000, now)
+
+      expect(status.commands.map(c => [c.name, c.action, c.payload])).toEqual([
+        ['floorheating', 'shed', false],
+        ['waterheater', 'shed', false]
+      ])
+      expect(status.reductionW).toBe(3000)
+      expect(status.loads.find(l => l.name === 'evcharger').shed).toBe(false)
+    })
+
+    it('should not shed a load within its minimum on time', () => {
+      const state = stateUsing(3000)
+      state.loadStates = { floorheating: { shed: false, since: now.getTime() - 2 * 60000 } }
+
+      const status = loads.evaluateLoads(state, config, loadList, peakResult(), 5500, now)
+
+      expect(status.commands.map(c => c.name)).toEqual(['waterheater'])
+    })
+
+    it('should restore the highest priority that fits when there is room', () => {
+      const state = stateUsing(1000)
+      const shedAt = now.getTime() - 15 * 60000
+      state.loadStates = {
+        floorheating: { shed: true, since: shedAt },
+        waterheater: { shed: true, since: shedAt }
+      }
+
+      // Budget allows 8000 W, 4000 W in use: 4000 W of room
+      const status = loads.evaluateLoads(state, config, loadList, peakResult(), 4000, now)
+
+      expect(status.commands.map(c => [c.name, c.action, c.payload])).toEqual([
+        ['waterheater', 'restore', true]
+      ])
+      expect(state.loadStates.floorheating.shed).toBe(true)
+    })
+
+    it('should keep a load off during its minimum off time', () => {
+      const state = stateUsing(0)
+      state.loadStates = { waterheater: { shed: true, since: now.getTime() - 5 * 60000 } }
+
+      const status = loads.evaluateLoads(state, config, loadList, peakResult({ inPeakHours: false }), 1000, now)
+
+      expect(status.commands).toEqual([])
+    })
+
+    it('should restore a load after its maximum off time, even when over target', () => {
+      const state = stateUsing(3000)
+      state.loadStates = { waterheater: { shed: true, since: now.getTime() - 60 * 60000 } }
+
+      // 1500 W of room before, 1500 W over once the water heater is back
+      const status = loads.evaluateLoads(state, config, loadList, peakResult(), 2500, now)
+
+      expect(status.commands.map(c => [c.name, c.action, c.reason])).toEqual([
+        ['waterheater', 'restore', 'max off time 60 min'],
+        ['floorheating', 'shed', 'over target by 1500W']
+      ])
+    })
+
+    it('should restore every load outside peak hours', () => {
+      const state = stateUsing(0)
+      const shedAt = now.getTime() - 30 * 60000
+      state.loadStates = {
+        waterheater: { shed: true, since: shedAt },
+        evcharger: { shed: true, since: shedAt }
+      }
+
+      const status = loads.evaluateLoads(state, config, loadList, peakResult({ inPeakHours: false }), 9000, now)
+
+      expect(status.commands.map(c => [c.name, c.payload, c.reason])).toEqual([
+        ['evcharger', 16, 'no restriction'],
+        ['waterheater', true, 'no restriction']
+      ])
+    })
+  })
+})
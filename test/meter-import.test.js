@@ -0,0 +1,274 @@
+'use strict'
+
+const meterImport = require('../lib/meter-import')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('meter-import', () => {
+  const config = peakTracker.mergeConfig({
+    peakSeasonOnly: false,
+    peakCount: 3,
+    onePeakPerDay: true,
+    peakHoursStart: 7,
+    peakHoursEnd: 21,
+    nightDiscount: true
+  })
+
+  // Wednesday 2024-01-17, 12:30 Swedish time
+  const now = new Date('2024-01-17T11:30:00Z')
+
+  describe('parseTimestamp', () => {
+    it('should read wall-clock times in the configured timezone', () => {
+      expect(meterImport.parseTimestamp('2024-01-15 18:00', 'Europe/Stockholm').time.toISOString()).toBe('2024-01-15T17:00:00.000Z')
+      expect(meterImport.parseTimestamp('15.07.2024 18:00', 'Europe/Stockholm').time.toISOString()).toBe('2024-07-15T16:00:00.000Z')
+      expect(meterImport.parseTimestamp('2024-01-15', 'Europe/Stockholm').time.toISOString()).toBe('2024-01-14T23:00:00.000Z')
+    })
+
+    it('should keep explicit offsets', () => {
+      const parsed = meterImport.parseTimestamp('2024-01-15T18:00:00+01:00', 'Europe/Stockholm')
+
+      expect(parsed.time.toISOString()).toBe('2024-01-15T17:00:00.000Z')
+      expect(parsed.wallClock).toBe(false)
+    })
+
+    it('should reject unknown formats', () => {
+      expect(meterImport.parseTimestamp('yesterday', 'Europe/Stockholm')).toBeNull()
+    })
+  })
+
+  describe('parseDecimal', () => {
+    it('should accept decimal commas', () => {
+      expect(meterImport.parseDecimal('1,25')).toBe(1.25)
+      expect(meterImport.parseDecimal('1.25')).toBe(1.25)
+      expect(meterImport.parseDecimal('')).toBeNaN()
+    })
+
+    it('should strip thousands separators', () => {
+      expect(meterImport.parseDecimal('1.234,5')).toBe(1234.5)
+      expect(meterImport.parseDecimal('1,234.5')).toBe(1234.5)
+      expect(meterImport.parseDecimal('1 234,5')).toBe(1234.5)
+      expect(meterImport.parseDecimal('1.234.567')).toBe(1234567)
+      expect(meterImport.parseDecimal('1,234,567')).toBe(1234567)
+    })
+  })
+
+  describe('parseMeterCsv', () => {
+    it('should read a Swedish DSO export with date and time columns', () => {
+      const csv = [
+        'Datum;Tid;Förbrukning (kWh)',
+        '2024-01-15;17-18;4,2',
+        '2024-01-15;18-19;5,1'
+      ].join('\n')
+
+      const readings = meterImport.parseMeterCsv(csv, config)
+
+      expect(readings).toHaveLength(2)
+      expect(readings[0].time.toISOString()).toBe('2024-01-15T16:00:00.000Z')
+      expect(readings[0].energyWh).toBeCloseTo(4200)
+      expect(readings[1].intervalMinutes).toBe(60)
+    })
+
+    it('should read an Elhub export with start and end times', () => {
+      const csv = [
+        '"Fra";"Til";"KWH 15 Forbruk"',
+        '"15.01.2024 18:00";"15.01.2024 18:15";"1,5"',
+        '"15.01.2024 18:15";"15.01.2024 18:30";"1,0"'
+      ].join('\r\n')
+
+      const readings = meterImport.parseMeterCsv(csv, config)
+
+      expect(readings).toHaveLength(2)
+      expect(readings[0]).toMatchObject({ energyWh: 1500, intervalMinutes: 15 })
+    })
+
+    it('should place the repeated hour of the autumn DST switch after the first', () => {
+      const csv = [
+        'Timestamp,kWh',
+        '2024-10-27 02:00,1',
+        '2024-10-27 02:00,2',
+        '2024-10-27 03:00,3'
+      ].join('\n')
+
+      const times = meterImport.parseMeterCsv(csv, config).map(r => r.time.toISOString())
+
+      expect(times).toEqual(['2024-10-27T00:00:00.000Z', '2024-10-27T01:00:00.000Z', '2024-10-27T02:00:00.000Z'])
+    })
+
+    it('should throw without a consumption column', () => {
+      expect(() => meterImport.parseMeterCsv('Datum;Kommentar\n2024-01-15;x', config)).toThrow(/consumption column/)
+    })
+  })
+
+  describe('normalizeReadings', () => {
+    it('should accept energy and average power', () => {
+      const readings = meterImport.normalizeReadings([
+        { timestamp: '2024-01-15T18:00', kWh: 4 },
+        { time: '2024-01-15T19:00', avgW: 3000 }
+      ], config)
+
+      expect(readings.map(r => [r.energyWh, r.intervalMinutes])).toEqual([[4000, 60], [3000, 60]])
+    })
+
+    it('should throw on invalid entries', () => {
+      expect(() => meterImport.normalizeReadings([{ timestamp: 'x', kWh: 1 }], config)).toThrow(/Invalid time/)
+      expect(() => meterImport.normalizeReadings([{ timestamp: '2024-01-15T18:00' }], config)).toThrow(/Invalid consumption/)
+    })
+  })
+
+  describe('importMeterData', () => {
+    function hourly (entries) {
+      return meterImport.normalizeReadings(entries.map(([timestamp, kWh]) => ({ timestamp, kWh })), config)
+    }
+
+    it('should record peaks of the current month following the tariff rules', () => {
+      const state = peakTracker.createInitialState()
+      const summary = meterImport.importMeterData(state, config, hourly([
+        ['2024-01-15T18:00', 6],
+        ['2024-01-15T19:00', 7],
+        ['2024-01-16T05:00', 9], // Outside peak hours
+        ['2024-01-16T08:00', 4]
+      ]), now)
+
+      expect(summary.currentMonthPeriods).toBe(4)
+      expect(state.currentMonth).toBe(0)
+      expect(state.peaks.map(p => [p.date, p.hour, p.value])).toEqual([
+        ['2024-01-15', 19, 7000],
+        ['2024-01-16', 8, 4000]
+      ])
+    })
+
+    it('should apply the night discount when peak hours include the night', () => {
+      const allDay = { ...config, peakHoursStart: 0, peakHoursEnd: 24 }
+      const state = peakTracker.createInitialState()
+      meterImport.importMeterData(state, allDay, hourly([['2024-01-15T23:00', 6]]), now)
+
+      expect(state.peaks[0]).toMatchObject({ value: 6000, effective: 3000 })
+    })
+
+    it('should set the previous month average for carryover', () => {
+      const state = peakTracker.createInitialState()
+      meterImport.importMeterData(state, config, hourly([
+        ['2023-12-04T18:00', 6],
+        ['2023-12-05T18:00', 5],
+        ['2023-12-06T18:00', 4],
+        ['2023-12-07T18:00', 1]
+      ]), now)
+
+      expect(state.previousMonthPeakAvgW).toBe(5000)
+      expect(state.peaks).toEqual([])
+    })
+
+    it('should merge a partial import with the previous month already imported', () => {
+      const state = peakTracker.createInitialState()
+      meterImport.importMeterData(state, config, hourly([
+        ['2023-12-04T18:00', 6],
+        ['2023-12-05T18:00', 5],
+        ['2023-12-06T18:00', 4]
+      ]), now)
+      const summary = meterImport.importMeterData(state, config, hourly([
+        ['2023-12-29T18:00', 2],
+        ['2023-12-30T18:00', 7]
+      ]), now)
+
+      // 7, 6 and 5 kW
+      expect(summary.previousMonthPeakAvgW).toBe(6000)
+      expect(state.previousPeriodPeaks.peaks).toHaveLength(5)
+    })
+
+    it('should merge a partial import with the archived previous month', () => {
+      const state = peakTracker.createInitialState()
+      state.previousMonthPeakAvgW = 5000
+      state.periodArchive = [{
+        start: '2023-12-01',
+        end: '2024-01-01',
+        peaks: [
+          { date: '2023-12-04', hour: 18, minute: 0, value: 6000, effective: 6000 },
+          { date: '2023-12-05', hour: 18, minute: 0, value: 5000, effective: 5000 },
+          { date: '2023-12-06', hour: 18, minute: 0, value: 4000, effective: 4000 }
+        ]
+      }]
+
+      meterImport.importMeterData(state, config, hourly([['2023-12-29T18:00', 2]]), now)
+
+      expect(state.previousMonthPeakAvgW).toBe(5000)
+    })
+
+    it('should sum quarter-hour readings into the configured interval', () => {
+      const state = peakTracker.createInitialState()
+      const readings = meterImport.normalizeReadings([
+        { timestamp: '2024-01-15T18:00', kWh: 1 },
+        { timestamp: '2024-01-15T18:15', kWh: 2 },
+        { timestamp: '2024-01-15T18:30', kWh: 1 },
+        { timestamp: '2024-01-15T18:45', kWh: 2 }
+      ], config)
+
+      const summary = meterImport.importMeterData(state, config, readings, now)
+
+      expect(summary.periods).toBe(1)
+      expect(state.peaks[0]).toMatchObject({ hour: 18, value: 6000 })
+    })
+
+    it('should replace a tracked peak of the same period and skip the running period', () => {
+      const state = peakTracker.createInitialState()
+      state.currentMonth = 0
+      peakTracker.recordPeak(state, config, '2024-01-15', 18, 9000, 9000)
+
+      meterImport.importMeterData(state, config, hourly([
+        ['2024-01-15T18:00', 5],
+        ['2024-01-17T12:00', 8] // Still running at 12:30
+      ]), now)
+
+      expect(state.peaks.map(p => [p.date, p.value])).toEqual([['2024-01-15', 5000]])
+    })
+
+    it('should feed the historical profile per hour', () => {
+      const state = peakTracker.createInitialState()
+      meterImport.importMeterData(state, config, hourly([['2023-11-13T18:00', 4]]), now)
+
+      expect(state.historicalData[1].hourlyAverages[18]).toBe(4000)
+      expect(state.peaks).toEqual([])
+    })
+
+    it('should not feed hours of an earlier import into the profile again', () => {
+      const state = peakTracker.createInitialState()
+      meterImport.importMeterData(state, config, hourly([['2023-11-13T18:00', 4], ['2023-11-13T19:00', 2]]), now)
+      const summary = meterImport.importMeterData(state, config, hourly([
+        ['2023-11-13T18:00', 4],
+        ['2023-11-13T19:00', 2],
+        ['2023-11-20T18:00', 6]
+      ]), now)
+
+      expect(summary.historyHoursSkipped).toBe(2)
+      expect(state.historicalData[1].sampleCounts[18]).toBe(2)
+      expect(state.historicalData[1].sampleCounts[19]).toBe(1)
+      expect(state.historicalData[1].hourlyAverages[18]).toBe(5000)
+      expect(state.importedRanges).toEqual([
+        { from: Date.UTC(2023, 10, 13, 17), to: Date.UTC(2023, 10, 13, 19) },
+        { from: Date.UTC(2023, 10, 20, 17), to: Date.UTC(2023, 10, 20, 18) }
+      ])
+    })
+
+    it('should feed hours missing from an earlier import when they are imported later', () => {
+      const state = peakTracker.createInitialState()
+      // Monday 13 and 27 November, the 20th is missing from the first export
+      meterImport.importMeterData(state, config, hourly([['2023-11-13T18:00', 4], ['2023-11-27T18:00', 4]]), now)
+      const summary = meterImport.importMeterData(state, config, hourly([['2023-11-20T18:00', 7]]), now)
+
+      expect(summary.historyHoursSkipped).toBe(0)
+      expect(state.historicalData[1].sampleCounts[18]).toBe(3)
+      expect(state.historicalData[1].hourlyAverages[18]).toBe(5000)
+    })
+
+    it('should reset a state left from an earlier month', () => {
+      const state = peakTracker.createInitialState()
+      state.currentMonth = 11
+      state.currentHour = 18
+      peakTracker.recordPeak(state, config, '2023-12-20', 18, 6000, 6000)
+
+      meterImport.importMeterData(state, config, hourly([['2024-01-15T18:00', 5]]), now)
+
+      expect(state.currentHour).toBeNull()
+      expect(state.previousMonthPeakAvgW).toBe(6000)
+      expect(state.peaks.map(p => p.date)).toEqual(['2024-01-15'])
+    })
+  })
+})
@@ -0,0 +1,202 @@
+'use strict'
+
+const optimizer = require('../lib/optimizer')
+const peakTracker = require('../lib/peak-tracker')
+const spotPrices = require('../lib/spot-prices')
+const timeOfUse = require('../lib/time-of-use')
+const { PEAK_TIME, peakResult } = require('./helpers')
+
+describe('optimizer', () => {
+  const now = PEAK_TIME
+
+  const config = peakTracker.mergeConfig({
+    economicOptimizer: true,
+    peakCount: 3,
+    powerPriceSekPerKw: 60,
+    roundTripEfficiency: 80,
+    batteryWearCostPerKwh: 0.5
+  })
+
+  function pricesAt (price, hours = 24) {
+    const start = new Date('2024-01-15T17:00:00Z').getTime()
+    return spotPrices.parsePrices(Array.from({ length: hours }, (_, i) => ({
+      timestamp: new Date(start + i * 3600000).toISOString(),
+      price: i === 0 ? price : 0.5
+    })), now)
+  }
+
+  const battery = { soc: 60, minSoc: 20 }
+
+  describe('calculatePeakCostPerKw', () => {
+    const evening = { hour: 18, dayOfWeek: 1, month: 1, dateStr: '2024-01-15' }
+    const night = { ...evening, hour: 23 }
+
+    it('should share the price over the averaged peaks', () => {
+      expect(optimizer.calculatePeakCostPerKw(config, evening)).toBe(20)
+    })
+
+    it('should use the full price for the single highest peak', () => {
+      expect(optimizer.calculatePeakCostPerKw({ ...config, tariffModel: 'highest' }, evening)).toBe(60)
+    })
+
+    it('should halve the cost at night with night discount', () => {
+      expect(optimizer.calculatePeakCostPerKw({ ...config, nightDiscount: true }, night)).toBe(10)
+    })
+
+    it('should apply the time-of-use weight of the period', () => {
+      const touWeights = timeOfUse.parseTouTable([{ days: 'weekday', hours: [17, 20], weight: 0.75 }])
+
+      expect(optimizer.calculatePeakCostPerKw({ ...config, touWeights }, evening)).toBe(15)
+      expect(optimizer.calculatePeakCostPerKw({ ...config, touWeights }, { ...evening, dayOfWeek: 0, dateStr: '2024-01-14' })).toBe(20)
+    })
+  })
+
+  describe('countPeakDaysLeft', () => {
+    it('should count the peak days left in the billing period, today included', () => {
+      // 15-31 January
+      expect(optimizer.countPeakDaysLeft(config, now, 18)).toBe(17)
+      expect(optimizer.countPeakDaysLeft({ ...config, weekdaysOnly: true }, now, 18)).toBe(13)
+    })
+
+    it('should count at least today', () => {
+      expect(optimizer.countPeakDaysLeft(config, now, 23)).toBe(1)
+    })
+  })
+
+  describe('calculateDischargeCostPerKwh', () => {
+    it('should add losses and wear to the recharge price', () => {
+      // 0.4 / 0.8 - 1.0 + 0.5
+      expect(optimizer.calculateDischargeCostPerKwh(config, 1.0, 0.4)).toBeCloseTo(0)
+    })
+
+    it('should count only wear without prices', () => {
+      expect(optimizer.calculateDischargeCostPerKwh(config, null, null)).toBe(0.5)
+    })
+  })
+
+  describe('getRechargePrice', () => {
+    it('should prefer the average price of the planned charging', () => {
+      expect(optimizer.getRechargePrice(pricesAt(2), { averagePrice: 0.3 }, now)).toBe(0.3)
+    })
+
+    it('should average the prices of the next 24 hours', () => {
+      expect(optimizer.getRechargePrice(pricesAt(2.5, 4), null, now)).toBe(1)
+    })
+
+    it('should return null without prices', () => {
+      expect(optimizer.getRechargePrice([], null, now)).toBeNull()
+    })
+  })
+
+  describe('evaluateDecision', () => {
+    it('should hold the limit when the battery is cheaper', () => {
+      const decision = optimizer.evaluateDecision(config, peakResult(), battery, null, pricesAt(1.0), now)
+
+      expect(decision.action).toBe('hold-limit')
+      expect(decision.alternative).toBe('battery')
+      expect(decision.marginalCostPerKw).toBe(decision.dischargeCostPerKw)
+      expect(decision.excessKw).toBe(1.5)
+    })
+
+    it('should raise the peak when the battery energy is too expensive', () => {
+      // Shifting load costs 2 SEK/kWh on 17 days, battery is empty: peak at 20 SEK/kW is cheaper
+      const decision = optimizer.evaluateDecision({ ...config, loadShiftCostPerKwh: 2 }, peakResult(), { soc: 20, minSoc: 20 }, null, [], now)
+
+      expect(decision.action).toBe('raise-peak')
+      expect(decision.alternative).toBe('load shift')
+      expect(decision.shiftCostPerKw).toBe(34)
+      expect(decision.marginalCostPerKw).toBe(20)
+      expect(decision.expectedCost).toBe(30) // 1.5 kW * 20 SEK/kW
+    })
+
+    it('should use the cheapest alternative', () => {
+      const decision = optimizer.evaluateDecision({ ...config, loadShiftCostPerKwh: 0.1 }, peakResult(), battery, null, [], now)
+
+      expect(decision.alternative).toBe('load shift')
+      expect(decision.shiftCostPerKw).toBe(1.7)
+      expect(decision.dischargeCostPerKw).toBe(8.5)
+    })
+
+    it('should scale the alternatives to the measurement period on each peak day left', () => {
+      const decision = optimizer.evaluateDecision(config, peakResult({ intervalMinutes: 15 }), battery, null, [], now)
+
+      expect(decision.peakDaysLeft).toBe(17)
+      expect(decision.dischargeCostPerKw).toBe(2.13) // 0.5 SEK/kWh * 0.25 h * 17 days
+    })
+
+    it('should raise the peak late in the billing period', () => {
+      const lastDay = new Date('2024-01-31T17:30:00Z')
+      const shift = { ...config, loadShiftCostPerKwh: 2 }
+
+      expect(optimizer.evaluateDecision(shift, peakResult(), null, null, [], lastDay).action).toBe('hold-limit')
+      expect(optimizer.evaluateDecision({ ...shift, loadShiftCostPerKwh: 30 }, peakResult(), null, null, [], lastDay).action).toBe('raise-peak')
+    })
+
+    it('should hold the limit without any alternative', () => {
+      const decision = optimizer.evaluateDecision(config, peakResult(), null, null, [], now)
+
+      expect(decision.action).toBe('hold-limit')
+      expect(decision.alternative).toBeNull()
+      expect(decision.marginalCostPerKw).toBeNull()
+      expect(decision.reason).toBe('no alternative to holding the limit')
+    })
+
+    it('should not decide outside peak hours, while learning or during an override', () => {
+      expect(optimizer.evaluateDecision(config, peakResult({ inPeakHours: false }), battery, null, [], now)).toBeNull()
+      expect(optimizer.evaluateDecision(config, peakResult({ targetLimitW: null }), battery, null, [], now)).toBeNull()
+      expect(optimizer.evaluateDecision(config, peakResult({ override: { limitA: 10 } }), battery, null, [], now)).toBeNull()
+    })
+  })
+
+  describe('applyDecision', () => {
+    it('should lift the limit by the priced excess when raising the peak', () => {
+      const state = peakTracker.createInitialState()
+      state.lastOutputLimitA = 7.2
+      const result = peakResult()
+
+      optimizer.applyDecision(state, config, result, { action: 'raise-peak', reason: 'peak 20 < load shift 34 SEK/kW', excessKw: 1.5 })
+
+      // 1.5 kW over three phases at 230 V
+      expect(result.outputLimitA).toBe(9.4)
+      expect(result.limitReason).toBe('economic: peak 20 < load shift 34 SEK/kW')
+      expect(result.outputChanged).toBe(true)
+    })
+
+    it('should not lift the limit above the breaker current', () => {
+      const result = peakResult()
+
+      optimizer.applyDecision(peakTracker.createInitialState(), config, result, { action: 'raise-peak', reason: '', excessKw: 20 })
+
+      expect(result.outputLimitA).toBe(25)
+    })
+
+    it('should keep the limit when holding it', () => {
+      const state = peakTracker.createInitialState()
+      const result = peakResult()
+
+      optimizer.applyDecision(state, config, result, { action: 'hold-limit', reason: '' })
+      optimizer.applyDecision(state, config, result, null)
+
+      expect(result.outputLimitA).toBe(7.2)
+    })
+  })
+
+  describe('with processGridPower', () => {
+    it('should decide on the current period', () => {
+      const state = peakTracker.createInitialState()
+      const trackerConfig = { ...config, onePeakPerDay: false, loadShiftCostPerKwh: 50 }
+      state.currentMonth = 0
+      peakTracker.recordPeak(state, trackerConfig, '2024-01-10', 18, 6000, 6000)
+      peakTracker.recordPeak(state, trackerConfig, '2024-01-11', 18, 5500, 5500)
+      peakTracker.recordPeak(state, trackerConfig, '2024-01-12', 18, 5000, 5000)
+
+      const result = peakTracker.processGridPower(state, trackerConfig, 7000, now, null)
+      const decision = optimizer.evaluateDecision(trackerConfig, result, null, null, [], now)
+      optimizer.applyDecision(state, trackerConfig, result, decision)
+
+      expect(decision.action).toBe('raise-peak')
+      expect(decision.excessKw).toBe(2.3) // 7 kW - (5 kW - 0.3 kW headroom)
+      expect(result.outputLimitA).toBe(10.1) // 6.8 A for the target + 3.3 A for the excess
+    })
+  })
+})
@@ -0,0 +1,82 @@
+'use strict'
+
+const phases = require('../lib/phases')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('phases', () => {
+  const config = peakTracker.mergeConfig({ phases: 3, gridVoltage: 230, maxBreakerCurrent: 25 })
+
+  describe('isPhasePayload', () => {
+    it('should recognise per-phase objects', () => {
+      expect(phases.isPhasePayload({ L1: 1000, L2: 0, L3: 0 })).toBe(true)
+      expect(phases.isPhasePayload({ L1: 1000 })).toBe(true)
+      expect(phases.isPhasePayload(3000)).toBe(false)
+      expect(phases.isPhasePayload(null)).toBe(false)
+      expect(phases.isPhasePayload({ power: 3000 })).toBe(false)
+    })
+  })
+
+  describe('parsePhaseInput', () => {
+    it('should sum per-phase power', () => {
+      const input = phases.parsePhaseInput({ L1: 4600, L2: '230', L3: 460 }, config)
+
+      expect(input.totalW).toBe(5290)
+      expect(input.currentsA).toEqual([20, 1, 2])
+    })
+
+    it('should convert currents to power', () => {
+      const input = phases.parsePhaseInput({ L1: 10, L2: 2, L3: 0, unit: 'A' }, config)
+
+      expect(input.powersW).toEqual([2300, 460, 0])
+      expect(input.totalW).toBe(2760)
+    })
+
+    it('should use the configured unit and ignore phases beyond the installation', () => {
+      const singlePhase = { ...config, phases: 1, phaseUnit: 'A' }
+      const input = phases.parsePhaseInput({ L1: 10, L2: 5 }, singlePhase)
+
+      expect(input.currentsA).toEqual([10])
+      expect(input.totalW).toBe(2300)
+    })
+
+    it('should throw on invalid values', () => {
+      expect(() => phases.parsePhaseInput({ L1: 'abc' }, config)).toThrow(/Invalid L1 value/)
+    })
+  })
+
+  describe('calculatePhaseLimits', () => {
+    it('should give every phase the breaker current without restriction', () => {
+      const result = phases.calculatePhaseLimits([20, 1, 2], 25, config)
+
+      expect(result.limitsA).toEqual([25, 25, 25])
+    })
+
+    it('should share the remaining budget between the phases', () => {
+      // Budget 3 x 10 A = 30 A, load 23 A, 7 A spare -> 2.33 A per phase
+      const result = phases.calculatePhaseLimits([20, 1, 2], 10, config)
+
+      expect(result.limitsA).toEqual([22, 3, 4])
+    })
+
+    it('should reduce every phase when the budget is exceeded', () => {
+      // Budget 30 A, load 36 A -> 2 A less per phase
+      const result = phases.calculatePhaseLimits([24, 6, 6], 10, config)
+
+      expect(result.limitsA).toEqual([22, 4, 4])
+    })
+
+    it('should never allow a phase above the breaker and flag overloads', () => {
+      const result = phases.calculatePhaseLimits([28, 0, 0], 20, config)
+
+      expect(result.limitsA[0]).toBe(25)
+      expect(result.overloadedPhases).toEqual(['L1'])
+      expect(result.maxPhaseCurrentA).toBe(28)
+    })
+
+    it('should ignore exporting phases', () => {
+      const result = phases.calculatePhaseLimits([-5, 4, 4], 10, config)
+
+      expect(result.limitsA).toEqual([7, 11, 11])
+    })
+  })
+})
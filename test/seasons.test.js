@@ -0,0 +1,111 @@
+'use strict'
+
+const seasons = require('../lib/seasons')
+const peakTracker = require('../lib/peak-tracker')
+const costs = require('../lib/costs')
+
+describe('seasons', () => {
+  const config = peakTracker.mergeConfig({
+    seasonProfiles: seasons.parseSeasonProfiles([
+      { name: 'winter', months: [11, 3] },
+      { name: 'summer', months: [4, 10], peakCount: 1, peakHoursStart: 8, peakHoursEnd: 18, minimumLimitKw: 3, powerPriceSekPerKw: 25 }
+    ])
+  })
+
+  describe('parseSeasonProfiles', () => {
+    it('should keep valid overrides only', () => {
+      const profiles = seasons.parseSeasonProfiles('[{"months": [4, 10], "peakCount": "2", "peakHoursStart": 30, "nightDiscount": "yes", "touWeights": [{"hours": [22, 6], "weight": 0.5}]}]')
+
+      expect(profiles).toEqual([{
+        name: '4-10',
+        months: [4, 10],
+        peakCount: 2,
+        touWeights: [{ months: [1, 12], days: ['all'], hours: [22, 6], weight: 0.5 }]
+      }])
+    })
+
+    it('should drop profiles without a valid month range', () => {
+      expect(seasons.parseSeasonProfiles([{ name: 'a' }, { months: [0, 3] }, { months: [5] }, null])).toEqual([])
+      expect(seasons.parseSeasonProfiles('{')).toEqual([])
+      expect(seasons.parseSeasonProfiles('')).toEqual([])
+    })
+  })
+
+  describe('getSeasonConfig', () => {
+    it('should apply the profile of the month', () => {
+      const summer = seasons.getSeasonConfig(config, 7)
+
+      expect(summer).toMatchObject({ season: 'summer', peakCount: 1, peakHoursStart: 8, minimumLimitKw: 3, powerPriceSekPerKw: 25 })
+      expect(seasons.getSeasonConfig(config, 1)).toMatchObject({ season: 'winter', peakCount: 3, peakHoursStart: 7 })
+    })
+
+    it('should start from the base settings when resolving a resolved configuration', () => {
+      const winter = seasons.getSeasonConfig(seasons.getSeasonConfig(config, 7), 12)
+
+      expect(winter).toMatchObject({ season: 'winter', peakCount: 3, powerPriceSekPerKw: 50 })
+    })
+
+    it('should return the configuration unchanged without profiles', () => {
+      const plain = peakTracker.mergeConfig()
+
+      expect(seasons.getSeasonConfig(plain, 7)).toBe(plain)
+    })
+  })
+
+  describe('peak tracking with season profiles', () => {
+    it('should only measure months covered by a profile', () => {
+      const winterOnly = peakTracker.mergeConfig({
+        peakSeasonOnly: false,
+        seasonProfiles: seasons.parseSeasonProfiles([{ months: [11, 3] }])
+      })
+
+      expect(peakTracker.isInPeakSeason(1, winterOnly)).toBe(true)
+      expect(peakTracker.isInPeakSeason(7, winterOnly)).toBe(false)
+    })
+
+    it('should use the peak hours of the season', () => {
+      // Monday 2024-07-15 and 2024-01-15
+      expect(peakTracker.isInPeakHours(7, 1, 7, config, '2024-07-15')).toBe(false)
+      expect(peakTracker.isInPeakHours(7, 1, 1, config, '2024-01-15')).toBe(true)
+      expect(peakTracker.isInPeakHours(19, 1, 7, config, '2024-07-15')).toBe(false)
+    })
+
+    it('should limit with the peak count and minimum of the season', () => {
+      const state = peakTracker.createInitialState()
+      state.currentMonth = 6
+      state.peaks = [{ date: '2024-07-10', hour: 12, minute: 0, value: 6000, effective: 6000 }]
+
+      // 12:10 Swedish time, Monday 2024-07-15
+      const result = peakTracker.processGridPower(state, config, 2000, new Date('2024-07-15T10:10:00Z'))
+
+      expect(result.season).toBe('summer')
+      expect(result.isLearning).toBe(false)
+      expect(result.targetLimitW).toBe(5700)
+    })
+
+    it('should average the closed month with its own peak count', () => {
+      const state = peakTracker.createInitialState()
+      state.currentMonth = 2
+      state.peaks = [
+        { date: '2024-03-04', hour: 18, minute: 0, value: 6000, effective: 6000 },
+        { date: '2024-03-05', hour: 18, minute: 0, value: 4000, effective: 4000 },
+        { date: '2024-03-06', hour: 18, minute: 0, value: 2000, effective: 2000 }
+      ]
+
+      // First sample in April (summer, single peak)
+      const result = peakTracker.processGridPower(state, config, 2000, new Date('2024-04-01T10:00:00Z'))
+
+      expect(result.monthReset).toBe(true)
+      expect(result.previousMonthPeakAvgW).toBe(4000)
+    })
+
+    it('should estimate the cost with the price of the season', () => {
+      const state = peakTracker.createInitialState()
+      state.peaks = [{ date: '2024-07-10', hour: 12, minute: 0, value: 4000, effective: 4000 }]
+
+      const estimate = costs.estimateMonthlyCost(state, { ...config, vatPercent: 0 }, new Date('2024-07-15T10:00:00Z'))
+
+      expect(estimate.projected.powerFee).toBe(100)
+    })
+  })
+})
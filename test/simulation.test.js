@@ -5,6 +5,7 @@ const { getScenario, listScenarios } = require('../lib/scenarios')
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
+const { swedishTime } = require('./helpers')
 
 describe('Simulation Framework', () => {
   describe('powerPatterns', () => {
@@ -67,7 +68,7 @@ describe('Simulation Framework', () => {
     test('runs basic simulation and returns results', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 3,
         powerGenerator: powerPatterns.constant(3000),
         samplesPerHour: 6
@@ -89,7 +90,7 @@ describe('Simulation Framework', () => {
       // Start mid-January so we have some peaks, then cross into February
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 20, // Crosses into February
         powerGenerator: powerPatterns.constant(3000),
         samplesPerHour: 6
@@ -97,13 +98,13 @@ describe('Simulation Framework', () => {
 
       // Should have exactly one month reset (when crossing from Jan to Feb)
       expect(results.monthResets.length).toBe(1)
-      expect(results.monthResets[0].date.getMonth()).toBe(1) // February
+      expect(results.monthResets[0].date).toEqual(swedishTime(2024, 2, 1, 0))
     })
 
     test('records hourly data', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 2,
         powerGenerator: powerPatterns.constant(3500),
         samplesPerHour: 6
@@ -124,7 +125,7 @@ describe('Simulation Framework', () => {
     test('tracks output changes', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false, peakHoursStart: 7, peakHoursEnd: 21 },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 5,
         powerGenerator: powerPatterns.dailyProfile(2000, 5000),
         samplesPerHour: 6
@@ -145,7 +146,7 @@ describe('Simulation Framework', () => {
     test('generates summary statistics', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 7,
         powerGenerator: powerPatterns.constant(4000),
         samplesPerHour: 6
@@ -158,13 +159,26 @@ describe('Simulation Framework', () => {
       expect(results.summary.hourlyStats.avgPowerW).toBe(4000)
       expect(results.summary.peakStats.peakAverageW).toBe(4000)
     })
+
+    test('estimates the power fee with the configured price', () => {
+      const results = runSimulation({
+        config: { peakCount: 3, peakSeasonOnly: false, powerPriceSekPerKw: 81.25 },
+        startDate: swedishTime(2024, 1, 15, 0),
+        durationDays: 3,
+        powerGenerator: powerPatterns.constant(4000),
+        samplesPerHour: 6
+      })
+
+      expect(results.summary.analysis.powerPriceSekPerKw).toBe(81.25)
+      expect(results.summary.analysis.achievedPowerFeeSek).toBe(325)
+    })
   })
 
   describe('verifyResults', () => {
     test('verifies minimum peaks', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 7,
         powerGenerator: powerPatterns.constant(3000),
         samplesPerHour: 6
@@ -180,7 +194,7 @@ describe('Simulation Framework', () => {
     test('verifies peak average range', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 7,
         powerGenerator: powerPatterns.constant(4000),
         samplesPerHour: 6
@@ -201,7 +215,7 @@ describe('Simulation Framework', () => {
       // Start mid-January to accumulate peaks, then cross to February
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 20, // Crosses into February
         powerGenerator: powerPatterns.constant(3000),
         samplesPerHour: 6
@@ -214,7 +228,7 @@ describe('Simulation Framework', () => {
     test('supports custom checks', () => {
       const results = runSimulation({
         config: { peakCount: 3, peakSeasonOnly: false },
-        startDate: new Date('2024-01-15T00:00:00'),
+        startDate: swedishTime(2024, 1, 15, 0),
         durationDays: 3,
         powerGenerator: powerPatterns.constant(3000),
         samplesPerHour: 6
@@ -310,7 +324,7 @@ describe('Export Functions', () => {
     // Run a basic simulation for export tests
     testResults = runSimulation({
       config: { peakCount: 3, peakSeasonOnly: false },
-      startDate: new Date('2024-01-15T00:00:00'),
+      startDate: swedishTime(2024, 1, 15, 0),
       durationDays: 3,
       powerGenerator: powerPatterns.dailyProfile(2000, 5000),
       samplesPerHour: 6
@@ -0,0 +1,168 @@
+'use strict'
+
+const solar = require('../lib/solar')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('solar', () => {
+  const config = peakTracker.mergeConfig({ peakSeasonOnly: false, solarEnabled: true })
+
+  // Monday 2024-01-15, 09:00 Swedish time
+  const now = new Date('2024-01-15T08:00:00Z')
+
+  // 10:00-14:00 Swedish time
+  function middaySlots (watts) {
+    return [9, 10, 11, 12].map(h => ({
+      startMs: Date.UTC(2024, 0, 15, h),
+      endMs: Date.UTC(2024, 0, 15, h + 1),
+      watts
+    }))
+  }
+
+  describe('parseSolarForecast', () => {
+    it('should read 24 hourly values from local midnight', () => {
+      const hourly = Array.from({ length: 24 }, (_, h) => (h >= 10 && h < 14 ? 2000 : 0))
+
+      const slots = solar.parseSolarForecast({ hourly }, now, config)
+
+      expect(slots).toHaveLength(24)
+      expect(new Date(slots[10].startMs).toISOString()).toBe('2024-01-15T09:00:00.000Z')
+      expect(slots[10].watts).toBe(2000)
+    })
+
+    it('should read entries with a start time', () => {
+      const slots = solar.parseSolarForecast([
+        { start: '2024-01-15T10:00:00Z', watts: 1500 },
+        { start: '2024-01-15T09:00:00Z', end: '2024-01-15T09:30:00Z', watts: 800 }
+      ], now, config)
+
+      expect(slots.map(s => [new Date(s.startMs).toISOString(), (s.endMs - s.startMs) / 60000, s.watts])).toEqual([
+        ['2024-01-15T09:00:00.000Z', 30, 800],
+        ['2024-01-15T10:00:00.000Z', 60, 1500]
+      ])
+    })
+
+    it('should read Solcast forecasts in kW', () => {
+      const slots = solar.parseSolarForecast({
+        forecasts: [{ period_end: '2024-01-15T10:30:00.0000000Z', period: 'PT30M', pv_estimate: 1.2 }]
+      }, now, config)
+
+      expect(slots).toEqual([{ startMs: Date.UTC(2024, 0, 15, 10), endMs: Date.UTC(2024, 0, 15, 10, 30), watts: 1200 }])
+    })
+
+    it('should drop invalid and old entries', () => {
+      const slots = solar.parseSolarForecast([
+        { start: '2024-01-15T10:00:00Z', watts: 'x' },
+        { watts: 1000 },
+        { start: '2024-01-13T10:00:00Z', watts: 1000 },
+        { start: '2024-01-15T11:00:00Z', watts: -5 }
+      ], now, config)
+
+      expect(slots).toEqual([{ startMs: Date.UTC(2024, 0, 15, 11), endMs: Date.UTC(2024, 0, 15, 12), watts: 0 }])
+      expect(solar.parseSolarForecast(null, now, config)).toEqual([])
+      expect(solar.parseSolarForecast({ hourly: 'x' }, now, config)).toEqual([])
+    })
+  })
+
+  describe('estimateSurplusWh', () => {
+    const deadline = new Date('2024-01-15T16:00:00Z')
+
+    it('should count the production above the base load', () => {
+      // 4 h * (2500 W - 500 W)
+      expect(solar.estimateSurplusWh(middaySlots(2500), now, deadline, config)).toBe(8000)
+    })
+
+    it('should cap the surplus at the max charge rate', () => {
+      expect(solar.estimateSurplusWh(middaySlots(5000), now, deadline, config)).toBe(4 * 3000)
+    })
+
+    it('should only count the time before the deadline', () => {
+      expect(solar.estimateSurplusWh(middaySlots(2500), now, new Date('2024-01-15T10:30:00Z'), config)).toBe(3000)
+    })
+
+    it('should use the live production for the coming hour', () => {
+      // 1 h at 1500 W live, then 3 forecast hours
+      expect(solar.estimateSurplusWh(middaySlots(2500), new Date('2024-01-15T09:00:00Z'), deadline, config, 1500)).toBe(1000 + 6000)
+    })
+  })
+
+  describe('getForecastTodayWh', () => {
+    it('should sum the production of the local day', () => {
+      expect(solar.getForecastTodayWh(middaySlots(2500), now, config)).toBe(10000)
+      expect(solar.getForecastTodayWh([], now, config)).toBeNull()
+    })
+  })
+
+  describe('trackExport', () => {
+    it('should integrate negative grid power per hour', () => {
+      const state = peakTracker.createInitialState()
+
+      solar.trackExport(state, config, -2000, new Date('2024-01-15T09:55:00Z'))
+      solar.trackExport(state, config, -1000, new Date('2024-01-15T10:05:00Z'))
+      const status = solar.trackExport(state, config, 500, new Date('2024-01-15T10:11:00Z'))
+
+      // 5 min at 2000 W before 11:00, 5 min at 2000 W and 6 min at 1000 W after
+      expect(status.monthWh).toBe(Math.round(2000 / 6 + 100))
+      expect(state.solarExport.hours[10]).toBeCloseTo(2000 / 12)
+      expect(status.exportHoursToday).toEqual([10, 11])
+      expect(status.exportingW).toBe(0)
+    })
+
+    it('should cap the time a sample is held', () => {
+      const state = peakTracker.createInitialState()
+
+      solar.trackExport(state, config, -1200, new Date('2024-01-15T09:00:00Z'))
+      const status = solar.trackExport(state, config, 0, new Date('2024-01-15T11:00:00Z'))
+
+      expect(status.todayWh).toBe(200)
+    })
+
+    it('should start over on a new day and month', () => {
+      const state = peakTracker.createInitialState()
+      solar.trackExport(state, config, -1200, new Date('2024-01-31T12:00:00Z'))
+      solar.trackExport(state, config, -1200, new Date('2024-01-31T12:10:00Z'))
+
+      const nextDay = solar.trackExport(state, config, 0, new Date('2024-02-01T12:00:00Z'))
+
+      expect(nextDay.todayWh).toBe(0)
+      expect(nextDay.monthWh).toBe(0)
+    })
+  })
+
+  describe('calculateChargeRate with solar', () => {
+    const eveningConfig = { ...config, batteryEnabled: true, peakHoursStart: 17 }
+    const battery = { soc: 20, minSoc: 20 }
+
+    it('should not charge from the grid when the sun covers the target', () => {
+      const state = peakTracker.createInitialState()
+
+      const result = peakTracker.calculateChargeRate(state, eveningConfig, { soc: 30, minSoc: 20 }, now, null, { slots: middaySlots(2500), livePvW: null })
+
+      expect(result.chargeRateW).toBe(0)
+      expect(result.reason).toBe('solar expected to charge to 40%')
+      expect(result.gridTargetSoc).toBe(20)
+      expect(result.expectedSolarWh).toBe(8000)
+    })
+
+    it('should only charge what the sun does not provide', () => {
+      const state = peakTracker.createInitialState()
+      const slots = [{ startMs: Date.UTC(2024, 0, 15, 10), endMs: Date.UTC(2024, 0, 15, 11), watts: 1500 }]
+
+      const result = peakTracker.calculateChargeRate(state, eveningConfig, battery, now, null, { slots, livePvW: null })
+
+      // 1 kWh of sun covers 10 of the 20 percentage points; 1 kWh over 8 h
+      expect(result.gridTargetSoc).toBe(30)
+      expect(result.energyDeficitWh).toBe(1000)
+      expect(result.chargeRateW).toBe(130)
+      expect(result.reason).toBe('charging to 30% before peak')
+    })
+
+    it('should ignore the forecast when solar is disabled', () => {
+      const state = peakTracker.createInitialState()
+
+      const result = peakTracker.calculateChargeRate(state, { ...eveningConfig, solarEnabled: false }, battery, now, null, { slots: middaySlots(2500), livePvW: null })
+
+      expect(result.energyDeficitWh).toBe(2000)
+      expect(result.gridTargetSoc).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const spotPrices = require('../lib/spot-prices')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('spot-prices', () => {
+  // Monday 2024-01-15, 22:00 Swedish time
+  const now = new Date('2024-01-15T21:00:00Z')
+
+  function hourlyFrom (startIso, prices) {
+    const start = new Date(startIso).getTime()
+    return prices.map((price, i) => ({ timestamp: new Date(start + i * 3600000).toISOString(), price }))
+  }
+
+  describe('parsePrices', () => {
+    it('should read Nord Pool style entries', () => {
+      const slots = spotPrices.parsePrices(hourlyFrom('2024-01-15T21:00:00Z', [1.2, 0.8]), now)
+
+      expect(slots).toEqual([
+        { startMs: Date.parse('2024-01-15T21:00:00Z'), endMs: Date.parse('2024-01-15T22:00:00Z'), price: 1.2 },
+        { startMs: Date.parse('2024-01-15T22:00:00Z'), endMs: Date.parse('2024-01-15T23:00:00Z'), price: 0.8 }
+      ])
+    })
+
+    it('should read Tibber price info with today and tomorrow', () => {
+      const slots = spotPrices.parsePrices({
+        today: [{ startsAt: '2024-01-15T23:00:00.000+01:00', total: 0.9 }],
+        tomorrow: [{ startsAt: '2024-01-16T00:00:00.000+01:00', total: 0.5 }]
+      }, now)
+
+      expect(slots.map(s => s.price)).toEqual([0.9, 0.5])
+      expect(slots[0].endMs - slots[0].startMs).toBe(3600000)
+    })
+
+    it('should read quarter-hour entries with end times', () => {
+      const slots = spotPrices.parsePrices([
+        { start: '2024-01-15T22:00:00+01:00', end: '2024-01-15T22:15:00+01:00', value: 1 },
+        { start: '2024-01-15T22:15:00+01:00', end: '2024-01-15T22:30:00+01:00', value: 2 }
+      ], now)
+
+      expect(slots.map(s => (s.endMs - s.startMs) / 60000)).toEqual([15, 15])
+    })
+
+    it('should place plain hourly lists from local midnight', () => {
+      const slots = spotPrices.parsePrices({ raw_today: new Array(24).fill(1), raw_tomorrow: new Array(24).fill(2) }, now)
+
+      expect(slots).toHaveLength(48)
+      expect(new Date(slots[0].startMs).toISOString()).toBe('2024-01-14T23:00:00.000Z')
+      expect(new Date(slots[24].startMs).toISOString()).toBe('2024-01-15T23:00:00.000Z')
+    })
+
+    it('should drop entries without a price', () => {
+      expect(spotPrices.parsePrices([{ timestamp: '2024-01-15T21:00:00Z' }], now)).toEqual([])
+      expect(spotPrices.parsePrices(null, now)).toEqual([])
+    })
+  })
+
+  describe('mergePrices', () => {
+    it('should replace slots with the same start and drop old ones', () => {
+      const old = spotPrices.parsePrices(hourlyFrom('2024-01-14T12:00:00Z', [5]), now)
+      const first = spotPrices.parsePrices(hourlyFrom('2024-01-15T21:00:00Z', [1, 1]), now)
+      const update = spotPrices.parsePrices(hourlyFrom('2024-01-15T22:00:00Z', [3]), now)
+
+      const merged = spotPrices.mergePrices(spotPrices.mergePrices(old, first, now), update, now)
+
+      expect(merged.map(s => s.price)).toEqual([1, 3])
+    })
+  })
+
+  describe('getCurrentPrice', () => {
+    it('should return the price of the running slot', () => {
+      const slots = spotPrices.parsePrices(hourlyFrom('2024-01-15T21:00:00Z', [1.5]), now)
+
+      expect(spotPrices.getCurrentPrice(slots, now)).toBe(1.5)
+      expect(spotPrices.getCurrentPrice(slots, new Date('2024-01-15T23:00:00Z'))).toBeNull()
+    })
+  })
+
+  describe('planCharging', () => {
+    // 22:00-07:00 local, cheapest at 02:00-04:00
+    const prices = [1.0, 0.9, 0.8, 0.6, 0.3, 0.2, 0.5, 0.7, 1.1]
+    const slots = spotPrices.parsePrices(hourlyFrom('2024-01-15T21:00:00Z', prices), now)
+    const deadline = new Date('2024-01-16T06:00:00Z')
+
+    it('should fill the cheapest hours first', () => {
+      const plan = spotPrices.planCharging(slots, now, deadline, 5000, 3000)
+
+      expect(plan.schedule.map(s => [s.start, s.energyWh])).toEqual([
+        ['2024-01-16T01:00:00.000Z', 2000],
+        ['2024-01-16T02:00:00.000Z', 3000]
+      ])
+      expect(plan.currentRateW).toBe(0)
+      expect(plan.expectedCost).toBe(1.2) // 3 kWh * 0.2 + 2 kWh * 0.3
+      expect(plan.averagePrice).toBe(0.24)
+      expect(plan.shortfallWh).toBe(0)
+    })
+
+    it('should charge now when the current hour is among the cheapest', () => {
+      const plan = spotPrices.planCharging(slots, new Date('2024-01-16T02:30:00Z'), deadline, 2000, 3000)
+
+      expect(plan.schedule[0].start).toBe('2024-01-16T02:30:00.000Z')
+      expect(plan.currentRateW).toBe(3000)
+    })
+
+    it('should return null when prices do not reach the deadline', () => {
+      const plan = spotPrices.planCharging(slots, now, new Date('2024-01-16T12:00:00Z'), 5000, 3000)
+
+      expect(plan).toBeNull()
+    })
+  })
+
+  describe('calculateChargeRate with prices', () => {
+    const config = peakTracker.mergeConfig({
+      batteryEnabled: true,
+      peakSeasonOnly: false,
+      peakHoursStart: 7,
+      peakHoursEnd: 21,
+      batteryCapacityWh: 10000,
+      maxChargeRateW: 3000,
+      socBuffer: 50,
+      priceAwareCharging: true
+    })
+    const slots = spotPrices.parsePrices(hourlyFrom('2024-01-15T21:00:00Z', [1.0, 0.9, 0.8, 0.6, 0.3, 0.2, 0.5, 0.7, 1.1]), now)
+
+    it('should wait for the cheapest hours', () => {
+      const state = peakTracker.createInitialState()
+      const result = peakTracker.calculateChargeRate(state, config, { soc: 30, minSoc: 20 }, now, slots)
+
+      expect(result.chargeRateW).toBe(0)
+      expect(result.reason).toBe('waiting for cheaper hours (from 2:00)')
+      expect(result.schedule).toHaveLength(2)
+      expect(result.expectedCost).toBe(0.9) // 4 kWh deficit: 3 kWh * 0.2 + 1 kWh * 0.3
+    })
+
+    it('should charge evenly without prices', () => {
+      const state = peakTracker.createInitialState()
+      const result = peakTracker.calculateChargeRate(state, config, { soc: 30, minSoc: 20 }, now, [])
+
+      expect(result.chargeRateW).toBeGreaterThan(0)
+      expect(result.schedule).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,123 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const storage = require('../lib/storage')
+
+// SQLite is built in from Node.js 22.13 (22.5 with a flag), otherwise better-sqlite3 is needed
+function sqliteAvailable () {
+  for (const name of ['node:sqlite', 'better-sqlite3']) {
+    try {
+      require(name)
+      return true
+    } catch (err) {
+      // Try the next module
+    }
+  }
+  return false
+}
+
+describe('storage', () => {
+  let directory
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'effekttariff-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  describe('context storage', () => {
+    it('should use the given context store', () => {
+      const calls = []
+      const context = {
+        values: {},
+        get (key, store) {
+          calls.push(['get', key, store])
+          return this.values[key]
+        },
+        set (key, value, store) {
+          calls.push(['set', key, store])
+          this.values[key] = value
+        }
+      }
+
+      const store = storage.createContextStorage(context, 'disk')
+      store.save('state', { peaks: [] })
+
+      expect(store.load('state')).toEqual({ peaks: [] })
+      expect(calls).toEqual([['set', 'state', 'disk'], ['get', 'state', 'disk']])
+      expect(storage.createContextStorage(context, '').location).toBe('default')
+    })
+  })
+
+  describe('file storage', () => {
+    it('should save and load records', () => {
+      const store = storage.createFileStorage(path.join(directory, 'nested'))
+
+      store.save('effekttariff_1', { peaks: [1] })
+      store.save('effekttariff_1_history', [{ start: '2024-01-01' }])
+
+      expect(store.load('effekttariff_1')).toEqual({ peaks: [1] })
+      expect(store.load('effekttariff_1_history')).toEqual([{ start: '2024-01-01' }])
+      expect(store.load('missing')).toBeUndefined()
+    })
+
+    it('should replace the file and keep the previous version', () => {
+      const store = storage.createFileStorage(directory)
+
+      store.save('state', { version: 1 })
+      store.save('state', { version: 2 })
+
+      expect(fs.readdirSync(directory).sort()).toEqual(['state.json', 'state.json.bak'])
+      expect(JSON.parse(fs.readFileSync(path.join(directory, 'state.json.bak'), 'utf8'))).toEqual({ version: 1 })
+    })
+
+    it('should fall back to the backup when the file is damaged', () => {
+      const store = storage.createFileStorage(directory)
+      store.save('state', { version: 1 })
+      store.save('state', { version: 2 })
+
+      fs.writeFileSync(path.join(directory, 'state.json'), '{"vers')
+
+      expect(store.load('state')).toEqual({ version: 1 })
+    })
+
+    it('should keep keys inside the directory', () => {
+      const store = storage.createFileStorage(directory)
+
+      store.save('../flow/state', { ok: true })
+
+      expect(fs.readdirSync(directory)).toEqual(['.._flow_state.json'])
+    })
+  })
+
+  describe('sqlite storage', () => {
+    (sqliteAvailable() ? it : it.skip)('should save and load records', () => {
+      const file = path.join(directory, 'db', 'effekttariff.db')
+      const store = storage.createSqliteStorage(file)
+
+      store.save('state', { version: 1 })
+      store.save('state', { version: 2 })
+      const loaded = store.load('state')
+      store.close()
+
+      expect(loaded).toEqual({ version: 2 })
+      expect(fs.existsSync(file)).toBe(true)
+    });
+
+    (sqliteAvailable() ? it.skip : it)('should explain what SQLite needs', () => {
+      expect(() => storage.createSqliteStorage(path.join(directory, 'effekttariff.db'))).toThrow(/better-sqlite3/)
+    })
+  })
+
+  describe('createStorage', () => {
+    it('should create the configured backend', () => {
+      expect(storage.createStorage({ backend: 'file', path: directory }).backend).toBe('file')
+      expect(storage.createStorage({ context: { get () {}, set () {} } }).backend).toBe('context')
+      expect(() => storage.createStorage({ backend: 'redis' })).toThrow(/Unknown storage backend/)
+    })
+  })
+})
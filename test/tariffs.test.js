@@ -0,0 +1,68 @@
+'use strict'
+
+const tariffs = require('../lib/tariffs')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('tariffs', () => {
+  describe('registry', () => {
+    it('should list every preset with version and tariff settings', () => {
+      const presets = tariffs.listPresets()
+
+      expect(presets.map(p => p.id)).toEqual(['ellevio', 'kungalv', 'jonkoping'])
+      presets.forEach(preset => {
+        expect(preset.name).toEqual(expect.any(String))
+        expect(preset.version).toEqual(expect.any(String))
+        expect(preset.validFrom).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+        expect(preset.config.powerPriceSekPerKw).toBeGreaterThan(0)
+        expect(peakTracker.MEASUREMENT_INTERVALS).toContain(preset.config.measurementIntervalMinutes)
+      })
+    })
+
+    it('should only use known tracker settings', () => {
+      const knownKeys = Object.keys(peakTracker.DEFAULT_CONFIG)
+
+      tariffs.listPresets().forEach(preset => {
+        Object.keys(preset.config).forEach(key => expect(knownKeys).toContain(key))
+      })
+    })
+
+    it('should not expose the registry for mutation', () => {
+      tariffs.listPresets()[0].config.peakCount = 99
+
+      expect(tariffs.getPreset('ellevio').config.peakCount).toBe(3)
+    })
+  })
+
+  describe('getPreset', () => {
+    it('should match the provider rules', () => {
+      expect(tariffs.getPreset('ellevio').config).toMatchObject({
+        peakCount: 3, peakHoursStart: 7, peakHoursEnd: 19, peakSeasonOnly: true, nightDiscount: false, weekdaysOnly: true
+      })
+      expect(tariffs.getPreset('kungalv').config).toMatchObject({
+        peakCount: 3, peakHoursStart: 7, peakHoursEnd: 21, peakSeasonOnly: true, nightDiscount: true, weekdaysOnly: true
+      })
+      expect(tariffs.getPreset('jonkoping').config).toMatchObject({
+        peakCount: 2, peakHoursStart: 7, peakHoursEnd: 21, peakSeasonOnly: false, nightDiscount: false, weekdaysOnly: false
+      })
+    })
+
+    it('should return null for unknown ids', () => {
+      expect(tariffs.getPreset('unknown')).toBeNull()
+      expect(tariffs.getPreset(undefined)).toBeNull()
+    })
+  })
+
+  describe('applyPreset', () => {
+    it('should let overrides win over the preset', () => {
+      const config = tariffs.applyPreset('ellevio', { minimumLimitKw: 5, peakCount: 2 })
+
+      expect(config.minimumLimitKw).toBe(5)
+      expect(config.peakCount).toBe(2)
+      expect(config.peakHoursEnd).toBe(19)
+    })
+
+    it('should throw for unknown presets', () => {
+      expect(() => tariffs.applyPreset('unknown')).toThrow('Unknown tariff preset: unknown')
+    })
+  })
+})
@@ -0,0 +1,147 @@
+'use strict'
+
+const thermal = require('../lib/thermal')
+const peakTracker = require('../lib/peak-tracker')
+const { PEAK_TIME, peakResult } = require('./helpers')
+
+describe('thermal', () => {
+  const config = peakTracker.mergeConfig({ peakSeasonOnly: false })
+
+  const thermalLoads = thermal.parseThermalLoads([
+    { name: 'heatpump', setpoint: 21 },
+    { name: 'waterheater', setpoint: 60, setbackDegrees: 10, preheatDegrees: 5, preheatHours: 1, maxSetbackHours: 2 }
+  ])
+
+  const forecast = { periods: [{ start: 17, end: 21, weight: 1 }] }
+
+  const onPeak = peakResult({ budget: { allowedW: 5000 } })
+  const offPeak = peakResult({ inPeakHours: false })
+
+  describe('parseThermalLoads', () => {
+    it('should apply defaults', () => {
+      expect(thermalLoads[0]).toMatchObject({ name: 'heatpump', setpoint: 21, ...thermal.THERMAL_DEFAULTS })
+      expect(thermalLoads[1].setbackDegrees).toBe(10)
+    })
+
+    it('should drop entries without a name or setpoint, or with negative bounds', () => {
+      const parsed = thermal.parseThermalLoads('[{"name": "a", "setpoint": 20}, {"setpoint": 20}, {"name": "b"}, {"name": "c", "setpoint": 20, "setbackDegrees": -1}]')
+
+      expect(parsed.map(l => l.name)).toEqual(['a'])
+    })
+
+    it('should return an empty list for invalid JSON', () => {
+      expect(thermal.parseThermalLoads('{')).toEqual([])
+      expect(thermal.parseThermalLoads('')).toEqual([])
+    })
+  })
+
+  describe('isPredictedPeak', () => {
+    it('should follow the forecast periods', () => {
+      expect(thermal.isPredictedPeak(forecast, 18)).toBe(true)
+      expect(thermal.isPredictedPeak(forecast, 12)).toBe(false)
+    })
+
+    it('should treat every hour as a peak without forecast', () => {
+      expect(thermal.isPredictedPeak(null, 12)).toBe(true)
+      expect(thermal.isPredictedPeak({ periods: [] }, 12)).toBe(true)
+    })
+  })
+
+  describe('evaluateThermalLoads', () => {
+    it('should pre-heat before peak hours', () => {
+      const state = peakTracker.createInitialState()
+      // 05:30, peak hours start at 07:00
+      const now = new Date('2024-01-15T04:30:00Z')
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, offPeak, 2000, forecast, now)
+
+      expect(status.commands).toEqual([
+        { name: 'heatpump', offset: 1, setpoint: 22, mode: 'preheat', reason: 'peak in 1.5h' }
+      ])
+      expect(status.loads[1].mode).toBe('normal')
+    })
+
+    it('should keep the normal setpoint at night', () => {
+      const state = peakTracker.createInitialState()
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, offPeak, 2000, forecast, new Date('2024-01-15T01:00:00Z'))
+
+      expect(status.commands).toEqual([])
+      expect(status.loads[0].reason).toBe('off-peak')
+    })
+
+    it('should set back during a predicted peak', () => {
+      const state = peakTracker.createInitialState()
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, PEAK_TIME)
+
+      expect(status.commands.map(c => [c.name, c.offset, c.setpoint, c.reason])).toEqual([
+        ['heatpump', -2, 19, 'predicted peak'],
+        ['waterheater', -10, 50, 'predicted peak']
+      ])
+    })
+
+    it('should only set back outside predicted peaks when over target', () => {
+      const state = peakTracker.createInitialState()
+      const now = new Date('2024-01-15T11:00:00Z')
+
+      const below = thermal.evaluateThermalLoads(state, config, thermalLoads, { ...onPeak, currentHour: 12 }, 4000, forecast, now)
+      expect(below.commands).toEqual([])
+      expect(below.loads[0].reason).toBe('no peak predicted')
+
+      const over = thermal.evaluateThermalLoads(state, config, thermalLoads, { ...onPeak, currentHour: 12 }, 6500, forecast, now)
+      expect(over.commands.map(c => c.reason)).toEqual(['over target by 1500W', 'over target by 1500W'])
+    })
+
+    it('should stop the setback once the daily maximum is used', () => {
+      const state = peakTracker.createInitialState()
+      const start = new Date('2024-01-15T17:00:00Z').getTime()
+
+      for (let minutes = 0; minutes <= 120; minutes += 10) {
+        thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, new Date(start + minutes * 60000))
+      }
+
+      expect(state.thermalStates.waterheater.mode).toBe('normal')
+      expect(state.thermalStates.heatpump.mode).toBe('setback')
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, new Date(start + 130 * 60000))
+      expect(status.loads[1]).toMatchObject({ offset: 0, reason: 'max setback 2h reached', setbackMinutesToday: 120 })
+      expect(status.loads[0].setbackMinutesToday).toBe(130)
+    })
+
+    it('should not count long gaps between samples as setback time', () => {
+      const state = peakTracker.createInitialState()
+      const start = new Date('2024-01-15T17:00:00Z').getTime()
+
+      thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, new Date(start))
+      thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, new Date(start + 60 * 60000))
+
+      expect(state.thermalStates.heatpump.setbackMs).toBe(0)
+    })
+
+    it('should start a new setback allowance each day', () => {
+      const state = peakTracker.createInitialState()
+      state.thermalStates = {
+        waterheater: { offset: 0, mode: 'normal', since: null, date: '2024-01-14', setbackMs: 2 * 3600000, lastMs: null }
+      }
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, onPeak, 2000, forecast, PEAK_TIME)
+
+      expect(status.loads[1].mode).toBe('setback')
+      expect(state.thermalStates.waterheater.date).toBe('2024-01-15')
+    })
+
+    it('should use the normal setpoint outside the peak season', () => {
+      const state = peakTracker.createInitialState()
+      state.thermalStates = {
+        heatpump: { offset: -2, mode: 'setback', since: null, date: '2024-07-15', setbackMs: 0, lastMs: null }
+      }
+
+      const status = thermal.evaluateThermalLoads(state, config, thermalLoads, { ...onPeak, inPeakSeason: false }, 2000, forecast, new Date('2024-07-15T16:30:00Z'))
+
+      expect(status.commands).toEqual([
+        { name: 'heatpump', offset: 0, setpoint: 21, mode: 'normal', reason: 'outside peak season' }
+      ])
+    })
+  })
+})
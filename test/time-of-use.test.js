@@ -0,0 +1,203 @@
+'use strict'
+
+const timeOfUse = require('../lib/time-of-use')
+const peakTracker = require('../lib/peak-tracker')
+
+describe('time-of-use', () => {
+  // Monday 2024-01-15
+  const monday = { dayOfWeek: 1, month: 1, dateStr: '2024-01-15' }
+  // Saturday 2024-01-13
+  const saturday = { dayOfWeek: 6, month: 1, dateStr: '2024-01-13' }
+  // Trettondedag jul, Saturday 2024-01-06 is a holiday; Friday 2024-12-06 is not
+  const epiphany = { dayOfWeek: 6, month: 1, dateStr: '2024-01-06' }
+
+  describe('parseTouTable', () => {
+    it('should apply defaults', () => {
+      expect(timeOfUse.parseTouTable([{ weight: 0.5 }])).toEqual([
+        { months: [1, 12], days: ['all'], hours: [0, 24], weight: 0.5 }
+      ])
+    })
+
+    it('should accept a JSON string with a single day type', () => {
+      const table = timeOfUse.parseTouTable('[{"months": [11, 3], "days": "weekend", "hours": [7, 21], "weight": "0.5"}]')
+
+      expect(table).toEqual([{ months: [11, 3], days: ['weekend'], hours: [7, 21], weight: 0.5 }])
+    })
+
+    it('should drop invalid rules', () => {
+      const table = timeOfUse.parseTouTable([
+        { hours: [22, 6], weight: 0.5 },
+        { hours: [22, 25], weight: 0.5 },
+        { months: [0, 3], weight: 0.5 },
+        { hours: [7], weight: 0.5 },
+        { days: 'sunday', weight: 0.5 },
+        { weight: -1 },
+        { weight: 'x' },
+        null
+      ])
+
+      expect(table).toHaveLength(1)
+      expect(table[0].hours).toEqual([22, 6])
+    })
+
+    it('should return an empty table for invalid JSON', () => {
+      expect(timeOfUse.parseTouTable('{')).toEqual([])
+      expect(timeOfUse.parseTouTable('')).toEqual([])
+      expect(timeOfUse.parseTouTable({ weight: 0.5 })).toEqual([])
+    })
+  })
+
+  describe('getTimeWeight', () => {
+    it('should use the night discount without a table', () => {
+      const config = peakTracker.mergeConfig({ nightDiscount: true })
+
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 23 })).toBe(0.5)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 5 })).toBe(0.5)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 6 })).toBe(1)
+      expect(timeOfUse.getTimeWeight(peakTracker.mergeConfig(), { ...monday, hour: 23 })).toBe(1)
+    })
+
+    it('should let a table replace the night discount', () => {
+      const config = peakTracker.mergeConfig({
+        nightDiscount: true,
+        touWeights: timeOfUse.parseTouTable([{ hours: [21, 7], weight: 0.25 }])
+      })
+
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 21 })).toBe(0.25)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 6 })).toBe(0.25)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 7 })).toBe(1)
+    })
+
+    it('should match wrapping month ranges', () => {
+      const config = peakTracker.mergeConfig({
+        touWeights: timeOfUse.parseTouTable([{ months: [11, 3], weight: 0.5 }])
+      })
+
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 12, month: 3 })).toBe(0.5)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 12, month: 11 })).toBe(0.5)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 12, month: 4 })).toBe(1)
+    })
+
+    it('should use the first matching rule', () => {
+      const config = peakTracker.mergeConfig({
+        touWeights: timeOfUse.parseTouTable([
+          { days: 'weekend', weight: 0 },
+          { hours: [17, 20], weight: 0.75 }
+        ])
+      })
+
+      expect(timeOfUse.getTimeWeight(config, { ...saturday, hour: 18 })).toBe(0)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 18 })).toBe(0.75)
+    })
+  })
+
+  describe('matchesDayType', () => {
+    const config = peakTracker.mergeConfig({ customHolidays: ['2024-01-15'] })
+
+    it('should tell weekdays, weekends and holidays apart', () => {
+      const friday = { dayOfWeek: 5, dateStr: '2024-12-06' }
+
+      expect(timeOfUse.matchesDayType('weekday', friday, config)).toBe(true)
+      expect(timeOfUse.matchesDayType('weekend', saturday, config)).toBe(true)
+      expect(timeOfUse.matchesDayType('holiday', epiphany, config)).toBe(true)
+      expect(timeOfUse.matchesDayType('holiday', saturday, config)).toBe(false)
+      expect(timeOfUse.matchesDayType('all', saturday, config)).toBe(true)
+    })
+
+    it('should not count custom holidays as weekdays', () => {
+      expect(timeOfUse.matchesDayType('weekday', monday, config)).toBe(false)
+      expect(timeOfUse.matchesDayType('holiday', monday, config)).toBe(true)
+    })
+  })
+
+  describe('processGridPower with a weight table', () => {
+    it('should record the weighted value of a completed period', () => {
+      const config = peakTracker.mergeConfig({
+        peakSeasonOnly: false,
+        touWeights: timeOfUse.parseTouTable([{ hours: [17, 20], weight: 0.75 }])
+      })
+      const state = peakTracker.createInitialState()
+
+      peakTracker.processGridPower(state, config, 4000, new Date('2024-01-15T17:00:00Z'))
+      peakTracker.processGridPower(state, config, 4000, new Date('2024-01-15T17:30:00Z'))
+      const result = peakTracker.processGridPower(state, config, 4000, new Date('2024-01-15T18:00:00Z'))
+
+      expect(result.hourCompleted.weight).toBe(0.75)
+      expect(result.hourCompleted.effectiveW).toBeCloseTo(3000)
+    })
+
+    it('should not limit a period with weight 0', () => {
+      const config = peakTracker.mergeConfig({
+        peakSeasonOnly: false,
+        touWeights: timeOfUse.parseTouTable([{ days: 'weekday', hours: [7, 21], weight: 0 }])
+      })
+      const state = peakTracker.createInitialState()
+
+      const budget = peakTracker.calculateBudgetLimit(state, config, 5000, new Date('2024-01-15T10:30:00Z'), Date.UTC(2024, 0, 15, 10), 60, 11)
+
+      expect(budget.weight).toBe(0)
+      expect(budget.allowedW).toBe(Infinity)
+    })
+  })
+
+  describe('peak windows', () => {
+    const config = peakTracker.mergeConfig({
+      peakSeasonOnly: false,
+      peakWindows: timeOfUse.parsePeakWindows([
+        { hours: [7, 9], days: 'weekday' },
+        { hours: [17, 20], days: 'weekday' },
+        { hours: [9, 17], days: 'weekday', weight: 0.5 }
+      ])
+    })
+
+    it('should parse windows with defaults and drop invalid ones', () => {
+      const windows = timeOfUse.parsePeakWindows('[{"hours": [17, 20]}, {"weight": 1}, {"hours": [7, 9], "weight": 0}, {"hours": [7, 9], "days": "x"}]')
+
+      expect(windows).toEqual([{ hours: [17, 20], days: ['all'], weight: 1 }])
+    })
+
+    it('should only be in peak hours inside a window', () => {
+      expect(peakTracker.isInPeakHours(8, 1, 1, config, '2024-01-15')).toBe(true)
+      expect(peakTracker.isInPeakHours(12, 1, 1, config, '2024-01-15')).toBe(true)
+      expect(peakTracker.isInPeakHours(20, 1, 1, config, '2024-01-15')).toBe(false)
+      expect(peakTracker.isInPeakHours(8, 6, 1, config, '2024-01-13')).toBe(false)
+    })
+
+    it('should weight periods by their window', () => {
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 12 })).toBe(0.5)
+      expect(timeOfUse.getTimeWeight(config, { ...monday, hour: 18 })).toBe(1)
+    })
+
+    it('should treat adjoining windows as one peak period', () => {
+      expect(peakTracker.getPeakStartHours(config, monday)).toEqual([7])
+      expect(peakTracker.getPeakStartHours(config, saturday)).toEqual([])
+    })
+
+    it('should count the hours until the next window', () => {
+      const evening = peakTracker.mergeConfig({
+        peakSeasonOnly: false,
+        peakWindows: timeOfUse.parsePeakWindows([{ hours: [7, 9] }, { hours: [17, 20] }])
+      })
+
+      // 10:00 Swedish time: next window at 17:00
+      expect(peakTracker.calculateHoursUntilPeak(new Date('2024-01-15T09:00:00Z'), evening)).toBe(7)
+      // 21:00: next window tomorrow at 07:00
+      expect(peakTracker.calculateHoursUntilPeak(new Date('2024-01-15T20:00:00Z'), evening)).toBe(10)
+      // Weekday windows only: Friday 21:00 to Monday 07:00
+      expect(peakTracker.calculateHoursUntilPeak(new Date('2024-01-19T20:00:00Z'), config)).toBe(58)
+    })
+
+    it('should allow more power in a window with a lower weight', () => {
+      const peaks = ['2024-01-10', '2024-01-11', '2024-01-12'].map(date => ({ date, hour: 18, minute: 0, value: 5000, effective: 5000 }))
+      const fullState = { ...peakTracker.createInitialState(), currentMonth: 0, peaks: [...peaks] }
+      const halfState = { ...peakTracker.createInitialState(), currentMonth: 0, peaks: [...peaks] }
+
+      const full = peakTracker.processGridPower(fullState, config, 2000, new Date('2024-01-15T17:10:00Z'))
+      const half = peakTracker.processGridPower(halfState, config, 2000, new Date('2024-01-15T11:10:00Z'))
+
+      expect(full.inPeakHours && half.inPeakHours).toBe(true)
+      expect(half.outputLimitA).toBeCloseTo(Math.min(full.outputLimitA * 2, config.maxBreakerCurrent), 0)
+      expect(half.outputLimitA).toBeGreaterThan(full.outputLimitA)
+    })
+  })
+})
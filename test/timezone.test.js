@@ -0,0 +1,108 @@
+'use strict'
+
+const path = require('path')
+const { execFileSync } = require('child_process')
+const timezone = require('../lib/timezone')
+
+describe('timezone', () => {
+  const tz = 'Europe/Stockholm'
+
+  describe('getZonedTime', () => {
+    it('should return wall-clock fields in the given timezone', () => {
+      const local = timezone.getZonedTime(new Date('2024-01-15T23:30:00Z'), tz)
+
+      expect(local).toMatchObject({ year: 2024, month: 1, day: 16, hour: 0, minute: 30, dayOfWeek: 2, dateStr: '2024-01-16' })
+    })
+
+    it('should follow summer time', () => {
+      const local = timezone.getZonedTime(new Date('2024-07-01T12:00:00Z'), tz)
+
+      expect(local.hour).toBe(14)
+    })
+
+    it('should cross the year boundary', () => {
+      const local = timezone.getZonedTime(new Date('2024-12-31T23:15:00Z'), tz)
+
+      expect(local.dateStr).toBe('2025-01-01')
+      expect(local.hour).toBe(0)
+    })
+  })
+
+  describe('zonedTimeToDate', () => {
+    it('should convert winter and summer wall-clock times', () => {
+      expect(timezone.zonedTimeToDate(2024, 1, 15, 7, 0, tz).toISOString()).toBe('2024-01-15T06:00:00.000Z')
+      expect(timezone.zonedTimeToDate(2024, 7, 1, 7, 0, tz).toISOString()).toBe('2024-07-01T05:00:00.000Z')
+    })
+
+    it('should resolve the repeated autumn hour to its first occurrence', () => {
+      expect(timezone.zonedTimeToDate(2024, 10, 27, 2, 30, tz).toISOString()).toBe('2024-10-27T00:30:00.000Z')
+    })
+
+    it('should move the skipped spring hour forward', () => {
+      const date = timezone.zonedTimeToDate(2024, 3, 31, 2, 30, tz)
+
+      expect(date.toISOString()).toBe('2024-03-31T01:30:00.000Z')
+      expect(timezone.getZonedTime(date, tz).hour).toBe(3)
+    })
+  })
+
+  describe('formatDate', () => {
+    it('should pad and roll over out-of-range months and days', () => {
+      expect(timezone.formatDate(2024, 3, 5)).toBe('2024-03-05')
+      expect(timezone.formatDate(2024, 13, 1)).toBe('2025-01-01')
+      expect(timezone.formatDate(2024, 2, 30)).toBe('2024-03-01')
+    })
+  })
+
+  describe('addCalendarDays', () => {
+    it('should roll over month and year ends', () => {
+      expect(timezone.addCalendarDays(2024, 2, 28, 2)).toMatchObject({ month: 3, day: 1, dateStr: '2024-03-01' })
+      expect(timezone.addCalendarDays(2024, 12, 31, 1)).toMatchObject({ year: 2025, month: 1, day: 1, dayOfWeek: 3 })
+    })
+  })
+
+  describe('getTimeZone', () => {
+    it('should fall back to Europe/Stockholm for missing or invalid timezones', () => {
+      expect(timezone.getTimeZone({})).toBe('Europe/Stockholm')
+      expect(timezone.getTimeZone({ timezone: 'Not/AZone' })).toBe('Europe/Stockholm')
+      expect(timezone.getTimeZone({ timezone: 'Europe/Oslo' })).toBe('Europe/Oslo')
+    })
+  })
+
+  describe('on a machine in another timezone', () => {
+    // A separate Node.js process, since the timezone of a running process is fixed
+    function runIn (machineTz, script) {
+      const output = execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, TZ: machineTz },
+        encoding: 'utf8'
+      })
+      return JSON.parse(output)
+    }
+
+    it('should record peaks at the Swedish hour and date', () => {
+      const result = runIn('America/New_York', `
+        const peakTracker = require('./lib/peak-tracker')
+        const config = peakTracker.mergeConfig({ peakSeasonOnly: false, peakHoursStart: 0, peakHoursEnd: 24 })
+        const state = peakTracker.createInitialState()
+        // 23:00-00:00 UTC on 2024-01-15 is 00:00-01:00 on 2024-01-16 in Sweden
+        peakTracker.processGridPower(state, config, 5000, new Date('2024-01-15T23:00:00Z'))
+        const result = peakTracker.processGridPower(state, config, 1000, new Date('2024-01-16T00:00:00Z'))
+        console.log(JSON.stringify({ machineHour: new Date('2024-01-16T00:00:00Z').getHours(), hourCompleted: result.hourCompleted, peaks: state.peaks }))
+      `)
+
+      expect(result.machineHour).toBe(19)
+      expect(result.hourCompleted).toMatchObject({ dateStr: '2024-01-16', hour: 0 })
+      expect(result.peaks).toMatchObject([{ date: '2024-01-16', hour: 0, value: 5000 }])
+    })
+
+    it('should start the billing period at Swedish midnight', () => {
+      const period = runIn('Asia/Tokyo', `
+        const billingPeriods = require('./lib/billing-period')
+        console.log(JSON.stringify(billingPeriods.getBillingPeriod(new Date('2024-01-31T23:30:00Z'), {})))
+      `)
+
+      expect(period).toMatchObject({ start: '2024-02-01', end: '2024-03-01', startMs: Date.UTC(2024, 0, 31, 23) })
+    })
+  })
+})